@@ -1,1835 +1,5691 @@
-class ShyMouse {
-  constructor(page, options = {}) {
-    this.page = page;
-    this.lastPos = null;
-    this.lastMoveTime = Date.now();
-    this.moveHistory = [];
-    this.maxHistoryLength = 50;
-    this.cachedViewport = null;
-    this.viewportCacheTime = 0;
-    this.viewportCacheDuration = 2000;
+const { performance } = require('perf_hooks');
+
+/**
+ * Hash a numeric or string seed into a 32-bit unsigned integer
+ */
+function hashSeed(seed) {
+  const str = String(seed);
+  let h = 1779033703 ^ str.length;
+
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
 
-    // Advanced motion state tracking (2025+ research)
-    this.motionState = {
-      lastVelocity: { x: 0, y: 0 },
-      lastAcceleration: { x: 0, y: 0 },
-      lastJerk: { x: 0, y: 0 },
-      temporalCorrelation: 0.5,
-      entropyAccumulator: 0,
-      perlinSeed: Math.random() * 10000,
-      pollingPhase: Math.random(),
-    };
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
 
-    // Research-based configuration
-    this.config = {
-      // Fatigue system (coherent: everything slows down)
-      fatigueEnabled: options.fatigueEnabled ?? true,
-      fatigueThreshold: options.fatigueThreshold ?? 20,
-      actionCount: 0,
-      maxFatigue: options.maxFatigue ?? 100,
-      fatigueMultiplier: 1.0, // Affects both speed and precision coherently
+/**
+ * Deterministic PRNG (mulberry32), returns floats in [0, 1) like Math.random
+ */
+function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
-      attentionSpan: 0.88 + Math.random() * 0.10,
-      minAttentionSpan: 0.80,
+// QWERTY layout used for typo neighbours and hand/finger alternation
+const KEYBOARD_ROWS = [
+  '`1234567890-=',
+  'qwertyuiop[]\\',
+  'asdfghjkl;\'',
+  'zxcvbnm,./',
+];
+
+// Shifted symbols mapped to their unshifted key
+const SHIFTED_SYMBOLS = {
+  '~': '`', '!': '1', '@': '2', '#': '3', '$': '4', '%': '5', '^': '6',
+  '&': '7', '*': '8', '(': '9', ')': '0', '_': '-', '+': '=', '{': '[',
+  '}': ']', '|': '\\', ':': ';', '"': '\'', '<': ',', '>': '.', '?': '/',
+};
+
+// Frequent English digraphs are typed faster (motor chunking)
+const COMMON_DIGRAPHS = new Set([
+  'th', 'he', 'in', 'er', 'an', 're', 'on', 'at', 'en', 'nd',
+  'ti', 'es', 'or', 'te', 'of', 'ed', 'is', 'it', 'al', 'ar',
+  'st', 'to', 'nt', 'ng', 'se', 'ha', 'as', 'ou', 'io', 'le',
+]);
+
+/**
+ * Locate a key on the layout: { row, col, hand } or null
+ */
+function getKeyPosition(char) {
+  const key = (SHIFTED_SYMBOLS[char] ?? char).toLowerCase();
+
+  for (let row = 0; row < KEYBOARD_ROWS.length; row++) {
+    const col = KEYBOARD_ROWS[row].indexOf(key);
+    if (col !== -1) {
+      // Rough split: left hand covers the first five columns of each row
+      return { row, col, hand: col < 5 + (row === 0 ? 1 : 0) ? 'left' : 'right' };
+    }
+  }
 
-      // Human reaction time: 150-300ms (research-based)
-      baseReactionTime: options.baseReactionTime ?? 200,
-      reactionTimeVariance: options.reactionTimeVariance ?? 80,
+  return null;
+}
 
-      curveComplexity: options.curveComplexity ?? 'high',
-      debug: options.debug ?? false,
+/**
+ * Base class for interaction failures, carrying what a retry policy needs to react
+ *
+ * box/viewport: element box and viewport at the time of failure (null if unknown),
+ * coveringElement: element found on top at the sampled points ({ tag, id, classes, selector }),
+ * waitTimes: ms spent in each wait ({ scroll, clickable, stability }), attempts: polls made.
+ */
+class ShyMouseError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    if (details.cause) {
+      this.cause = details.cause; // Set by hand: Error's cause option needs Node 16.9
+    }
+    this.box = details.box ?? null;
+    this.viewport = details.viewport ?? null;
+    this.coveringElement = details.coveringElement ?? null;
+    this.occlusion = details.occlusion ?? null;
+    this.waitTimes = details.waitTimes ?? {};
+    this.attempts = details.attempts ?? 0;
+  }
+}
 
-      // Human behavior patterns (2025+ enhanced)
-      hesitationProbability: 0.08,
-      microCorrectionFrequency: 0.15,
-      targetDriftEnabled: true,
+class NotClickableError extends ShyMouseError {}
 
-      // Mouse polling rate simulation (60-144Hz typical)
-      minPollingInterval: 6.9, // 144Hz
-      maxPollingInterval: 16.6, // 60Hz
-      typicalPollingInterval: 10, // ~100Hz (most common)
+class UnstableElementError extends ShyMouseError {}
 
-      // Fitts's Law parameters (empirical research 2020-2025)
-      fittsA: 0.230, // Intercept (reaction/processing time in seconds)
-      fittsB: 0.166, // Slope (movement time coefficient)
+class BoundingBoxError extends ShyMouseError {}
 
-      // Advanced entropy and fractal parameters
-      fractalDepth: 3,
-      entropyTarget: 0.65, // Target entropy for natural unpredictability
-      jerkSmoothness: 0.85, // How smooth jerk transitions are (0-1)
-    };
+class ScrollFailedError extends ShyMouseError {}
 
-    this.setupNavigationListener();
-    this.setupConsoleLogger();
-  }
+class UnsupportedInputError extends ShyMouseError {}
+
+// Path samples per polling interval of movement time, by curveComplexity (anything else: 1)
+const CURVE_COMPLEXITY = { low: 0.7, high: 1.3 };
 
+/**
+ * Motion model interface
+ *
+ * A motion model turns a start/target pair into the points sent to page.mouse.move and
+ * decides the delay between them. Extend this class (or pass any object with the same
+ * methods) as the `motionModel` constructor option. The helpers below delegate to the
+ * owning ShyMouse, so models share its seeded random source, fatigue state and noise.
+ * Use one model instance per ShyMouse.
+ */
+class MotionModel {
   /**
-   * Setup navigation listener
+   * Called by the ShyMouse constructor
    */
-  setupNavigationListener() {
-    try {
-      this.page.on('framenavigated', () => {
-        this.invalidateViewportCache();
-        this.log('Frame navigated');
-      });
-    } catch (error) {
-      this.log('Navigation listener failed:', error.message);
-    }
+  attach(mouse) {
+    this.mouse = mouse;
   }
 
   /**
-   * Setup console logger
+   * Generate movement points: returns { points, finalPos, targetDrift, velocityProfile }
+   *
+   * points are { x, y } in viewport coordinates, excluding the start point. targetDrift
+   * ({ x, y } or null) and velocityProfile (one factor per point, or null) are optional.
    */
-  setupConsoleLogger() {
-    if (this.config.debug) {
-      try {
-        this.page.on('console', msg => {
-          console.log('[Page]', msg.type(), msg.text());
-        });
-      } catch (error) {
-        // Silent
-      }
-    }
+  generatePath(startX, startY, targetX, targetY, box, viewport, options) {
+    throw new Error('MotionModel.generatePath() is not implemented');
   }
 
   /**
-   * Log
+   * Delay in ms before the next point (phase: 0-1 progress, velocityFactor: from velocityProfile)
    */
-  log(...args) {
-    if (this.config.debug) {
-      console.log('[ShyMouse]', new Date().toISOString().substr(11, 12), ...args);
-    }
+  getPollingDelay(phase, velocityFactor = 1) {
+    throw new Error('MotionModel.getPollingDelay() is not implemented');
   }
 
-  /**
-   * Get viewport with retry
-   */
-  async getViewport(retries = 2) {
-    const now = Date.now();
+  get config() {
+    return this.mouse.config;
+  }
 
-    if (this.cachedViewport && (now - this.viewportCacheTime) < this.viewportCacheDuration) {
-      return this.cachedViewport;
-    }
+  get motionState() {
+    return this.mouse.motionState;
+  }
 
-    for (let attempt = 0; attempt <= retries; attempt++) {
-      try {
-        const viewportInfo = await this.page.evaluate(() => {
-          try {
-            return {
-              width: window.innerWidth,
-              height: window.innerHeight,
-              scrollX: window.scrollX || window.pageXOffset || 0,
-              scrollY: window.scrollY || window.pageYOffset || 0,
-              devicePixelRatio: window.devicePixelRatio || 1,
-              documentWidth: Math.max(
-                document.documentElement.scrollWidth || 0,
-                document.documentElement.offsetWidth || 0,
-                document.documentElement.clientWidth || 0,
-                document.body?.scrollWidth || 0,
-                document.body?.offsetWidth || 0
-              ),
-              documentHeight: Math.max(
-                document.documentElement.scrollHeight || 0,
-                document.documentElement.offsetHeight || 0,
-                document.documentElement.clientHeight || 0,
-                document.body?.scrollHeight || 0,
-                document.body?.offsetHeight || 0
-              ),
-            };
-          } catch (e) {
-            return null;
-          }
-        });
+  random() {
+    return this.mouse.random();
+  }
 
-        if (viewportInfo) {
-          this.cachedViewport = viewportInfo;
-          this.viewportCacheTime = now;
-          return viewportInfo;
-        }
+  randomGaussian(mean = 0, stdDev = 1) {
+    return this.mouse.randomGaussian(mean, stdDev);
+  }
 
-        if (attempt < retries) {
-          await this.randomDelay(50, 100);
-        }
-      } catch (error) {
-        this.log(`getViewport attempt ${attempt + 1} failed:`, error.message);
-        if (attempt < retries) {
-          await this.randomDelay(100, 200);
-        }
-      }
-    }
+  perlinNoise(x, y, seed) {
+    return this.mouse.perlinNoise(x, y, seed);
+  }
 
-    this.log('Using fallback viewport');
-    const fallback = {
-      width: 1920,
-      height: 1080,
-      scrollX: 0,
-      scrollY: 0,
-      devicePixelRatio: 1,
-      documentWidth: 1920,
-      documentHeight: 1080,
-    };
+  getNoiseTime() {
+    return this.mouse.getNoiseTime();
+  }
 
-    this.cachedViewport = fallback;
-    this.viewportCacheTime = now - (this.viewportCacheDuration - 500);
+  getBezierPoint(t, p0, p1, p2, p3) {
+    return this.mouse.getBezierPoint(t, p0, p1, p2, p3);
+  }
 
-    return fallback;
+  calculateDistance(p1, p2) {
+    return this.mouse.calculateDistance(p1, p2);
   }
 
-  /**
-   * Invalidate cache
-   */
-  invalidateViewportCache() {
-    this.cachedViewport = null;
-    this.viewportCacheTime = 0;
+  clamp(value, min, max) {
+    return this.mouse.clamp(value, min, max);
+  }
+
+  applyFatigue(baseValue) {
+    return this.mouse.applyFatigue(baseValue);
   }
 
+  log(...args) {
+    this.mouse.log(...args);
+  }
+}
+
+/**
+ * Default motion model: Fitts's Law timed Bezier paths, asymmetric velocity profile,
+ * multi-layer easing, overshoot with correction and 60-144Hz polling simulation
+ */
+class DefaultMotionModel extends MotionModel {
   /**
-   * Get element frame
+   * Calculate realistic polling delay with temporal correlation (2025+ enhanced)
    */
-  async getElementFrame(element) {
-    try {
-      const frame = await element.ownerFrame();
-      return frame || this.page.mainFrame();
-    } catch (error) {
-      this.log('getElementFrame failed:', error.message);
-      return this.page.mainFrame();
+  getPollingDelay(phase, velocityFactor = 1) {
+    // Temporal correlation: events are correlated with previous polling intervals
+    const correlation = this.motionState.temporalCorrelation;
+    const pollingPhase = this.motionState.pollingPhase;
+
+    let baseDelay;
+
+    // Correlated randomness (not pure random)
+    const correlatedRandom = this.random() * (1 - correlation) + pollingPhase * correlation;
+    this.motionState.pollingPhase = correlatedRandom; // Update for next call
+
+    if (correlatedRandom < 0.65) {
+      // 65% typical rate: ~100Hz (9-11ms)
+      baseDelay = this.config.typicalPollingInterval + this.randomGaussian(0, 1.5);
+    } else if (correlatedRandom < 0.82) {
+      // 17% faster: ~120-144Hz (6.9-8.5ms)
+      baseDelay = this.config.minPollingInterval + this.random() * 1.6;
+    } else {
+      // 18% slower: ~60-85Hz (11.8-16.6ms), between the typical and max interval
+      const slowest = this.config.maxPollingInterval;
+      const slowMin = this.config.typicalPollingInterval + (slowest - this.config.typicalPollingInterval) * 0.27;
+      baseDelay = slowMin + this.random() * (slowest - slowMin);
+    }
+
+    // Phase modulation: velocity-dependent timing (Fitts's Law influence)
+    if (phase > 0.3 && phase < 0.7) {
+      // Cruise phase: faster polling during fast movement
+      baseDelay *= 0.88 * velocityFactor;
+    } else if (phase > 0.85) {
+      // Precision phase: slower, more deliberate
+      baseDelay *= 1.25;
+    } else if (phase < 0.15) {
+      // Acceleration phase: variable timing
+      baseDelay *= 0.95 + this.random() * 0.15;
     }
+
+    // Entropy-based micro-variation (fractal-like)
+    const entropyNoise = this.perlinNoise(
+      this.getNoiseTime() * 0.01,
+      this.motionState.entropyAccumulator,
+      this.motionState.perlinSeed
+    );
+    baseDelay += entropyNoise * 1.2;
+    this.motionState.entropyAccumulator += 0.1;
+
+    // Physiological limits: can't be perfectly regular
+    baseDelay += Math.sin(this.getNoiseTime() * 0.01) * 0.5;
+
+    return this.clamp(baseDelay, this.config.minPollingInterval, this.config.maxPollingInterval);
   }
 
   /**
-   * Get scroll container using evaluateHandle (no DOM injection)
+   * Calculate ultra-realistic Bezier points with Fitts's Law timing (2025+ enhanced)
    */
-  async getScrollContainer(element) {
-    try {
-      // Use evaluateHandle to get container reference without DOM modification
-      const containerHandle = await element.evaluateHandle(el => {
-        try {
-          // Helper: traverse shadow boundaries and slot assignments
-          function getComposedParentNode(node) {
-            if (!node) return null;
-            if (node.assignedSlot) return node.assignedSlot;
-            const parent = node.parentNode;
-            if (!parent) return null;
-            if (parent instanceof ShadowRoot) return parent.host;
-            if (parent instanceof Element) return parent;
-            return null;
-          }
+  generatePath(startX, startY, targetX, targetY, box, viewport, options) {
+    const D = this.calculateDistance({ x: startX, y: startY }, { x: targetX, y: targetY });
 
-          let parent = getComposedParentNode(el);
-          let depth = 0;
+    const W = box ? Math.min(box.width, box.height) : (options.defaultTargetWidth ?? 100);
 
-          while (parent && parent !== document.documentElement && depth < 50) {
-            const style = window.getComputedStyle(parent);
-            const overflow = style.overflow + style.overflowY + style.overflowX;
+    // Correct Fitts's Law: ID = log2(D/W + 1)
+    const ID = Math.log2(D / W + 1);
 
-            if (/(auto|scroll)/.test(overflow)) {
-              return parent;
-            }
+    // Fitts's Law: MT = a + b·ID (in seconds)
+    // Convert to milliseconds and use for timing
+    const predictedMT = (this.config.fittsA + this.config.fittsB * ID) * 1000;
+    const adjustedMT = predictedMT * this.config.fatigueMultiplier * (0.95 + this.random() * 0.1);
 
-            parent = getComposedParentNode(parent);
-            depth++;
-          }
+    // Loaded movement (button held): slower and more careful
+    const dragFactor = options.isDragging ? (options.dragSlowdown ?? 1.4) : 1;
 
-          return null; // Window scroll
-        } catch (e) {
-          return null;
-        }
-      });
+    const complexityMultiplier = CURVE_COMPLEXITY[this.config.curveComplexity] ?? 1.0;
 
-      // Check if we got a valid container
-      const isContainer = await containerHandle.evaluate(node => node !== null);
+    // Calculate number of points based on movement time and polling rate
+    // MT / avgPollingInterval = approximate number of points
+    let baseNumPoints = Math.round(adjustedMT * dragFactor / this.config.typicalPollingInterval);
+    baseNumPoints = Math.max(15, Math.round(baseNumPoints * complexityMultiplier));
+    baseNumPoints = this.applyFatigue(baseNumPoints);
+    const numPoints = options.numPoints ?? baseNumPoints;
 
-      if (isContainer) {
-        // Get container info
-        const containerInfo = await containerHandle.evaluate(container => {
-          try {
-            const rect = container.getBoundingClientRect();
-            return {
-              isWindow: false,
-              scrollTop: container.scrollTop,
-              scrollLeft: container.scrollLeft,
+    const primaryControls = this.calculateRealisticControlPoints(
+      startX, startY, targetX, targetY, D, options
+    );
+
+    let targetDrift = null;
+    if (this.config.targetDriftEnabled && !options.isApproach && D > 100) {
+      const driftMagnitude = this.randomGaussian(0, 3 * this.config.fatigueMultiplier);
+      targetDrift = {
+        x: driftMagnitude,
+        y: driftMagnitude
+      };
+    }
+
+    const baseJitter = options.jitterStdDev ?? 1.5;
+    const jitterStdDev = baseJitter * this.config.fatigueMultiplier;
+    const points = [];
+
+    // Generate realistic velocity profile (bell curve for ballistic movement)
+    const velocityProfile = this.generateVelocityProfile(numPoints, D);
+
+    for (let i = 1; i <= numPoints; i++) {
+      const linearT = i / numPoints;
+      const easedT = this.multiLayerEasing(linearT, D);
+
+      let point = this.getBezierPoint(easedT,
+        primaryControls.p0,
+        primaryControls.p1,
+        primaryControls.p2,
+        primaryControls.p3
+      );
+
+      // Micro-corrections with fractal depth
+      if (this.random() < this.config.microCorrectionFrequency && linearT > 0.2 && linearT < 0.9) {
+        const correctionAngle = this.random() * Math.PI * 2;
+        const correctionMagnitude = this.randomGaussian(0, 4 * this.config.fatigueMultiplier);
+
+        // Add fractal sub-movements (multiple scales)
+        for (let depth = 0; depth < this.config.fractalDepth; depth++) {
+          const scale = Math.pow(0.5, depth);
+          const fractalNoise = this.perlinNoise(
+            i * 0.1 * (depth + 1),
+            linearT * 10 * (depth + 1),
+            this.motionState.perlinSeed + depth
+          );
+          point.x += Math.cos(correctionAngle) * correctionMagnitude * scale + fractalNoise * scale;
+          point.y += Math.sin(correctionAngle) * correctionMagnitude * scale + fractalNoise * scale;
+        }
+      }
+
+      // Progressive jitter with velocity-dependent noise
+      const progressFactor = 1 - easedT;
+      const distanceToEnd = progressFactor * D;
+      const velocityInfluence = velocityProfile[i - 1];
+      const adaptiveJitter = jitterStdDev * Math.min(1.5, distanceToEnd / 70) * (0.8 + velocityInfluence * 0.4);
+
+      // Multi-scale noise (combining Gaussian and Perlin)
+      const gaussianNoise = this.randomGaussian(0, adaptiveJitter);
+      const perlinNoiseX = this.perlinNoise(i * 0.15, 0, this.motionState.perlinSeed) * adaptiveJitter * 0.3;
+      const perlinNoiseY = this.perlinNoise(0, i * 0.15, this.motionState.perlinSeed + 1) * adaptiveJitter * 0.3;
+
+      point.x += gaussianNoise + perlinNoiseX;
+      point.y += gaussianNoise + perlinNoiseY;
+
+      // Attention errors
+      if (this.config.attentionSpan < 0.95) {
+        if (this.random() > this.config.attentionSpan) {
+          const errorMagnitude = (1 - this.config.attentionSpan) * 18 * this.config.fatigueMultiplier;
+          point.x += this.randomGaussian(0, errorMagnitude * 0.25);
+          point.y += this.randomGaussian(0, errorMagnitude * 0.25);
+        }
+      }
+
+      // Sub-movements
+      if (linearT > 0.3 && linearT < 0.85 && this.random() < 0.12) {
+        const subMovement = this.randomGaussian(0, 2.5 * this.config.fatigueMultiplier);
+        point.x += subMovement;
+        point.y += subMovement;
+      }
+
+      // Angular velocity variation
+      if (i > 1 && this.random() < 0.2) {
+        const prevPoint = points[points.length - 1];
+        const angle = Math.atan2(point.y - prevPoint.y, point.x - prevPoint.x);
+        const angleVariation = this.randomGaussian(0, 0.08);
+        const dist = this.calculateDistance(prevPoint, point);
+
+        point.x = prevPoint.x + Math.cos(angle + angleVariation) * dist;
+        point.y = prevPoint.y + Math.sin(angle + angleVariation) * dist;
+      }
+
+      point.x = this.clamp(point.x, 0, viewport.width - 1);
+      point.y = this.clamp(point.y, 0, viewport.height - 1);
+
+      points.push(point);
+    }
+
+    const result = this.handleRealisticOvershoot(
+      startX, startY, targetX, targetY, box, viewport, points, options, D, W
+    );
+
+    return {
+      points: result.points,
+      finalPos: result.finalPos,
+      targetDrift: targetDrift,
+      velocityProfile: velocityProfile
+    };
+  }
+
+  /**
+   * Generate realistic velocity profile (bell curve for ballistic movements)
+   * Based on research: human movements follow asymmetric bell-shaped velocity profiles
+   */
+  generateVelocityProfile(numPoints, distance) {
+    const profile = [];
+    const peakPosition = this.config.velocityPeak + (this.random() - 0.5) * 0.15; // Peak velocity at 40-55% of movement by default
+
+    for (let i = 0; i < numPoints; i++) {
+      const t = i / numPoints;
+
+      // Asymmetric Gaussian (skewed bell curve)
+      let velocity;
+      if (t < peakPosition) {
+        // Acceleration phase (slightly faster rise)
+        const normT = t / peakPosition;
+        velocity = Math.exp(-Math.pow((normT - 1) * 2.2, 2));
+      } else {
+        // Deceleration phase (slower, more controlled)
+        const normT = (t - peakPosition) / (1 - peakPosition);
+        velocity = Math.exp(-Math.pow(normT * 2.8, 2));
+      }
+
+      // Add natural variation with Perlin noise
+      const noiseVariation = this.perlinNoise(i * 0.1, 0, this.motionState.perlinSeed + 100);
+      velocity *= (1 + noiseVariation * 0.15);
+
+      // Minimum velocity (never completely stop in the middle)
+      velocity = Math.max(0.1, velocity);
+
+      profile.push(velocity);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Realistic control points
+   */
+  calculateRealisticControlPoints(startX, startY, targetX, targetY, D, options) {
+    const dx = targetX - startX;
+    const dy = targetY - startY;
+
+    const baseDeviation = D * (0.10 + this.random() * 0.32);
+    let deviation = options.isApproach ? baseDeviation * 0.35 : baseDeviation;
+
+    // Dragging keeps the path straighter (arm is tense, eyes on the drop zone)
+    if (options.isDragging) {
+      deviation *= 0.6;
+    }
+
+    const length = Math.sqrt(dx * dx + dy * dy) || 1;
+    const perpX = -dy / length;
+    const perpY = dx / length;
+
+    const directionBias = this.random() < 0.65 ? 1 : -1;
+
+    const c1FactorBase = 0.18 + this.random() * 0.24;
+    const c2FactorBase = 0.54 + this.random() * 0.28;
+
+    const asymmetry = (this.random() - 0.5) * 0.22;
+    const c1Factor = this.clamp(c1FactorBase + asymmetry, 0.15, 0.48);
+    const c2Factor = this.clamp(c2FactorBase - asymmetry, 0.50, 0.88);
+
+    const c1Deviation = deviation * (0.5 + this.random() * 0.6);
+    const c2Deviation = deviation * (0.4 + this.random() * 0.7);
+
+    const fatigueImpact = this.config.fatigueMultiplier;
+    const c1x = startX + dx * c1Factor + directionBias * c1Deviation * perpX * fatigueImpact;
+    const c1y = startY + dy * c1Factor + directionBias * c1Deviation * perpY * fatigueImpact;
+
+    const c2x = startX + dx * c2Factor + directionBias * c2Deviation * perpX * fatigueImpact;
+    const c2y = startY + dy * c2Factor + directionBias * c2Deviation * perpY * fatigueImpact;
+
+    return {
+      p0: { x: startX, y: startY },
+      p1: { x: c1x, y: c1y },
+      p2: { x: c2x, y: c2y },
+      p3: { x: targetX, y: targetY }
+    };
+  }
+
+  /**
+   * Multi-layer easing with advanced entropy (2025+ enhanced)
+   */
+  multiLayerEasing(t, distance) {
+    let eased = t < 0.5
+      ? 4 * t * t * t
+      : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+    // Micro-variations with fractal noise
+    const microVariation = (this.random() - 0.5) * 0.02;
+    const fractalVariation = this.perlinNoise(t * 5, distance * 0.01, this.motionState.perlinSeed) * 0.015;
+    eased += microVariation + fractalVariation;
+
+    // Tremor (high-frequency noise) with temporal correlation
+    const tremorPhase = this.getNoiseTime() * 0.01 + t * Math.PI * 8;
+    const tremor = Math.sin(tremorPhase) * 0.008 * this.motionState.temporalCorrelation;
+    eased += tremor;
+
+    // Attention lapses with entropy-based probability
+    const currentEntropy = this.motionState.entropyAccumulator % 1;
+    const lapseProb = (1 - this.config.attentionSpan) * (1 + currentEntropy) * 0.1;
+    if (this.random() < lapseProb) {
+      const lapse = this.randomGaussian(0, 0.025);
+      eased += lapse;
+      this.log('Attention lapse at t=', t.toFixed(3));
+    }
+
+    // Distance-based hesitation with Fitts's Law influence
+    const ID = Math.log2(distance / 100 + 1);
+    const hesitationProb = 0.04 * (ID / 5); // Higher ID = more difficult = more hesitation
+    if (distance > 500 && t > 0.35 && t < 0.65 && this.random() < hesitationProb) {
+      eased *= 0.92;
+    }
+
+    // Sub-pixel precision errors (humans can't be perfectly precise)
+    if (t > 0.8) {
+      const precisionError = this.randomGaussian(0, 0.008 * this.config.fatigueMultiplier);
+      eased += precisionError;
+    }
+
+    return this.clamp(eased, 0, 1);
+  }
+
+  /**
+   * Realistic overshoot
+   */
+  handleRealisticOvershoot(startX, startY, targetX, targetY, box, viewport, points, options, D, W) {
+    const adjustedOvershootProb = (options.overshootProb ?? this.config.overshootProbability) * this.config.fatigueMultiplier;
+    const isRandomTarget = !box;
+
+    const shouldOvershoot = !isRandomTarget &&
+                            !options.isApproach &&
+                            D > 120 &&
+                            this.random() < adjustedOvershootProb &&
+                            this.config.attentionSpan < 0.92;
+
+    if (!shouldOvershoot) {
+      return { points, finalPos: { x: targetX, y: targetY } };
+    }
+
+    const dx = targetX - startX;
+    const dy = targetY - startY;
+    const length = Math.sqrt(dx * dx + dy * dy) || 1;
+    const dirX = dx / length;
+    const dirY = dy / length;
+
+    let overshootFactor = (0.08 + this.random() * 0.20) * this.config.fatigueMultiplier;
+    let overshootDist = overshootFactor * W;
+
+    let overshootX = targetX + dirX * overshootDist;
+    let overshootY = targetY + dirY * overshootDist;
+
+    const margin = 20;
+    if (overshootX < margin || overshootX >= viewport.width - margin ||
+        overshootY < margin || overshootY >= viewport.height - margin) {
+      overshootDist *= 0.5;
+      overshootX = targetX + dirX * overshootDist;
+      overshootY = targetY + dirY * overshootDist;
+    }
+
+    overshootX = this.clamp(overshootX, margin, viewport.width - margin);
+    overshootY = this.clamp(overshootY, margin, viewport.height - margin);
+
+    const overshootResult = this.generatePath(
+      startX, startY, overshootX, overshootY, box, viewport,
+      { ...options, overshootProb: 0 }
+    );
+
+    const correctionPoints = this.generateRealisticCorrectionPath(
+      overshootX, overshootY, targetX, targetY, viewport, options
+    );
+
+    return {
+      points: overshootResult.points.concat(correctionPoints),
+      finalPos: { x: targetX, y: targetY }
+    };
+  }
+
+  /**
+   * Correction path
+   */
+  generateRealisticCorrectionPath(overshootX, overshootY, targetX, targetY, viewport, options) {
+    const correctionD = this.calculateDistance(
+      { x: overshootX, y: overshootY },
+      { x: targetX, y: targetY }
+    );
+
+    const correctionNumPoints = Math.max(8, Math.round(correctionD / 10));
+    const baseJitter = options.jitterStdDev ?? 1.5;
+    const jitterStdDev = baseJitter * 0.6 * this.config.fatigueMultiplier;
+
+    const dx = targetX - overshootX;
+    const dy = targetY - overshootY;
+    const length = Math.sqrt(dx * dx + dy * dy) || 1;
+
+    const correctionDeviation = correctionD * (0.03 + this.random() * 0.09);
+    const perpX = -dy / length;
+    const perpY = dx / length;
+    const correctionSign = this.random() < 0.5 ? -1 : 1;
+
+    const c1x = overshootX + dx * 0.32 + correctionSign * correctionDeviation * perpX * this.random();
+    const c1y = overshootY + dy * 0.32 + correctionSign * correctionDeviation * perpY * this.random();
+    const c2x = overshootX + dx * 0.75 + correctionSign * correctionDeviation * perpX * this.random();
+    const c2y = overshootY + dy * 0.75 + correctionSign * correctionDeviation * perpY * this.random();
+
+    const p0 = { x: overshootX, y: overshootY };
+    const p1 = { x: c1x, y: c1y };
+    const p2 = { x: c2x, y: c2y };
+    const p3 = { x: targetX, y: targetY };
+
+    const correctionPoints = [];
+
+    for (let i = 1; i <= correctionNumPoints; i++) {
+      const linearT = i / correctionNumPoints;
+      const easedT = this.multiLayerEasing(linearT, correctionD);
+
+      let point = this.getBezierPoint(easedT, p0, p1, p2, p3);
+
+      point.x += this.randomGaussian(0, jitterStdDev);
+      point.y += this.randomGaussian(0, jitterStdDev);
+
+      point.x = this.clamp(point.x, 0, viewport.width - 1);
+      point.y = this.clamp(point.y, 0, viewport.height - 1);
+
+      correctionPoints.push(point);
+    }
+
+    return correctionPoints;
+  }
+}
+
+/**
+ * Records every mouse event sent to the page, with high-resolution timestamps
+ */
+class TrajectoryRecorder {
+  constructor(options = {}) {
+    this.maxEvents = options.maxEvents ?? Infinity;
+    this.events = [];
+    this.startTime = performance.now();
+    this.startEpoch = performance.timeOrigin + this.startTime;
+  }
+
+  /**
+   * Add an event: type is 'move' | 'down' | 'up' | 'wheel' | 'tap' | 'touchstart' | 'touchmove' | 'touchend'
+   */
+  record(type, data = {}) {
+    if (this.events.length >= this.maxEvents) return;
+
+    this.events.push({
+      t: performance.now() - this.startTime, // ms since recording started (sub-ms precision)
+      type,
+      x: data.x ?? null,
+      y: data.y ?? null,
+      deltaX: data.deltaX ?? null,
+      deltaY: data.deltaY ?? null,
+      button: data.button ?? null,
+      clickCount: data.clickCount ?? null,
+      action: data.action ?? null,
+      actionId: data.actionId ?? null,
+      target: data.target ?? null, // Box of the element a press was aimed at
+    });
+  }
+
+  /**
+   * Remove all events and restart the clock
+   */
+  clear() {
+    this.events = [];
+    this.startTime = performance.now();
+    this.startEpoch = performance.timeOrigin + this.startTime;
+  }
+
+  /**
+   * Plain object for JSON.stringify
+   */
+  toJSON() {
+    return {
+      version: 1,
+      startEpoch: this.startEpoch,
+      events: this.events
+    };
+  }
+
+  /**
+   * CSV with a header row, empty cells for fields that don't apply to an event type
+   */
+  toCSV() {
+    const columns = ['t', 'type', 'x', 'y', 'deltaX', 'deltaY', 'button', 'clickCount', 'action', 'actionId'];
+    const rows = [columns.join(',')];
+
+    for (const event of this.events) {
+      rows.push(columns.map(column => {
+        const value = event[column];
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return column === 't' ? value.toFixed(3) : String(Math.round(value * 1000) / 1000);
+        return /[",\n]/.test(value) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+      }).join(','));
+    }
+
+    return rows.join('\n');
+  }
+}
+
+/**
+ * Accept the different trace shapes replay() and calibrateProfile() support,
+ * returns events sorted by time
+ */
+function normalizeTrace(trace) {
+  let events = trace;
+
+  if (typeof events === 'string') {
+    events = JSON.parse(events);
+  }
+  if (events && typeof events.toJSON === 'function' && !Array.isArray(events)) {
+    events = events.toJSON();
+  }
+  if (events && Array.isArray(events.events)) {
+    events = events.events;
+  }
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error('Trace must be a non-empty array of events');
+  }
+
+  return events
+    .filter(event => event && typeof event.t === 'number' && typeof event.type === 'string')
+    .sort((a, b) => a.t - b.t);
+}
+
+function median(values) {
+  return percentile(values, 0.5);
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Split a trace into movements: runs of move events broken by buttons, wheel or long pauses
+ */
+function segmentMovements(events, segmentGap) {
+  const movements = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length >= 3) movements.push(current);
+    current = [];
+  };
+
+  for (const event of events) {
+    if (event.type !== 'move' || typeof event.x !== 'number' || typeof event.y !== 'number') {
+      flush();
+      continue;
+    }
+    if (current.length > 0 && event.t - current[current.length - 1].t > segmentGap) {
+      flush();
+    }
+    current.push(event);
+  }
+  flush();
+
+  return movements;
+}
+
+/**
+ * Cross-track path noise of movements, as histograms of residual size
+ *
+ * The residual is a sample's offset from the midpoint of its neighbours, across the heading.
+ * Samples are grouped by how diagonal that direction is (jitter and jerk noise move x and y
+ * by the same amount) and by phase (micro-corrections only happen between 20% and 90%).
+ */
+function pathNoiseHistogram(movements) {
+  const edges = [1.5, 3, 4.5, 6, 9];
+  const groups = Array.from({ length: 5 }, () => new Array(edges.length + 1).fill(0));
+
+  for (const movement of movements) {
+    for (let i = 1; i < movement.length - 1; i++) {
+      const prev = movement[i - 1];
+      const next = movement[i + 1];
+      const length = Math.hypot(next.x - prev.x, next.y - prev.y);
+      if (length < 1) continue;
+
+      const nx = -(next.y - prev.y) / length;
+      const ny = (next.x - prev.x) / length;
+      const residual = Math.abs((movement[i].x - (prev.x + next.x) / 2) * nx + (movement[i].y - (prev.y + next.y) / 2) * ny);
+      const diagonal = Math.abs(nx + ny) / Math.SQRT2;
+      const phase = i / movement.length;
+
+      let group;
+      if (phase > 0.2 && phase < 0.9) {
+        group = diagonal < 0.3 ? 0 : diagonal < 0.75 ? 1 : 2;
+      } else if (diagonal >= 0.5) {
+        group = phase <= 0.2 ? 3 : 4;
+      } else {
+        continue;
+      }
+
+      let bin = 0;
+      while (bin < edges.length && residual > edges[bin]) bin++;
+      groups[group][bin]++;
+    }
+  }
+
+  return groups.map(counts => {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    return { total, shares: counts.map(count => count / (total || 1)) };
+  });
+}
+
+/**
+ * Replay movements through the default motion model: same endpoints, sample counts and
+ * times, path generation plus the physics step of moveToPosition, without waiting
+ */
+function simulateMovements(movements, options) {
+  const mouse = new ShyMouse(null, options);
+  const viewport = {
+    width: Math.max(...movements.flatMap(movement => movement.map(p => p.x))) + 1,
+    height: Math.max(...movements.flatMap(movement => movement.map(p => p.y))) + 1
+  };
+
+  return movements.map(movement => {
+    // The recording starts one step past the real start and its last sample carries the final
+    // noise on top of the target: start one step back, aim where the movement settled
+    const start = {
+      x: 2 * movement[0].x - movement[1].x,
+      y: 2 * movement[0].y - movement[1].y
+    };
+    const settled = movement.slice(-3);
+    const end = {
+      x: settled.reduce((sum, p) => sum + p.x, 0) / settled.length,
+      y: settled.reduce((sum, p) => sum + p.y, 0) / settled.length
+    };
+    mouse.noiseClock = movement[0].t;
+    const { points, targetDrift, velocityProfile } = mouse.motionModel.generatePath(
+      start.x, start.y, end.x, end.y, null, viewport, { numPoints: movement.length }
+    );
+
+    let state = {
+      lastPoint: start,
+      lastVelocity: mouse.motionState.lastVelocity,
+      lastAcceleration: mouse.motionState.lastAcceleration
+    };
+    points.forEach((point, i) => {
+      const { velocity, acceleration, jerk } = mouse.applyMotionPhysics(point, i, points.length, targetDrift, state);
+      point.x = mouse.clamp(point.x, 0, viewport.width - 1);
+      point.y = mouse.clamp(point.y, 0, viewport.height - 1);
+
+      state = { lastPoint: point, lastVelocity: velocity, lastAcceleration: acceleration };
+      mouse.motionState.lastJerk = jerk;
+
+      // Polling moves the noise state on as in moveToPosition; the recording keeps the time
+      mouse.motionModel.getPollingDelay(i / points.length, velocityProfile ? velocityProfile[i] : 1);
+      mouse.noiseClock = movement[Math.min(i + 1, movement.length - 1)].t;
+    });
+    mouse.motionState.lastVelocity = state.lastVelocity;
+    mouse.motionState.lastAcceleration = state.lastAcceleration;
+    mouse.motionState.temporalCorrelation = Math.min(0.9, mouse.motionState.temporalCorrelation + 0.05);
+
+    return points;
+  });
+}
+
+/**
+ * Fit microCorrectionFrequency and jerkSmoothness: simulate the recorded movements for pairs
+ * of both, on a coarse grid and then around the best pair, and keep the pair whose path
+ * noise histograms match the recording best
+ */
+function fitPathNoise(movements, profile, options) {
+  const observed = pathNoiseHistogram(movements);
+
+  // A spread-out sample of at most 40 movements
+  const step = Math.max(1, movements.length / 40);
+  const sample = [];
+  for (let i = 0; i < movements.length && sample.length < 40; i += step) {
+    sample.push(movements[Math.floor(i)]);
+  }
+
+  const tried = new Map();
+  let best = null;
+
+  const evaluate = (microCorrectionFrequency, jerkSmoothness) => {
+    const key = `${microCorrectionFrequency}/${jerkSmoothness}`;
+    if (tried.has(key)) return;
+
+    // Three sessions, so the per-session noise seeds average out too
+    const simulated = pathNoiseHistogram([1, 2, 3].flatMap(run => simulateMovements(sample, {
+      seed: `${options.seed}-${run}`,
+      curveComplexity: options.curveComplexity,
+      fatigueEnabled: false,
+      profile: { ...profile, microCorrectionFrequency, jerkSmoothness }
+    })));
+
+    // Squared share differences, each scaled by its sampling variance
+    let error = 0;
+    observed.forEach((group, g) => {
+      if (group.total === 0 || simulated[g].total === 0) return;
+      group.shares.forEach((share, bin) => {
+        const expected = Math.max(simulated[g].shares[bin], 0.005);
+        error += (share - simulated[g].shares[bin]) ** 2 / (expected / group.total + expected / simulated[g].total);
+      });
+    });
+
+    tried.set(key, error);
+    if (!best || error < best.error) {
+      best = { error, microCorrectionFrequency, jerkSmoothness };
+    }
+  };
+
+  for (let m = 0; m <= 10; m++) {
+    for (const jerkSmoothness of [0, 0.2, 0.4, 0.6, 0.75, 0.85, 0.95]) {
+      evaluate(m * 0.05, jerkSmoothness);
+    }
+  }
+
+  const coarse = best;
+  for (let dm = -2; dm <= 2; dm++) {
+    for (let ds = -2; ds <= 2; ds++) {
+      const microCorrectionFrequency = Math.round((coarse.microCorrectionFrequency + dm * 0.025) * 1000) / 1000;
+      const jerkSmoothness = Math.round((coarse.jerkSmoothness + ds * 0.05) * 100) / 100;
+      if (microCorrectionFrequency >= 0 && jerkSmoothness >= 0 && jerkSmoothness <= 0.98) {
+        evaluate(microCorrectionFrequency, jerkSmoothness);
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Fit motion parameters to recorded human movements
+ *
+ * traces: one trace or an array of traces in any shape replay() accepts. Returns a profile
+ * to pass as the `profile` constructor option. Parameters without enough data to fit are
+ * left out, so the defaults apply to them. Each parameter is fitted to what it drives in the
+ * default motion model: Fitts's law to the samples per movement, polling intervals to the
+ * phases without velocity modulation, microCorrectionFrequency and jerkSmoothness by
+ * simulating the model over the recorded movements (takes a second or two).
+ *
+ * Options: targetWidth (px, used for the Fitts index of difficulty, default 100),
+ * segmentGap (ms of stillness that ends a movement, default 300), minDistance (px, default 20),
+ * hesitationGap (ms between samples counted as a hesitation, default 40),
+ * curveComplexity (the one the profile will run with, default 'high'),
+ * seed (of the simulated movements, default 'calibrate')
+ */
+function calibrateProfile(traces, options = {}) {
+  const targetWidth = options.targetWidth ?? 100;
+  const segmentGap = options.segmentGap ?? 300;
+  const minDistance = options.minDistance ?? 20;
+  const hesitationGap = options.hesitationGap ?? 40;
+  const curveComplexity = options.curveComplexity ?? 'high';
+  const seed = options.seed ?? 'calibrate';
+
+  const traceList = Array.isArray(traces) && typeof traces[0]?.t !== 'number' ? traces : [traces];
+  const movements = traceList
+    .flatMap(trace => segmentMovements(normalizeTrace(trace), segmentGap))
+    .filter(movement => {
+      const first = movement[0];
+      const last = movement[movement.length - 1];
+      return Math.hypot(last.x - first.x, last.y - first.y) >= minDistance;
+    });
+
+  const intervals = [];
+  const peaks = [];
+  let midSamples = 0;
+  let hesitations = 0;
+  let overshootCandidates = 0;
+  let overshoots = 0;
+
+  for (const movement of movements) {
+    const first = movement[0];
+    const last = movement[movement.length - 1];
+    const dx = last.x - first.x;
+    const dy = last.y - first.y;
+    const D = Math.hypot(dx, dy);
+    const duration = last.t - first.t;
+
+    // The wait after sample i has phase i / samples, as in moveToPosition. Polling intervals come
+    // from the phases the model does not speed up or slow down; hesitations are long mid gaps
+    for (let i = 0; i < movement.length - 1; i++) {
+      const dt = movement[i + 1].t - movement[i].t;
+      const phase = i / movement.length;
+      const unmodulated = (phase >= 0.15 && phase <= 0.3) || (phase >= 0.7 && phase <= 0.85);
+
+      if (dt > hesitationGap) {
+        if (phase > 0.2 && phase < 0.8) hesitations++;
+      } else if (dt > 0 && unmodulated) {
+        intervals.push(dt);
+      }
+      if (phase > 0.2 && phase < 0.8) midSamples++;
+    }
+
+    // Velocity peak: time fraction of the highest (3-sample smoothed) speed
+    const speeds = [];
+    for (let i = 1; i < movement.length; i++) {
+      const dt = movement[i].t - movement[i - 1].t;
+      const step = Math.hypot(movement[i].x - movement[i - 1].x, movement[i].y - movement[i - 1].y);
+      speeds.push({ t: movement[i].t, v: dt > 0 ? step / dt : 0 });
+    }
+    if (speeds.length >= 5 && duration > 0) {
+      let peak = null;
+      for (let i = 1; i < speeds.length - 1; i++) {
+        const v = (speeds[i - 1].v + speeds[i].v + speeds[i + 1].v) / 3;
+        if (!peak || v > peak.v) peak = { t: speeds[i].t, v };
+      }
+      peaks.push((peak.t - first.t) / duration);
+    }
+
+    // Overshoot: the pointer travelled past the final position along the movement axis
+    if (D > 120) {
+      overshootCandidates++;
+      const maxProjection = Math.max(...movement.map(p => ((p.x - first.x) * dx + (p.y - first.y) * dy) / D));
+      if (maxProjection - D > Math.max(3, D * 0.02)) overshoots++;
+    }
+  }
+
+  const profile = {
+    version: 1,
+    samples: { movements: movements.length, intervals: intervals.length }
+  };
+
+  // moveToPosition waits randomDelay(d, d + 2) after each sample, 1ms over the model's delay on average
+  if (intervals.length >= 20) {
+    profile.typicalPollingInterval = median(intervals) - 1;
+    profile.minPollingInterval = Math.min(profile.typicalPollingInterval, percentile(intervals, 0.05) - 1);
+    profile.maxPollingInterval = Math.max(profile.typicalPollingInterval, percentile(intervals, 0.95) - 1);
+  }
+
+  // Fitts's law by least squares: MT = a + b·ID. The model samples a movement once per typical
+  // polling interval of MT, times the curve complexity, with a floor of 15 samples
+  const sampleTime = (profile.typicalPollingInterval ?? 10) / (CURVE_COMPLEXITY[curveComplexity] ?? 1.0);
+  const fitts = movements
+    .filter(movement => movement.length > 16)
+    .map(movement => {
+      const first = movement[0];
+      const last = movement[movement.length - 1];
+      const D = Math.hypot(last.x - first.x, last.y - first.y);
+      return { ID: Math.log2(D / targetWidth + 1), MT: movement.length * sampleTime / 1000 };
+    });
+
+  if (fitts.length >= 3) {
+    const meanID = fitts.reduce((sum, m) => sum + m.ID, 0) / fitts.length;
+    const meanMT = fitts.reduce((sum, m) => sum + m.MT, 0) / fitts.length;
+    const varID = fitts.reduce((sum, m) => sum + (m.ID - meanID) ** 2, 0);
+
+    if (varID > 0.05) {
+      const cov = fitts.reduce((sum, m) => sum + (m.ID - meanID) * (m.MT - meanMT), 0);
+      const fittsB = Math.min(1, Math.max(0.01, cov / varID));
+      profile.fittsA = Math.min(2, Math.max(0, meanMT - fittsB * meanID));
+      profile.fittsB = fittsB;
+    }
+  }
+
+  if (midSamples >= 20) {
+    profile.hesitationProbability = hesitations / midSamples;
+  }
+
+  if (peaks.length >= 3) {
+    profile.velocityPeak = Math.min(0.8, Math.max(0.2, median(peaks)));
+  }
+
+  if (overshootCandidates >= 3) {
+    profile.overshootProbability = overshoots / overshootCandidates;
+  }
+
+  const noiseMovements = movements.filter(movement => movement.length >= 10);
+  if (noiseMovements.length >= 5) {
+    const noise = fitPathNoise(noiseMovements, profile, { seed, curveComplexity });
+    profile.microCorrectionFrequency = noise.microCorrectionFrequency;
+    profile.jerkSmoothness = noise.jerkSmoothness;
+  }
+
+  return profile;
+}
+
+/**
+ * Speed peaks of a movement that are separated by a real dip (sub-movements)
+ */
+function countSpeedPeaks(movement) {
+  const speeds = [];
+  for (let i = 1; i < movement.length; i++) {
+    const dt = movement[i].t - movement[i - 1].t;
+    const step = Math.hypot(movement[i].x - movement[i - 1].x, movement[i].y - movement[i - 1].y);
+    speeds.push(dt > 0 ? step / dt : 0);
+  }
+
+  const smoothed = speeds.map((_, i) => {
+    const window = speeds.slice(Math.max(0, i - 1), i + 2);
+    return window.reduce((sum, v) => sum + v, 0) / window.length;
+  });
+  const maxSpeed = Math.max(...smoothed);
+
+  const peaks = [];
+  let valley = Infinity;
+  for (let i = 1; i < smoothed.length - 1; i++) {
+    valley = Math.min(valley, smoothed[i]);
+    if (smoothed[i] >= smoothed[i - 1] && smoothed[i] > smoothed[i + 1] && smoothed[i] > maxSpeed * 0.2) {
+      const previous = peaks[peaks.length - 1];
+      if (previous !== undefined && valley > Math.min(previous, smoothed[i]) * 0.85) {
+        // No real dip in between: same sub-movement
+        peaks[peaks.length - 1] = Math.max(previous, smoothed[i]);
+      } else {
+        peaks.push(smoothed[i]);
+      }
+      valley = Infinity;
+    }
+  }
+
+  return peaks.length;
+}
+
+function coefficientOfVariation(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  if (mean === 0) return 0;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance) / mean;
+}
+
+/**
+ * Score recorded trajectories for known bot signals
+ *
+ * traces: one trace or an array of traces in any shape replay() accepts. Every metric gets a
+ * score from 0 (bot-like) to 1 (human-like) with the measured value; metrics without enough
+ * data have a null score and are left out of the overall score. The verdict is 'human',
+ * 'suspicious' or 'bot'. Clicks need their target boxes (recorded by click() in JSON exports)
+ * for the exact-center check.
+ */
+function analyzeTrajectory(traces, options = {}) {
+  const segmentGap = options.segmentGap ?? 300;
+  const traceList = Array.isArray(traces) && typeof traces[0]?.t !== 'number' ? traces : [traces];
+  const eventLists = traceList.map(trace => normalizeTrace(trace));
+  const movements = eventLists.flatMap(events => segmentMovements(events, segmentGap));
+
+  const metrics = {};
+  const metric = (value, score, samples) => ({
+    value,
+    score: score === null ? null : Math.min(1, Math.max(0, score)),
+    samples
+  });
+
+  // Perfectly straight segments: no point leaves the chord
+  const longMovements = movements.filter(movement => {
+    const first = movement[0];
+    const last = movement[movement.length - 1];
+    return Math.hypot(last.x - first.x, last.y - first.y) >= 50;
+  });
+  const straight = longMovements.filter(movement => {
+    const first = movement[0];
+    const last = movement[movement.length - 1];
+    const D = Math.hypot(last.x - first.x, last.y - first.y);
+    const deviation = Math.max(...movement.map(p =>
+      Math.abs((p.x - first.x) * (last.y - first.y) - (p.y - first.y) * (last.x - first.x)) / D
+    ));
+    return deviation < Math.max(0.5, D * 0.003);
+  }).length;
+  metrics.straightSegments = longMovements.length > 0
+    ? metric(straight / longMovements.length, 1 - 2 * straight / longMovements.length, longMovements.length)
+    : metric(null, null, 0);
+
+  // Constant intervals between move events
+  const intervals = movements.flatMap(movement =>
+    movement.slice(1).map((event, i) => event.t - movement[i].t).filter(dt => dt > 0 && dt < 100)
+  );
+  metrics.intervalRegularity = intervals.length >= 20
+    ? metric(coefficientOfVariation(intervals), coefficientOfVariation(intervals) / 0.15, intervals.length)
+    : metric(null, null, intervals.length);
+
+  // Sub-movements: longer human movements usually show a corrective second velocity peak
+  const aimed = movements.filter(movement => {
+    const first = movement[0];
+    const last = movement[movement.length - 1];
+    return movement.length >= 8 && Math.hypot(last.x - first.x, last.y - first.y) >= 100;
+  });
+  const withSubMovements = aimed.filter(movement => countSpeedPeaks(movement) >= 2).length;
+  metrics.subMovements = aimed.length > 0
+    ? metric(withSubMovements / aimed.length, (withSubMovements / aimed.length) / 0.3, aimed.length)
+    : metric(null, null, 0);
+
+  // Zero jerk: constant velocity/acceleration while the pointer is moving
+  let movingSamples = 0;
+  let zeroJerk = 0;
+  for (const movement of movements) {
+    for (let i = 3; i < movement.length; i++) {
+      const speed = Math.hypot(movement[i].x - movement[i - 1].x, movement[i].y - movement[i - 1].y);
+      if (speed < 1) continue;
+
+      movingSamples++;
+      const jx = movement[i].x - 3 * movement[i - 1].x + 3 * movement[i - 2].x - movement[i - 3].x;
+      const jy = movement[i].y - 3 * movement[i - 1].y + 3 * movement[i - 2].y - movement[i - 3].y;
+      if (Math.hypot(jx, jy) < 0.01) zeroJerk++;
+    }
+  }
+  metrics.zeroJerk = movingSamples >= 20
+    ? metric(zeroJerk / movingSamples, 1 - 2 * zeroJerk / movingSamples, movingSamples)
+    : metric(null, null, movingSamples);
+
+  // Clicks at the exact center of their target
+  const presses = eventLists.flat().filter(event =>
+    (event.type === 'down' || event.type === 'tap') && event.target && typeof event.x === 'number'
+  );
+  const centered = presses.filter(event => {
+    const centerX = event.target.x + event.target.width / 2;
+    const centerY = event.target.y + event.target.height / 2;
+    return Math.abs(event.x - centerX) < 1 && Math.abs(event.y - centerY) < 1;
+  }).length;
+  metrics.centerClicks = presses.length > 0
+    ? metric(centered / presses.length, 1 - 2 * centered / presses.length, presses.length)
+    : metric(null, null, 0);
+
+  // Identical dwell times: button hold and pause before pressing
+  const holds = [];
+  const preDwells = [];
+  for (const events of eventLists) {
+    let lastMove = null;
+    let down = null;
+    for (const event of events) {
+      if (event.type === 'move') {
+        lastMove = event;
+      } else if (event.type === 'down') {
+        down = event;
+        if (lastMove) preDwells.push(event.t - lastMove.t);
+      } else if (event.type === 'up' && down) {
+        holds.push(event.t - down.t);
+        down = null;
+      }
+    }
+  }
+  const dwellSamples = [holds, preDwells].filter(values => values.length >= 3);
+  const dwellCV = dwellSamples.length > 0
+    ? Math.min(...dwellSamples.map(values => coefficientOfVariation(values)))
+    : null;
+  metrics.dwellUniformity = dwellCV === null
+    ? metric(null, null, holds.length)
+    : metric(dwellCV, dwellCV / 0.15, holds.length);
+
+  const scored = Object.values(metrics).filter(entry => entry.score !== null);
+  const score = scored.length > 0
+    ? scored.reduce((sum, entry) => sum + entry.score, 0) / scored.length
+    : null;
+  const flags = Object.keys(metrics).filter(name => metrics[name].score !== null && metrics[name].score < 0.5);
+
+  let verdict = null;
+  if (score !== null) {
+    const worst = Math.min(...scored.map(entry => entry.score));
+    if (score >= (options.threshold ?? 0.7) && worst >= 0.25) {
+      verdict = 'human';
+    } else if (score >= 0.4) {
+      verdict = 'suspicious';
+    } else {
+      verdict = 'bot';
+    }
+  }
+
+  return { score, verdict, flags, metrics };
+}
+
+/**
+ * Behavior presets: coordinated reaction time, Fitts's law, polling rate, overshoot,
+ * fatigue, scroll step and click-hold values. Keys match the config they override.
+ */
+const PERSONAS = {
+  'elderly': {
+    baseReactionTime: 320,
+    reactionTimeVariance: 110,
+    fittsA: 0.350,
+    fittsB: 0.260,
+    minPollingInterval: 8,
+    typicalPollingInterval: 12,
+    maxPollingInterval: 16.6,
+    overshootProbability: 0.28,
+    hesitationProbability: 0.14,
+    microCorrectionFrequency: 0.22,
+    fatigueThreshold: 12,
+    minScrollStep: 6,
+    maxScrollStep: 90,
+    clickHoldTime: 120,
+    clickHoldVariance: 35,
+  },
+  'gamer': {
+    baseReactionTime: 160,
+    reactionTimeVariance: 40,
+    fittsA: 0.150,
+    fittsB: 0.110,
+    minPollingInterval: 2,
+    typicalPollingInterval: 4,
+    maxPollingInterval: 8,
+    overshootProbability: 0.10,
+    hesitationProbability: 0.03,
+    microCorrectionFrequency: 0.10,
+    fatigueThreshold: 40,
+    minScrollStep: 20,
+    maxScrollStep: 240,
+    clickHoldTime: 55,
+    clickHoldVariance: 12,
+  },
+  'trackpad-user': {
+    baseReactionTime: 220,
+    reactionTimeVariance: 80,
+    fittsA: 0.280,
+    fittsB: 0.210,
+    minPollingInterval: 8.3,
+    typicalPollingInterval: 11,
+    maxPollingInterval: 16.6,
+    overshootProbability: 0.12,
+    hesitationProbability: 0.08,
+    microCorrectionFrequency: 0.20,
+    fatigueThreshold: 25,
+    minScrollStep: 2,
+    maxScrollStep: 60,
+    clickHoldTime: 45, // Tap-to-click
+    clickHoldVariance: 15,
+    clickHoldMin: 25,
+    inputDevice: 'trackpad',
+  },
+  'tired-office-worker': {
+    baseReactionTime: 260,
+    reactionTimeVariance: 100,
+    fittsA: 0.260,
+    fittsB: 0.200,
+    minPollingInterval: 6.9,
+    typicalPollingInterval: 10,
+    maxPollingInterval: 16.6,
+    overshootProbability: 0.22,
+    hesitationProbability: 0.12,
+    microCorrectionFrequency: 0.18,
+    fatigueThreshold: 10,
+    minScrollStep: 8,
+    maxScrollStep: 150,
+    clickHoldTime: 95,
+    clickHoldVariance: 30,
+  },
+  'power-user': {
+    baseReactionTime: 180,
+    reactionTimeVariance: 50,
+    fittsA: 0.190,
+    fittsB: 0.130,
+    minPollingInterval: 4,
+    typicalPollingInterval: 8,
+    maxPollingInterval: 12,
+    overshootProbability: 0.12,
+    hesitationProbability: 0.04,
+    microCorrectionFrequency: 0.12,
+    fatigueThreshold: 35,
+    minScrollStep: 15,
+    maxScrollStep: 220,
+    clickHoldTime: 65,
+    clickHoldVariance: 15,
+  },
+};
+
+/**
+ * Resolve a persona (preset name or object) into a flat, JSON-serializable object
+ *
+ * Objects may set `extends` to a preset name or another persona object; their own values
+ * win over the base. Resolving an already resolved persona returns the same values, so a
+ * stored persona keeps its identity even if the presets change.
+ */
+function createPersona(persona, overrides = {}) {
+  if (typeof persona === 'string') {
+    if (!PERSONAS[persona]) {
+      throw new Error(`Unknown persona: ${persona}`);
+    }
+    return { name: persona, ...PERSONAS[persona], ...overrides };
+  }
+
+  if (!persona || typeof persona !== 'object') {
+    throw new Error('Persona must be a preset name or an object');
+  }
+
+  const base = persona.extends ? createPersona(persona.extends) : {};
+  const resolved = { ...base, ...persona, ...overrides };
+  resolved.name = resolved.name ?? 'custom';
+
+  // Keep the lineage as a name so the result stays serializable
+  if (persona.extends && typeof persona.extends === 'object') {
+    resolved.extends = base.name;
+  }
+
+  return resolved;
+}
+
+class ShyMouse {
+  constructor(page, options = {}) {
+    this.page = page;
+
+    // Persona preset (see PERSONAS); a persona may carry its own seed for a stable identity
+    this.persona = options.persona ? createPersona(options.persona) : null;
+    this.seed = options.seed ?? this.persona?.seed ?? null;
+    this.initRandomSource();
+
+    this.lastPos = null;
+    this.lastMoveTime = Date.now();
+    this.moveHistory = [];
+    this.maxHistoryLength = 50;
+    this.cachedViewport = null;
+    this.viewportCacheTime = 0;
+    this.viewportCacheDuration = 2000;
+
+    // Persona values, overridden by fitted motion parameters (see calibrateProfile)
+    const profile = { ...this.persona, ...options.profile };
+
+    // Research-based configuration
+    this.config = {
+      // Fatigue system (coherent: everything slows down)
+      fatigueEnabled: options.fatigueEnabled ?? true,
+      fatigueThreshold: options.fatigueThreshold ?? profile.fatigueThreshold ?? 20,
+      actionCount: 0,
+      maxFatigue: options.maxFatigue ?? 100,
+      fatigueMultiplier: 1.0, // Affects both speed and precision coherently
+
+      attentionSpan: null, // Drawn in initSessionState
+      minAttentionSpan: 0.80,
+
+      // Human reaction time: 150-300ms (research-based)
+      baseReactionTime: options.baseReactionTime ?? profile.baseReactionTime ?? 200,
+      reactionTimeVariance: options.reactionTimeVariance ?? profile.reactionTimeVariance ?? 80,
+
+      curveComplexity: options.curveComplexity ?? 'high',
+      debug: options.debug ?? false,
+
+      // Human behavior patterns (2025+ enhanced)
+      hesitationProbability: profile.hesitationProbability ?? 0.08,
+      microCorrectionFrequency: profile.microCorrectionFrequency ?? 0.15,
+      targetDriftEnabled: true,
+
+      // Mouse polling rate simulation (60-144Hz typical)
+      minPollingInterval: profile.minPollingInterval ?? 6.9, // 144Hz
+      maxPollingInterval: profile.maxPollingInterval ?? 16.6, // 60Hz
+      typicalPollingInterval: profile.typicalPollingInterval ?? 10, // ~100Hz (most common)
+
+      // Fitts's Law parameters (empirical research 2020-2025)
+      fittsA: profile.fittsA ?? 0.230, // Intercept (reaction/processing time in seconds)
+      fittsB: profile.fittsB ?? 0.166, // Slope (movement time coefficient)
+
+      // Advanced entropy and fractal parameters
+      fractalDepth: 3,
+      entropyTarget: 0.65, // Target entropy for natural unpredictability
+      jerkSmoothness: profile.jerkSmoothness ?? 0.85, // How smooth jerk transitions are (0-1)
+
+      // Velocity profile and overshoot
+      velocityPeak: profile.velocityPeak ?? 0.475, // Fraction of the movement where speed peaks
+      overshootProbability: profile.overshootProbability ?? 0.16,
+
+      // Wheel step bounds (px per event) and button hold time (ms)
+      minScrollStep: profile.minScrollStep ?? 8,
+      maxScrollStep: profile.maxScrollStep ?? 180,
+      clickHoldTime: profile.clickHoldTime ?? 75,
+      clickHoldVariance: profile.clickHoldVariance ?? 20,
+      clickHoldMin: profile.clickHoldMin ?? 40,
+
+      // 'mouse' (notched wheel), 'trackpad' (inertia scrolling) or 'touch' (taps and swipes)
+      inputDevice: options.inputDevice ?? profile.inputDevice ?? 'mouse',
+    };
+
+    if (!['mouse', 'trackpad', 'touch'].includes(this.config.inputDevice)) {
+      throw new Error(`Unknown inputDevice: ${this.config.inputDevice}`);
+    }
+
+    this.initSessionState();
+
+    // Trajectory generation and polling timing (pluggable)
+    this.motionModel = options.motionModel ?? new DefaultMotionModel();
+    if (typeof this.motionModel.generatePath !== 'function' ||
+        typeof this.motionModel.getPollingDelay !== 'function') {
+      throw new Error('motionModel must implement generatePath() and getPollingDelay()');
+    }
+    if (typeof this.motionModel.attach === 'function') {
+      this.motionModel.attach(this);
+    }
+
+    // Event recording (see startRecording)
+    this.recorder = options.record ? new TrajectoryRecorder(options.recordOptions) : null;
+    this.actionStack = [];
+    this.actionCounter = 0;
+    this.pointer = null; // Last position actually sent to page.mouse
+    this.touchSession = undefined; // Created on first swipe (see getTouchSession)
+    this.idle = null; // Background idle activity (see startIdle)
+    this.lastActionEnd = 0;
+    this.overlay = null; // Debug drawing layer (see showOverlay)
+
+    this.setupNavigationListener();
+    this.setupConsoleLogger();
+
+    // Continue from a previous session instead of a random start point
+    if (options.state) {
+      this.importState(options.state);
+    }
+
+    if (options.overlay) {
+      this.showOverlay();
+    }
+  }
+
+  /**
+   * Initialize random sources (seeded when a seed is provided)
+   *
+   * Two independent streams are used: one for motion, timing and behavior,
+   * and one for polling/retry waits and idle activity, whose amount depends on the page or the clock.
+   * This keeps trajectories reproducible even if a wait loop runs longer.
+   */
+  initRandomSource() {
+    if (this.seed === null) {
+      this.random = Math.random;
+      this.pollRandom = Math.random;
+      this.noiseClock = null;
+      return;
+    }
+
+    this.random = createSeededRandom(this.seed);
+    this.pollRandom = createSeededRandom(`${this.seed}:poll`);
+    this.noiseClock = 0; // Virtual clock, advanced by randomDelay
+  }
+
+  /**
+   * Motion state, fatigue and attention span of a fresh session
+   *
+   * Shared by the constructor and reset() so that a seeded instance draws them in the same order.
+   */
+  initSessionState() {
+    this.moveHistory = [];
+
+    // Advanced motion state tracking (2025+ research)
+    this.motionState = {
+      lastVelocity: { x: 0, y: 0 },
+      lastAcceleration: { x: 0, y: 0 },
+      lastJerk: { x: 0, y: 0 },
+      temporalCorrelation: 0.5,
+      entropyAccumulator: 0,
+      perlinSeed: this.random() * 10000,
+      pollingPhase: this.random(),
+    };
+
+    this.config.actionCount = 0;
+    this.config.fatigueMultiplier = 1.0;
+    this.config.attentionSpan = 0.88 + this.random() * 0.10;
+  }
+
+  /**
+   * Time source for noise functions (virtual clock when seeded)
+   */
+  getNoiseTime() {
+    return this.noiseClock === null ? Date.now() : this.noiseClock;
+  }
+
+  /**
+   * Setup navigation listener
+   */
+  setupNavigationListener() {
+    try {
+      this.page.on('framenavigated', () => {
+        this.invalidateViewportCache();
+        this.log('Frame navigated');
+      });
+    } catch (error) {
+      this.log('Navigation listener failed:', error.message);
+    }
+  }
+
+  /**
+   * Setup console logger
+   */
+  setupConsoleLogger() {
+    if (this.config.debug) {
+      try {
+        this.page.on('console', msg => {
+          console.log('[Page]', msg.type(), msg.text());
+        });
+      } catch (error) {
+        // Silent
+      }
+    }
+  }
+
+  /**
+   * Log
+   */
+  log(...args) {
+    if (this.config.debug) {
+      console.log('[ShyMouse]', new Date().toISOString().substr(11, 12), ...args);
+    }
+  }
+
+  /**
+   * Get viewport with retry
+   */
+  async getViewport(retries = 2) {
+    const now = Date.now();
+
+    if (this.cachedViewport && (now - this.viewportCacheTime) < this.viewportCacheDuration) {
+      return this.cachedViewport;
+    }
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        const viewportInfo = await this.page.evaluate(() => {
+          try {
+            return {
+              width: window.innerWidth,
+              height: window.innerHeight,
+              scrollX: window.scrollX || window.pageXOffset || 0,
+              scrollY: window.scrollY || window.pageYOffset || 0,
+              devicePixelRatio: window.devicePixelRatio || 1,
+              documentWidth: Math.max(
+                document.documentElement.scrollWidth || 0,
+                document.documentElement.offsetWidth || 0,
+                document.documentElement.clientWidth || 0,
+                document.body?.scrollWidth || 0,
+                document.body?.offsetWidth || 0
+              ),
+              documentHeight: Math.max(
+                document.documentElement.scrollHeight || 0,
+                document.documentElement.offsetHeight || 0,
+                document.documentElement.clientHeight || 0,
+                document.body?.scrollHeight || 0,
+                document.body?.offsetHeight || 0
+              ),
+            };
+          } catch (e) {
+            return null;
+          }
+        });
+
+        if (viewportInfo) {
+          this.cachedViewport = viewportInfo;
+          this.viewportCacheTime = now;
+          return viewportInfo;
+        }
+
+        if (attempt < retries) {
+          await this.pollDelay(50, 100);
+        }
+      } catch (error) {
+        this.log(`getViewport attempt ${attempt + 1} failed:`, error.message);
+        if (attempt < retries) {
+          await this.pollDelay(100, 200);
+        }
+      }
+    }
+
+    this.log('Using fallback viewport');
+    const fallback = {
+      width: 1920,
+      height: 1080,
+      scrollX: 0,
+      scrollY: 0,
+      devicePixelRatio: 1,
+      documentWidth: 1920,
+      documentHeight: 1080,
+    };
+
+    this.cachedViewport = fallback;
+    this.viewportCacheTime = now - (this.viewportCacheDuration - 500);
+
+    return fallback;
+  }
+
+  /**
+   * Invalidate cache
+   */
+  invalidateViewportCache() {
+    this.cachedViewport = null;
+    this.viewportCacheTime = 0;
+  }
+
+  /**
+   * Get element frame
+   */
+  async getElementFrame(element) {
+    try {
+      let frame = null;
+
+      if (typeof element.ownerFrame === 'function') {
+        frame = await element.ownerFrame();
+      } else {
+        // Locators don't expose ownerFrame, resolve through a short-lived handle
+        const handle = await element.elementHandle({ timeout: 2000 });
+        frame = await handle.ownerFrame();
+        await handle.dispose().catch(() => {});
+      }
+
+      return frame || this.page.mainFrame();
+    } catch (error) {
+      this.log('getElementFrame failed:', error.message);
+      return this.page.mainFrame();
+    }
+  }
+
+  /**
+   * Frame chain of an element and the visible region it can be interacted in
+   *
+   * All coordinates are main-viewport based (same space as boundingBox and page.mouse).
+   * The clip is the main viewport intersected with the content box of every ancestor iframe.
+   */
+  async getFrameContext(element) {
+    const viewport = await this.getViewport();
+    const frame = await this.getElementFrame(element);
+    const chain = [];
+
+    let current = frame;
+    try {
+      while (current && current.parentFrame && current.parentFrame()) {
+        const frameElement = await current.frameElement();
+        const rect = await this.getFrameContentBox(frameElement);
+        chain.unshift({ frame: current, frameElement, rect }); // Outermost first
+        current = current.parentFrame();
+      }
+    } catch (error) {
+      this.log('getFrameContext failed:', error.message);
+    }
+
+    let clip = { x: 0, y: 0, width: viewport.width, height: viewport.height };
+    for (const link of chain) {
+      if (link.rect) {
+        clip = this.intersectBoxes(clip, link.rect);
+      }
+    }
+
+    return {
+      frame,
+      chain,
+      clip,
+      isMainFrame: chain.length === 0
+    };
+  }
+
+  /**
+   * Origin of the element's document (innermost iframe content box) in main-viewport coordinates
+   */
+  getDocumentOrigin(frameContext) {
+    const innermost = frameContext.chain[frameContext.chain.length - 1];
+    return innermost?.rect ? { x: innermost.rect.x, y: innermost.rect.y } : { x: 0, y: 0 };
+  }
+
+  /**
+   * Dispose iframe element handles held by a frame context
+   */
+  async disposeFrameContext(frameContext) {
+    for (const link of frameContext.chain) {
+      await link.frameElement.dispose().catch(() => {});
+    }
+  }
+
+  /**
+   * Content box of an iframe element (excludes border and padding)
+   */
+  async getFrameContentBox(frameElement) {
+    try {
+      const box = await frameElement.boundingBox();
+      if (!box) return null;
+
+      const insets = await frameElement.evaluate(el => {
+        try {
+          const style = window.getComputedStyle(el);
+          const paddingLeft = parseFloat(style.paddingLeft) || 0;
+          const paddingTop = parseFloat(style.paddingTop) || 0;
+          const paddingRight = parseFloat(style.paddingRight) || 0;
+          const paddingBottom = parseFloat(style.paddingBottom) || 0;
+
+          return {
+            left: el.clientLeft + paddingLeft,
+            top: el.clientTop + paddingTop,
+            width: el.clientWidth - paddingLeft - paddingRight,
+            height: el.clientHeight - paddingTop - paddingBottom,
+          };
+        } catch (e) {
+          return null;
+        }
+      });
+
+      if (!insets) return box;
+
+      return {
+        x: box.x + insets.left,
+        y: box.y + insets.top,
+        width: insets.width,
+        height: insets.height
+      };
+    } catch (error) {
+      this.log('getFrameContentBox failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Intersection of two boxes (zero-sized when they don't overlap)
+   */
+  intersectBoxes(a, b) {
+    const x = Math.max(a.x, b.x);
+    const y = Math.max(a.y, b.y);
+
+    return {
+      x,
+      y,
+      width: Math.max(0, Math.min(a.x + a.width, b.x + b.width) - x),
+      height: Math.max(0, Math.min(a.y + a.height, b.y + b.height) - y)
+    };
+  }
+
+  /**
+   * Clamp a point inside a box
+   */
+  clampToBox(point, box) {
+    return {
+      x: this.clamp(point.x, box.x, box.x + Math.max(0, box.width - 1)),
+      y: this.clamp(point.y, box.y, box.y + Math.max(0, box.height - 1))
+    };
+  }
+
+  /**
+   * Get the chain of scroll containers using evaluateHandle (no DOM injection)
+   *
+   * Returns outermost first: the window entry, then every scrollable ancestor down to the
+   * nearest one. Each entry is { info, containerHandle } (containerHandle is null for the window).
+   */
+  async getScrollContainerChain(element) {
+    const viewport = await this.getViewport();
+    const windowEntry = {
+      info: {
+        isWindow: true,
+        scrollTop: viewport.scrollY,
+        scrollLeft: viewport.scrollX,
+        scrollHeight: viewport.documentHeight,
+        scrollWidth: viewport.documentWidth,
+        clientHeight: viewport.height,
+        clientWidth: viewport.width,
+      },
+      containerHandle: null
+    };
+
+    const chain = [];
+
+    try {
+      // Use evaluateHandle to get container references without DOM modification
+      const listHandle = await element.evaluateHandle(el => {
+        const containers = [];
+
+        try {
+          // Helper: traverse shadow boundaries and slot assignments
+          function getComposedParentNode(node) {
+            if (!node) return null;
+            if (node.assignedSlot) return node.assignedSlot;
+            const parent = node.parentNode;
+            if (!parent) return null;
+            if (parent instanceof ShadowRoot) return parent.host;
+            if (parent instanceof Element) return parent;
+            return null;
+          }
+
+          let parent = getComposedParentNode(el);
+          let depth = 0;
+
+          while (parent && parent !== document.documentElement && depth < 50) {
+            const style = window.getComputedStyle(parent);
+            const overflow = style.overflow + style.overflowY + style.overflowX;
+
+            // Only containers that actually overflow can move the element
+            const canScroll = parent.scrollHeight > parent.clientHeight || parent.scrollWidth > parent.clientWidth;
+
+            if (/(auto|scroll)/.test(overflow) && canScroll) {
+              containers.push(parent);
+            }
+
+            parent = getComposedParentNode(parent);
+            depth++;
+          }
+        } catch (e) {
+          // Partial chain is still usable
+        }
+
+        return containers; // Innermost first
+      });
+
+      const properties = await listHandle.getProperties();
+      for (const property of properties.values()) {
+        const containerHandle = property.asElement();
+        if (!containerHandle) {
+          await property.dispose().catch(() => {});
+          continue;
+        }
+
+        const containerInfo = await containerHandle.evaluate(container => {
+          try {
+            const rect = container.getBoundingClientRect();
+            return {
+              isWindow: false,
+              scrollTop: container.scrollTop,
+              scrollLeft: container.scrollLeft,
+              scrollHeight: container.scrollHeight,
+              scrollWidth: container.scrollWidth,
+              clientHeight: container.clientHeight,
+              clientWidth: container.clientWidth,
+              rectTop: rect.top,
+              rectLeft: rect.left,
+              rectWidth: rect.width,
+              rectHeight: rect.height,
+            };
+          } catch (e) {
+            return null;
+          }
+        });
+
+        if (containerInfo) {
+          chain.unshift({ info: containerInfo, containerHandle });
+        } else {
+          await containerHandle.dispose().catch(() => {});
+        }
+      }
+
+      await listHandle.dispose().catch(() => {});
+    } catch (error) {
+      this.log('getScrollContainerChain failed:', error.message);
+    }
+
+    return [windowEntry, ...chain];
+  }
+
+  /**
+   * Dispose container handles of a scroll container chain
+   */
+  async disposeScrollContainerChain(chain) {
+    for (const scrollContainer of chain) {
+      if (scrollContainer.containerHandle) {
+        await scrollContainer.containerHandle.dispose().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Enhanced clickability check with multi-point sampling and ancestor checking
+   *
+   * Returns a boolean, or with options.details an occlusion report
+   * { clickable, reason, coveredPoints, totalPoints, coveredPercent, coveringElement, hittableArea }.
+   * coveringElement is { tag, id, classes, selector, box } with box relative to the element's frame.
+   * An element that fails the sample points but still shows a hittable strip (see getHittableArea)
+   * is clickable there: hittableArea is that box, null otherwise.
+   */
+  async isElementClickable(element, options = {}) {
+    let result;
+
+    try {
+      result = await element.evaluate(el => {
+        try {
+          // Helper: traverse shadow boundaries and slot assignments
+          function getComposedParentNode(node) {
+            if (!node) return null;
+            if (node.assignedSlot) return node.assignedSlot;
+            const parent = node.parentNode;
+            if (!parent) return null;
+            if (parent instanceof ShadowRoot) return parent.host;
+            if (parent instanceof Element) return parent;
+            return null;
+          }
+
+          // Helper: check if ancestor contains descendant across shadow boundaries
+          function composedContains(ancestor, descendant) {
+            let current = descendant;
+            let depth = 0;
+            while (current && depth < 100) {
+              if (current === ancestor) return true;
+              current = getComposedParentNode(current);
+              depth++;
+            }
+            return false;
+          }
+
+          // Helper: elementFromPoint that penetrates open shadow roots
+          function getComposedElementFromPoint(x, y) {
+            let element = document.elementFromPoint(x, y);
+            if (!element) return null;
+
+            let depth = 0;
+            while (element && element.shadowRoot && depth < 10) {
+              const innerElement = element.shadowRoot.elementFromPoint(x, y);
+              if (innerElement && innerElement !== element) {
+                element = innerElement;
+              } else {
+                break;
+              }
+              depth++;
+            }
+
+            return element;
+          }
+
+          // Helper: short description of an element for occlusion reports
+          function describeElement(node) {
+            const parts = [];
+            let current = node;
+            while (current && current instanceof Element && parts.length < 4) {
+              let part = current.tagName.toLowerCase();
+              if (current.id) {
+                part += `#${current.id}`;
+              } else if (typeof current.className === 'string' && current.className.trim()) {
+                part += '.' + current.className.trim().split(/\s+/).slice(0, 2).join('.');
+              }
+              parts.unshift(part);
+              if (current.id) break;
+              current = getComposedParentNode(current);
+            }
+
+            return {
+              tag: node.tagName.toLowerCase(),
+              id: node.id || null,
+              classes: typeof node.className === 'string' ? node.className.trim().split(/\s+/).filter(Boolean) : [],
+              selector: parts.join(' > '),
+              box: (({ x, y, width, height }) => ({ x, y, width, height }))(node.getBoundingClientRect()),
+            };
+          }
+
+          const fail = reason => ({ clickable: false, reason, coveredPoints: 0, totalPoints: 0, coveredPercent: 0, coveringElement: null });
+
+          if (!el.isConnected) return fail('detached');
+
+          const style = window.getComputedStyle(el);
+
+          if (style.display === 'none') return fail('hidden');
+          if (style.visibility === 'hidden') return fail('hidden');
+          if (parseFloat(style.opacity) < 0.1) return fail('hidden');
+
+          const rect = el.getBoundingClientRect();
+          if (rect.width <= 0 || rect.height <= 0) return fail('zero-size');
+
+          if (rect.bottom < 0 || rect.right < 0) return fail('outside-viewport');
+          if (rect.top > window.innerHeight || rect.left > window.innerWidth) return fail('outside-viewport');
+
+          if (style.pointerEvents === 'none') return fail('pointer-events');
+          if (el.disabled) return fail('disabled');
+
+          // Check pointer-events on ancestors (crosses shadow boundaries and slots)
+          let ancestor = getComposedParentNode(el);
+          let ancestorDepth = 0;
+          while (ancestor && ancestorDepth < 100) {
+            const ancestorStyle = window.getComputedStyle(ancestor);
+            if (ancestorStyle.pointerEvents === 'none') return fail('pointer-events');
+            ancestor = getComposedParentNode(ancestor);
+            ancestorDepth++;
+          }
+
+          // Multi-point sampling (center + 4 cardinal points + 4 corners)
+          const samplingPoints = [
+            { x: 0.5, y: 0.5 }, // Center
+            { x: 0.3, y: 0.5 }, // Left
+            { x: 0.7, y: 0.5 }, // Right
+            { x: 0.5, y: 0.3 }, // Top
+            { x: 0.5, y: 0.7 }, // Bottom
+            { x: 0.3, y: 0.3 }, // Top-left
+            { x: 0.7, y: 0.3 }, // Top-right
+            { x: 0.3, y: 0.7 }, // Bottom-left
+            { x: 0.7, y: 0.7 }, // Bottom-right
+          ];
+
+          let clickablePoints = 0;
+          const coveringCounts = new Map();
+
+          for (const point of samplingPoints) {
+            const x = rect.left + rect.width * point.x;
+            const y = rect.top + rect.height * point.y;
+
+            // Use composed elementFromPoint that penetrates open shadow roots
+            const topElement = getComposedElementFromPoint(x, y);
+
+            if (topElement) {
+              if (topElement === el || composedContains(el, topElement)) {
+                clickablePoints++;
+              } else {
+                coveringCounts.set(topElement, (coveringCounts.get(topElement) ?? 0) + 1);
+              }
+            }
+          }
+
+          // The element on top at most of the covered points
+          let coveringElement = null;
+          let coveringCount = 0;
+          for (const [node, count] of coveringCounts) {
+            if (count > coveringCount) {
+              coveringElement = node;
+              coveringCount = count;
+            }
+          }
+
+          // At least 50% of sample points must be clickable
+          const clickable = clickablePoints >= samplingPoints.length * 0.5;
+          return {
+            clickable,
+            reason: clickable ? null : 'covered',
+            coveredPoints: samplingPoints.length - clickablePoints,
+            totalPoints: samplingPoints.length,
+            coveredPercent: Math.round((samplingPoints.length - clickablePoints) / samplingPoints.length * 100),
+            coveringElement: coveringElement ? describeElement(coveringElement) : null,
+          };
+        } catch (e) {
+          return { clickable: false, reason: 'error', coveredPoints: 0, totalPoints: 0, coveredPercent: 0, coveringElement: null };
+        }
+      });
+    } catch (error) {
+      this.log('isElementClickable failed:', error.message);
+      result = { clickable: false, reason: 'error', coveredPoints: 0, totalPoints: 0, coveredPercent: 0, coveringElement: null };
+    }
+
+    result.hittableArea = null;
+    if (result.reason === 'covered') {
+      result.hittableArea = await this.getHittableArea(element);
+      if (result.hittableArea) {
+        result.clickable = true;
+        result.reason = null;
+      }
+    }
+
+    return options.details ? result : result.clickable;
+  }
+
+  /**
+   * Part of the element that actually receives clicks, as a box in main-viewport coordinates
+   *
+   * The element is clipped by its overflow ancestors and the viewport, then a grid of points is
+   * hit-tested (elementFromPoint, rounded corners excluded). The largest rectangle of hittable
+   * points is returned, or null when nothing could be measured.
+   */
+  async getHittableArea(element) {
+    let area = null;
+
+    try {
+      area = await element.evaluate(el => {
+        try {
+          // Helper: traverse shadow boundaries and slot assignments
+          function getComposedParentNode(node) {
+            if (!node) return null;
+            if (node.assignedSlot) return node.assignedSlot;
+            const parent = node.parentNode;
+            if (!parent) return null;
+            if (parent instanceof ShadowRoot) return parent.host;
+            if (parent instanceof Element) return parent;
+            return null;
+          }
+
+          // Helper: check if ancestor contains descendant across shadow boundaries
+          function composedContains(ancestor, descendant) {
+            let current = descendant;
+            let depth = 0;
+            while (current && depth < 100) {
+              if (current === ancestor) return true;
+              current = getComposedParentNode(current);
+              depth++;
+            }
+            return false;
+          }
+
+          // Helper: elementFromPoint that penetrates open shadow roots
+          function getComposedElementFromPoint(x, y) {
+            let element = document.elementFromPoint(x, y);
+            if (!element) return null;
+
+            let depth = 0;
+            while (element && element.shadowRoot && depth < 10) {
+              const innerElement = element.shadowRoot.elementFromPoint(x, y);
+              if (innerElement && innerElement !== element) {
+                element = innerElement;
+              } else {
+                break;
+              }
+              depth++;
+            }
+
+            return element;
+          }
+
+          const rect = el.getBoundingClientRect();
+          if (rect.width <= 0 || rect.height <= 0) return null;
+
+          // Visible part: clipped by the viewport and every overflow ancestor
+          let clip = {
+            left: Math.max(rect.left, 0),
+            top: Math.max(rect.top, 0),
+            right: Math.min(rect.right, window.innerWidth),
+            bottom: Math.min(rect.bottom, window.innerHeight),
+          };
+
+          let parent = getComposedParentNode(el);
+          let depth = 0;
+          while (parent && parent !== document.documentElement && depth < 50) {
+            const style = window.getComputedStyle(parent);
+            if (style.overflowX !== 'visible' || style.overflowY !== 'visible') {
+              const parentRect = parent.getBoundingClientRect();
+              clip = {
+                left: Math.max(clip.left, parentRect.left + parent.clientLeft),
+                top: Math.max(clip.top, parentRect.top + parent.clientTop),
+                right: Math.min(clip.right, parentRect.left + parent.clientLeft + parent.clientWidth),
+                bottom: Math.min(clip.bottom, parentRect.top + parent.clientTop + parent.clientHeight),
+              };
+            }
+            parent = getComposedParentNode(parent);
+            depth++;
+          }
+
+          const clipWidth = clip.right - clip.left;
+          const clipHeight = clip.bottom - clip.top;
+          if (clipWidth <= 0 || clipHeight <= 0) return null;
+
+          // Corner radii (px or %), each limited to half the box
+          const style = window.getComputedStyle(el);
+          const radius = (value) => {
+            const [rx, ry = rx] = value.split(' ').map((part, i) => {
+              const size = i === 0 ? rect.width : rect.height;
+              return part.endsWith('%') ? parseFloat(part) / 100 * size : parseFloat(part) || 0;
+            });
+            return { x: Math.min(rx, rect.width / 2), y: Math.min(ry, rect.height / 2) };
+          };
+          const corners = [
+            { r: radius(style.borderTopLeftRadius), cx: 0, cy: 0 },
+            { r: radius(style.borderTopRightRadius), cx: 1, cy: 0 },
+            { r: radius(style.borderBottomLeftRadius), cx: 0, cy: 1 },
+            { r: radius(style.borderBottomRightRadius), cx: 1, cy: 1 },
+          ];
+
+          const insideShape = (x, y) => {
+            const px = x - rect.left;
+            const py = y - rect.top;
+            for (const { r, cx, cy } of corners) {
+              if (r.x <= 0 || r.y <= 0) continue;
+              const centerX = cx ? rect.width - r.x : r.x;
+              const centerY = cy ? rect.height - r.y : r.y;
+              const inCornerX = cx ? px > centerX : px < centerX;
+              const inCornerY = cy ? py > centerY : py < centerY;
+              if (inCornerX && inCornerY &&
+                  ((px - centerX) / r.x) ** 2 + ((py - centerY) / r.y) ** 2 > 1) {
+                return false;
+              }
+            }
+            return true;
+          };
+
+          // Hit-test a grid of cell centers (cells of at least 4px, at most 12 per axis)
+          const cols = Math.max(1, Math.min(12, Math.floor(clipWidth / 4)));
+          const rows = Math.max(1, Math.min(12, Math.floor(clipHeight / 4)));
+          const cellWidth = clipWidth / cols;
+          const cellHeight = clipHeight / rows;
+          const grid = [];
+          let hits = 0;
+
+          for (let row = 0; row < rows; row++) {
+            grid.push([]);
+            for (let col = 0; col < cols; col++) {
+              const x = clip.left + (col + 0.5) * cellWidth;
+              const y = clip.top + (row + 0.5) * cellHeight;
+              const topElement = insideShape(x, y) ? getComposedElementFromPoint(x, y) : null;
+              const hit = !!topElement && (topElement === el || composedContains(el, topElement));
+              grid[row].push(hit);
+              if (hit) hits++;
+            }
+          }
+
+          if (hits === 0) return null;
+
+          // Largest rectangle of hittable cells (histogram per row)
+          const heights = new Array(cols).fill(0);
+          let best = { area: 0, left: 0, right: 0, top: 0, bottom: 0 };
+
+          for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+              heights[col] = grid[row][col] ? heights[col] + 1 : 0;
+            }
+
+            const stack = [];
+            for (let col = 0; col <= cols; col++) {
+              const height = col < cols ? heights[col] : 0;
+              while (stack.length > 0 && heights[stack[stack.length - 1]] >= height) {
+                const barHeight = heights[stack.pop()];
+                const left = stack.length > 0 ? stack[stack.length - 1] + 1 : 0;
+                const areaCells = barHeight * (col - left);
+                if (areaCells > best.area) {
+                  best = { area: areaCells, left, right: col, top: row - barHeight + 1, bottom: row + 1 };
+                }
+              }
+              stack.push(col);
+            }
+          }
+
+          return {
+            x: clip.left + best.left * cellWidth,
+            y: clip.top + best.top * cellHeight,
+            width: (best.right - best.left) * cellWidth,
+            height: (best.bottom - best.top) * cellHeight,
+          };
+        } catch (e) {
+          return null;
+        }
+      });
+    } catch (error) {
+      this.log('getHittableArea failed:', error.message);
+    }
+
+    if (!area) return null;
+
+    const frameContext = await this.getFrameContext(element);
+    await this.disposeFrameContext(frameContext);
+    const origin = this.getDocumentOrigin(frameContext);
+
+    const box = this.intersectBoxes(frameContext.clip, { ...area, x: area.x + origin.x, y: area.y + origin.y });
+    return box.width > 0 && box.height > 0 ? box : null;
+  }
+
+  /**
+   * Fixed and sticky elements (headers, footers, chat widgets) in the element's document
+   *
+   * Returns { insets, safeArea, boxes }. insets ({ top, bottom }, frame coordinates) are the bands
+   * taken by wide headers and footers once stuck, safeArea is the visible region without them and
+   * boxes are the current rects of all fixed/sticky elements (both main-viewport coordinates).
+   * The element itself and fixed/sticky elements containing it are ignored.
+   *
+   * Only elements hit along the viewport edges and its vertical center line (and their ancestors)
+   * are checked, inside open shadow roots too: headers, footers and widgets sit there, and large
+   * documents stay cheap. Sticky elements that have not reached the viewport yet are not seen.
+   */
+  async getViewportObstructions(element, options = {}) {
+    const frameContext = await this.getFrameContext(element);
+    await this.disposeFrameContext(frameContext);
+
+    const none = { insets: { top: 0, bottom: 0 }, safeArea: frameContext.clip, boxes: [] };
+    if (options.avoidObstructions === false) return none;
+
+    let found = null;
+    try {
+      found = await element.evaluate(el => {
+        try {
+          const width = window.innerWidth;
+          const height = window.innerHeight;
+          const insets = { top: 0, bottom: 0 };
+          const boxes = [];
+
+          // Helper: traverse shadow boundaries and slot assignments
+          function getComposedParentNode(node) {
+            if (!node) return null;
+            if (node.assignedSlot) return node.assignedSlot;
+            const parent = node.parentNode;
+            if (!parent) return null;
+            if (parent instanceof ShadowRoot) return parent.host;
+            if (parent instanceof Element) return parent;
+            return null;
+          }
+
+          // Helper: check if ancestor contains descendant across shadow boundaries
+          function composedContains(ancestor, descendant) {
+            let current = descendant;
+            let depth = 0;
+            while (current && depth < 100) {
+              if (current === ancestor) return true;
+              current = getComposedParentNode(current);
+              depth++;
+            }
+            return false;
+          }
+
+          // Helper: elementsFromPoint that also returns what is hit inside open shadow roots
+          function getComposedElementsFromPoint(root, x, y, depth = 0) {
+            const hits = [];
+            for (const hit of root.elementsFromPoint(x, y)) {
+              hits.push(hit);
+              if (hit.shadowRoot && hit.shadowRoot !== root && depth < 10) {
+                hits.push(...getComposedElementsFromPoint(hit.shadowRoot, x, y, depth + 1));
+              }
+            }
+            return hits;
+          }
+
+          // Candidates: everything under points along the viewport edges and the vertical
+          // center line (wide sticky bars that have not stuck yet), with their ancestors
+          const samples = [];
+          for (let i = 0; i <= 8; i++) {
+            const x = Math.min(width - 1, width * i / 8);
+            const y = Math.min(height - 1, height * i / 8);
+            samples.push([x, 1], [x, height * 0.1], [x, height * 0.9], [x, height - 2]);
+            samples.push([1, y], [width - 2, y]);
+          }
+          for (let y = 16; y < height; y += 32) {
+            samples.push([width / 2, y]);
+          }
+
+          const candidates = new Set();
+          for (const [x, y] of samples) {
+            for (const hit of getComposedElementsFromPoint(document, x, y)) {
+              for (let node = hit; node && node !== document.body && node !== document.documentElement && !candidates.has(node);
+                node = getComposedParentNode(node)) {
+                candidates.add(node);
+              }
+            }
+          }
+
+          for (const node of candidates) {
+            const style = window.getComputedStyle(node);
+            if (style.position !== 'fixed' && style.position !== 'sticky') continue;
+            if (composedContains(node, el) || composedContains(el, node)) continue;
+            if (style.display === 'none' || style.visibility === 'hidden') continue;
+            if (parseFloat(style.opacity) < 0.1 || style.pointerEvents === 'none') continue;
+
+            const rect = node.getBoundingClientRect();
+            if (rect.width <= 0 || rect.height <= 0) continue;
+
+            // Modals and full-screen overlays are not bands to scroll around (see onOccluded)
+            if (rect.width > width * 0.5 && rect.height > height * 0.5) continue;
+
+            // Where the element sits once stuck (fixed elements already are)
+            let stuckTop = rect.top;
+            if (style.position === 'sticky') {
+              // Only elements sticking to the window, not to a scroll container
+              let parent = getComposedParentNode(node);
+              let insideScroller = false;
+              while (parent && parent !== document.body && parent !== document.documentElement) {
+                if (/(auto|scroll|hidden)/.test(window.getComputedStyle(parent).overflowY)) {
+                  insideScroller = true;
+                  break;
+                }
+                parent = getComposedParentNode(parent);
+              }
+              if (insideScroller) continue;
+
+              if (style.top !== 'auto') {
+                stuckTop = parseFloat(style.top);
+              } else if (style.bottom !== 'auto') {
+                stuckTop = height - parseFloat(style.bottom) - rect.height;
+              } else {
+                continue;
+              }
+            }
+
+            if (rect.right > 0 && rect.left < width && rect.bottom > 0 && rect.top < height) {
+              boxes.push({ x: rect.left, y: rect.top, width: rect.width, height: rect.height });
+            }
+
+            if (rect.width >= width * 0.5) {
+              if (stuckTop <= height * 0.25 && stuckTop + rect.height <= height * 0.5) {
+                insets.top = Math.max(insets.top, stuckTop + rect.height);
+              } else if (stuckTop >= height * 0.5 && stuckTop + rect.height >= height * 0.75) {
+                insets.bottom = Math.max(insets.bottom, height - stuckTop);
+              }
+            }
+          }
+
+          return { insets, boxes, width, height };
+        } catch (e) {
+          return null;
+        }
+      });
+    } catch (error) {
+      this.log('getViewportObstructions failed:', error.message);
+    }
+
+    if (!found) return none;
+
+    const origin = this.getDocumentOrigin(frameContext);
+
+    return {
+      insets: found.insets,
+      safeArea: this.intersectBoxes(frameContext.clip, {
+        x: origin.x,
+        y: origin.y + found.insets.top,
+        width: found.width,
+        height: Math.max(0, found.height - found.insets.top - found.insets.bottom)
+      }),
+      boxes: found.boxes.map(box => ({ ...box, x: box.x + origin.x, y: box.y + origin.y }))
+    };
+  }
+
+  /**
+   * Check if in viewport
+   *
+   * With obstructions (see getViewportObstructions) the element must show at least 20px
+   * (or its full size) past fixed headers and footers; the buffer only applies to free edges.
+   */
+  async isElementInViewport(element, buffer = 10, obstructions = null) {
+    try {
+      const box = await this.getElementBoundingBox(element);
+      if (!box) return false;
+
+      // boundingBox is main-viewport relative: compare against the visible
+      // region of the frame chain (main viewport for top-level elements)
+      const frameContext = await this.getFrameContext(element);
+      const clip = obstructions?.safeArea ?? frameContext.clip;
+      await this.disposeFrameContext(frameContext);
+
+      const minVisible = Math.min(20, box.height);
+      const viewTop = obstructions?.insets.top ? clip.y + minVisible : clip.y - buffer;
+      const viewBottom = obstructions?.insets.bottom ? clip.y + clip.height - minVisible : clip.y + clip.height + buffer;
+      const viewLeft = clip.x - buffer;
+      const viewRight = clip.x + clip.width + buffer;
+
+      const hasVerticalOverlap = !(box.y + box.height < viewTop || box.y > viewBottom);
+      const hasHorizontalOverlap = !(box.x + box.width < viewLeft || box.x > viewRight);
+
+      if (!hasVerticalOverlap || !hasHorizontalOverlap) {
+        return false;
+      }
+
+      // Every scrollable ancestor must show the element too (nested panels)
+      return await element.evaluate((el, buff) => {
+        try {
+          // Helper: traverse shadow boundaries and slot assignments
+          function getComposedParentNode(node) {
+            if (!node) return null;
+            if (node.assignedSlot) return node.assignedSlot;
+            const parent = node.parentNode;
+            if (!parent) return null;
+            if (parent instanceof ShadowRoot) return parent.host;
+            if (parent instanceof Element) return parent;
+            return null;
+          }
+
+          const elRect = el.getBoundingClientRect();
+          let parent = getComposedParentNode(el);
+          let depth = 0;
+
+          while (parent && parent !== document.documentElement && depth < 50) {
+            const style = window.getComputedStyle(parent);
+            const overflow = style.overflow + style.overflowY + style.overflowX;
+
+            if (/(auto|scroll)/.test(overflow)) {
+              const parentRect = parent.getBoundingClientRect();
+
+              const hasVerticalOverlap = !(elRect.bottom < parentRect.top - buff || elRect.top > parentRect.bottom + buff);
+              const hasHorizontalOverlap = !(elRect.right < parentRect.left - buff || elRect.left > parentRect.right + buff);
+
+              if (!hasVerticalOverlap || !hasHorizontalOverlap) {
+                return false;
+              }
+            }
+
+            parent = getComposedParentNode(parent);
+            depth++;
+          }
+
+          return true;
+        } catch (e) {
+          return false;
+        }
+      }, buffer);
+    } catch (error) {
+      this.log('isElementInViewport failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get bounding box
+   */
+  async getElementBoundingBox(element, maxRetries = 3) {
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      try {
+        const box = await element.boundingBox();
+        if (box && box.width > 0 && box.height > 0) {
+          return box;
+        }
+
+        if (attempt < maxRetries - 1) {
+          await this.pollDelay(50, 150);
+        }
+      } catch (error) {
+        if (attempt === maxRetries - 1) {
+          this.log(`Failed to get bounding box after ${maxRetries} attempts:`, error.message);
+          return null;
+        }
+        await this.pollDelay(100, 200);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Wait for element stability with RAF + timeout (no hanging)
+   */
+  async waitForElementStability(element, timeout = 1500) {
+    const startTime = Date.now();
+
+    // Check for animations
+    try {
+      const hasAnimations = await element.evaluate(el => {
+        try {
+          const style = window.getComputedStyle(el);
+          const hasTransition = style.transition !== 'all 0s ease 0s' && style.transition !== 'none';
+          const hasAnimation = style.animation !== 'none';
+          return hasTransition || hasAnimation;
+        } catch (e) {
+          return false;
+        }
+      });
+
+      if (hasAnimations) {
+        await this.randomDelay(300, 500);
+      }
+    } catch (error) {
+      // Continue
+    }
+
+    // RAF-based stability check with guaranteed timeout
+    const stabilityPromise = element.evaluate((el, timeoutMs) => {
+      return new Promise((resolve) => {
+        try {
+          let lastChangeTime = Date.now();
+          const startTime = Date.now();
+          const requiredStableTime = 150; // ms of no changes
+          let frameCount = 0;
+
+          const observer = new MutationObserver(() => {
+            lastChangeTime = Date.now();
+          });
+
+          observer.observe(el, {
+            attributes: true,
+            childList: true,
+            subtree: true,
+            characterData: true
+          });
+
+          const checkStability = () => {
+            const now = Date.now();
+            const elapsed = now - startTime;
+            const timeSinceChange = now - lastChangeTime;
+
+            // Timeout exceeded
+            if (elapsed > timeoutMs) {
+              observer.disconnect();
+              resolve(false);
+              return;
+            }
+
+            // Stable for required time
+            if (timeSinceChange >= requiredStableTime) {
+              observer.disconnect();
+              resolve(true);
+              return;
+            }
+
+            frameCount++;
+            requestAnimationFrame(checkStability);
+          };
+
+          requestAnimationFrame(checkStability);
+        } catch (e) {
+          resolve(false);
+        }
+      });
+    }, timeout);
+
+    // Race with timeout
+    const timeoutPromise = new Promise(resolve => setTimeout(() => resolve(false), timeout));
+    const isStable = await Promise.race([stabilityPromise, timeoutPromise]);
+
+    if (!isStable) {
+      this.log('Stability check timed out or element unstable');
+    }
+
+    // Position stability check
+    let lastBox = null;
+    let stableCount = 0;
+    const requiredStableChecks = 3;
+
+    while (Date.now() - startTime < timeout) {
+      try {
+        const box = await element.boundingBox();
+        if (!box) {
+          await this.pollDelay(50, 100);
+          continue;
+        }
+
+        if (lastBox) {
+          const xDiff = Math.abs(box.x - lastBox.x);
+          const yDiff = Math.abs(box.y - lastBox.y);
+          const widthDiff = Math.abs(box.width - lastBox.width);
+          const heightDiff = Math.abs(box.height - lastBox.height);
+
+          if (xDiff < 1 && yDiff < 1 && widthDiff < 1 && heightDiff < 1) {
+            stableCount++;
+            if (stableCount >= requiredStableChecks) {
+              return box;
+            }
+          } else {
+            stableCount = 0;
+          }
+        }
+
+        lastBox = box;
+        await this.pollDelay(50, 100);
+      } catch (error) {
+        await this.pollDelay(100, 200);
+      }
+    }
+
+    return lastBox;
+  }
+
+  /**
+   * Scroll to element with coherent fatigue
+   *
+   * obstructions (see getViewportObstructions) can be passed when the caller already has them.
+   */
+  async scrollToElement(element, options = {}, obstructions = null) {
+    this.beginAction('scrollToElement');
+
+    try {
+      const viewport = await this.getViewport();
+
+      // Inside iframes: bring each ancestor iframe into view first (outermost first),
+      // the wheel only reaches the iframe document once the pointer can rest over it
+      if (!options.skipFrameChain) {
+        const outerContext = await this.getFrameContext(element);
+        try {
+          for (const link of outerContext.chain) {
+            if (!(await this.isElementInViewport(link.frameElement, 0))) {
+              await this.scrollToElement(link.frameElement, { ...options, skipFrameChain: true });
+              // The visible part of the frame moved, the caller's safe area is stale
+              obstructions = null;
+            }
+          }
+        } finally {
+          await this.disposeFrameContext(outerContext);
+        }
+      }
+
+      // Fixed headers/footers shrink the area the element has to land in
+      obstructions = obstructions ?? await this.getViewportObstructions(element, options);
+
+      if (await this.isElementInViewport(element, options.visibilityBuffer ?? 50, obstructions)) {
+        if (this.random() < 0.25 && this.config.inputDevice !== 'touch') {
+          const microScroll = this.randomGaussian(0, 12);
+          await this.emitMouseWheel(0, microScroll);
+          await this.randomDelay(50, 150);
+        }
+        return;
+      }
+
+      const box = await this.getElementBoundingBox(element);
+      if (!box) throw new BoundingBoxError('Element has no bounding box', { viewport, attempts: 3 });
+
+      // Visible region after parent documents were scrolled (handles are not needed past this point)
+      const frameContext = await this.getFrameContext(element);
+      await this.disposeFrameContext(frameContext);
+
+      // Outermost first: each level brings the next inner container (and finally the element) into view
+      const chain = await this.getScrollContainerChain(element);
+
+      try {
+        for (let level = 0; level < chain.length; level++) {
+          const scrollContainer = chain[level];
+          const innerContainer = chain[level + 1] ?? null;
+          scrollContainer.frame = frameContext.frame;
+
+          const scrollTarget = await this.calculateScrollTarget(
+            element,
+            scrollContainer,
+            innerContainer ? innerContainer.containerHandle : null,
+            { ...options, insets: obstructions.insets }
+          );
+          if (!scrollTarget) continue;
+
+          // The wheel scrolls whatever is under the pointer: rest it over this container first,
+          // away from the inner container (which would take the wheel events itself)
+          let region = frameContext.clip;
+          if (!scrollContainer.info.isWindow) {
+            const containerBox = await scrollContainer.containerHandle.boundingBox().catch(() => null);
+            if (containerBox) {
+              const visibleBox = this.intersectBoxes(containerBox, frameContext.clip);
+              if (visibleBox.width > 0 && visibleBox.height > 0) {
+                region = visibleBox;
+              }
+            }
+          }
+          if (innerContainer) {
+            const innerBox = await innerContainer.containerHandle.boundingBox().catch(() => null);
+            if (innerBox) {
+              region = this.subtractBox(region, innerBox);
+            }
+          }
+
+          const deltaX = Math.abs(scrollTarget.targetScroll.x - scrollTarget.currentScroll.x);
+          const deltaY = Math.abs(scrollTarget.targetScroll.y - scrollTarget.currentScroll.y);
+
+          // Every level except the innermost one is skipped when already in place
+          if (deltaX < 10 && deltaY < 10 && innerContainer) continue;
+
+          await this.preScrollMouseMovement(viewport, options, region);
+
+          const scrolled = await this.performScroll(
+            scrollTarget.currentScroll,
+            scrollTarget.targetScroll,
+            scrollContainer,
+            region,
+            options
+          );
+
+          if (scrolled && innerContainer) {
+            // Short re-orientation before moving to the inner panel
+            await this.randomDelay(120, 320);
+          }
+        }
+      } finally {
+        await this.disposeScrollContainerChain(chain);
+      }
+
+      await this.randomDelay(80, 180);
+      this.updateActionCount();
+    } finally {
+      this.endAction();
+    }
+  }
+
+  /**
+   * Run a human-like scroll from current to target ({ x, y } each) on one container
+   *
+   * Both axes share one sequence (2D wheel deltas), axes that are already in place are left alone.
+   * Returns false when there was nothing to scroll.
+   */
+  async performScroll(currentScroll, targetScroll, scrollContainer, visibleArea, options) {
+    const deltaX = Math.abs(targetScroll.x - currentScroll.x);
+    const deltaY = Math.abs(targetScroll.y - currentScroll.y);
+
+    if (deltaX < 10 && deltaY < 10) {
+      return false;
+    }
+
+    const activeTarget = {
+      x: deltaX >= 10 ? targetScroll.x : null,
+      y: deltaY >= 10 ? targetScroll.y : null
+    };
+
+    const direction = {
+      x: targetScroll.x > currentScroll.x ? 1 : -1,
+      y: targetScroll.y > currentScroll.y ? 1 : -1
+    };
+
+    // Touch swipes (falling back to inertia scrolling), trackpad inertia scrolling
+    if (this.config.inputDevice === 'touch') {
+      if (await this.executeSwipeScroll(activeTarget, scrollContainer, visibleArea, options)) {
+        return true;
+      }
+      // No hovering pointer to aim the wheel with: containers are scrolled by script instead
+      if (!scrollContainer.info.isWindow) {
+        scrollContainer.wheelIgnored = true;
+      }
+    }
+    if (this.config.inputDevice !== 'mouse') {
+      await this.executeMomentumScroll(activeTarget, scrollContainer, options);
+      await this.finishWheelProgress(scrollContainer, activeTarget);
+      return true;
+    }
+
+    const delta = Math.hypot(deltaX, deltaY);
+    const scrollID = Math.log2(delta / 100 + 1);
+    const baseSteps = Math.max(5, Math.round(8 * scrollID));
+    const numSteps = this.applyFatigue(baseSteps);
+
+    const overshootProb = options.overshootProb ?? 0.18;
+    const shouldOvershoot = delta > 250 &&
+                            this.random() < overshootProb &&
+                            this.config.attentionSpan < 0.94;
+
+    // Overshoot happens along the dominant axis, relative to the visible size on that axis
+    const overshootAmount = { x: 0, y: 0 };
+    if (shouldOvershoot) {
+      const axis = deltaY >= deltaX ? 'y' : 'x';
+      const visibleSize = axis === 'y' ? visibleArea.height : visibleArea.width;
+
+      overshootAmount[axis] = this.randomGaussian(0.15, 0.07) * visibleSize;
+      overshootAmount[axis] = this.clamp(overshootAmount[axis], 40, visibleSize * 0.35);
+    }
+
+    await this.executeScrollSequence(
+      activeTarget,
+      direction,
+      numSteps,
+      overshootAmount,
+      scrollContainer,
+      options
+    );
+
+    if (overshootAmount.x > 0 || overshootAmount.y > 0) {
+      await this.randomDelay(120, 350);
+      await this.executeCorrectionScrollLogarithmic(
+        activeTarget,
+        Math.max(3, Math.round(numSteps / 3)),
+        scrollContainer,
+        options
+      );
+    }
+
+    await this.finishWheelProgress(scrollContainer, activeTarget);
+    return true;
+  }
+
+  /**
+   * Scroll target ({ currentScroll, targetScroll }, each { x, y }) for one level of the chain
+   *
+   * For outer levels (innerHandle set) the target is the inner container itself, so that each
+   * level is centered inside the previous one before the inner container is scrolled.
+   * options.insets ({ top, bottom }) excludes fixed headers/footers from the window's view.
+   */
+  async calculateScrollTarget(element, scrollContainer, innerHandle, options) {
+    try {
+      return await element.evaluate((el, { container, inner, opts }) => {
+        try {
+          let view;
+          if (container) {
+            const containerRect = container.getBoundingClientRect();
+            view = {
+              top: containerRect.top,
+              left: containerRect.left,
+              width: container.clientWidth,
+              height: container.clientHeight,
+              scrollTop: container.scrollTop,
+              scrollLeft: container.scrollLeft,
               scrollHeight: container.scrollHeight,
               scrollWidth: container.scrollWidth,
-              clientHeight: container.clientHeight,
-              clientWidth: container.clientWidth,
-              rectTop: rect.top,
-              rectLeft: rect.left,
-              rectWidth: rect.width,
-              rectHeight: rect.height,
+              defaultOffset: 50,
+            };
+          } else {
+            // Fixed headers/footers: the view starts below the header and the scroll range
+            // shrinks with the view so that the maximum scroll stays the same
+            const insets = opts.insets ?? { top: 0, bottom: 0 };
+            view = {
+              top: insets.top,
+              left: 0,
+              width: window.innerWidth,
+              height: window.innerHeight - insets.top - insets.bottom,
+              scrollTop: window.scrollY || window.pageYOffset || 0,
+              scrollLeft: window.scrollX || window.pageXOffset || 0,
+              scrollHeight: Math.max(document.documentElement.scrollHeight || 0, document.body?.scrollHeight || 0) - insets.top - insets.bottom,
+              scrollWidth: Math.max(document.documentElement.scrollWidth || 0, document.body?.scrollWidth || 0),
+              defaultOffset: 100,
+            };
+          }
+
+          const elRect = el.getBoundingClientRect();
+          let rect = { top: elRect.top, left: elRect.left, width: elRect.width, height: elRect.height };
+
+          // Outer levels aim at the inner container when it fits, otherwise at the
+          // element's position clamped into it
+          if (inner) {
+            const innerRect = inner.getBoundingClientRect();
+
+            if (innerRect.height <= view.height) {
+              rect.top = innerRect.top;
+              rect.height = innerRect.height;
+            } else {
+              rect.height = Math.min(rect.height, innerRect.height);
+              rect.top = Math.max(innerRect.top, Math.min(rect.top, innerRect.bottom - rect.height));
+            }
+
+            if (innerRect.width <= view.width) {
+              rect.left = innerRect.left;
+              rect.width = innerRect.width;
+            } else {
+              rect.width = Math.min(rect.width, innerRect.width);
+              rect.left = Math.max(innerRect.left, Math.min(rect.left, innerRect.right - rect.width));
+            }
+          }
+
+          // Element position in the scroll coordinates of this level
+          const elTop = rect.top - view.top + view.scrollTop;
+          const elLeft = rect.left - view.left + view.scrollLeft;
+          const offset = opts.offset ?? view.defaultOffset;
+          const offsetX = opts.offsetX ?? view.defaultOffset;
+
+          let scrollTo;
+          if (opts.targetPosition === 'top') {
+            scrollTo = elTop - offset;
+          } else if (opts.targetPosition === 'bottom') {
+            scrollTo = elTop + rect.height - view.height + offset;
+          } else {
+            scrollTo = elTop - view.height / 2 + rect.height / 2;
+          }
+
+          const maxScroll = Math.max(0, view.scrollHeight - view.height);
+          scrollTo = Math.max(0, Math.min(scrollTo, maxScroll));
+
+          // Horizontal: only when requested or the element is cut off sideways
+          const isHorizontallyVisible = rect.left >= view.left && rect.left + rect.width <= view.left + view.width;
+          let scrollToX = view.scrollLeft;
+
+          if (opts.targetPositionX || !isHorizontallyVisible) {
+            if (opts.targetPositionX === 'left') {
+              scrollToX = elLeft - offsetX;
+            } else if (opts.targetPositionX === 'right') {
+              scrollToX = elLeft + rect.width - view.width + offsetX;
+            } else {
+              scrollToX = elLeft - view.width / 2 + rect.width / 2;
+            }
+
+            const maxScrollX = Math.max(0, view.scrollWidth - view.width);
+            scrollToX = Math.max(0, Math.min(scrollToX, maxScrollX));
+          }
+
+          return {
+            currentScroll: { x: view.scrollLeft, y: view.scrollTop },
+            targetScroll: { x: scrollToX, y: scrollTo },
+          };
+        } catch (e) {
+          return null;
+        }
+      }, {
+        container: scrollContainer.containerHandle,
+        inner: innerHandle,
+        opts: {
+          targetPosition: options.targetPosition ?? 'center',
+          offset: options.offset,
+          targetPositionX: options.targetPositionX,
+          offsetX: options.offsetX,
+          insets: options.insets ?? null,
+        },
+      });
+    } catch (error) {
+      this.log('calculateScrollTarget failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Pre-scroll mouse (region: where the wheel must land, e.g. an iframe's visible area)
+   */
+  async preScrollMouseMovement(viewport, options, region = null) {
+    // Fingers don't hover: the swipe starts wherever the finger lands
+    if (this.config.inputDevice === 'touch') return;
+
+    if (!this.lastPos) {
+      this.initializePosition(viewport);
+    }
+
+    const area = region ?? { x: 0, y: 0, width: viewport.width, height: viewport.height };
+
+    const hoverTarget = {
+      x: area.x + area.width * (0.25 + this.random() * 0.5),
+      y: area.y + area.height * (0.15 + this.random() * 0.7)
+    };
+
+    const distance = this.calculateDistance(this.lastPos, hoverTarget);
+    const isInsideArea = this.lastPos.x >= area.x && this.lastPos.x <= area.x + area.width &&
+                         this.lastPos.y >= area.y && this.lastPos.y <= area.y + area.height;
+
+    if (distance > 60 || !isInsideArea) {
+      await this.moveToPosition(hoverTarget.x, hoverTarget.y, {
+        ...options,
+        numPoints: Math.max(6, Math.round(distance / 60))
+      });
+    }
+  }
+
+  /**
+   * Execute scroll with COHERENT fatigue (smaller steps, slower)
+   *
+   * targetScroll/direction/overshootAmount are { x, y }, a null target axis is not scrolled.
+   */
+  async executeScrollSequence(targetScroll, direction, numSteps, overshootAmount, scrollContainer, options) {
+    const baseJitterStdDev = options.scrollJitterStdDev ?? 18;
+    const jitterStdDev = baseJitterStdDev * this.config.fatigueMultiplier; // Fatigue increases jitter
+
+    for (let i = 1; i <= numSteps; i++) {
+      const currentScroll = await this.getScrollPosition(scrollContainer);
+      if (!currentScroll) break;
+
+      this.trackWheelProgress(scrollContainer, currentScroll);
+
+      const progress = i / numSteps;
+
+      // Logarithmic deceleration
+      const logDeceleration = 1 - Math.log10(1 + 9 * progress);
+      const easedProgress = this.easeInOutCubic(progress);
+      const blendedProgress = easedProgress * 0.6 + logDeceleration * 0.4;
+
+      const stepDelta = { x: 0, y: 0 };
+
+      for (const axis of ['y', 'x']) {
+        if (targetScroll[axis] === null) continue;
+
+        const remainingDelta = Math.abs(targetScroll[axis] - currentScroll[axis]);
+        if (remainingDelta < 8) continue;
+
+        // COHERENT FATIGUE: smaller steps (divide by fatigue)
+        let axisDelta = (remainingDelta * (1 - blendedProgress) * 0.3) / this.config.fatigueMultiplier;
+
+        const distanceBasedJitter = Math.min(jitterStdDev, remainingDelta * 0.12);
+        axisDelta += this.randomGaussian(0, distanceBasedJitter);
+
+        axisDelta = this.clamp(axisDelta, this.config.minScrollStep, this.config.maxScrollStep);
+
+        if (overshootAmount[axis] > 0 && i > numSteps * 0.75) {
+          const overshootFraction = (i - numSteps * 0.75) / (numSteps * 0.25);
+          axisDelta += overshootAmount[axis] * overshootFraction * 0.4;
+        }
+
+        stepDelta[axis] = direction[axis] * axisDelta;
+      }
+
+      if (stepDelta.x === 0 && stepDelta.y === 0) break;
+
+      await this.applyScrollStep(scrollContainer, stepDelta, currentScroll);
+
+      // COHERENT FATIGUE: slower delays (multiply by fatigue)
+      const baseDelay = (18 + this.random() * 75) * this.config.fatigueMultiplier;
+      const microPause = this.random() < 0.12 ? this.random() * 90 : 0;
+      await this.randomDelay(baseDelay, baseDelay + microPause);
+
+      if (this.random() < 0.18) {
+        await this.microMouseAdjustment();
+      }
+    }
+  }
+
+  /**
+   * Correction scroll
+   */
+  async executeCorrectionScrollLogarithmic(targetScroll, correctionSteps, scrollContainer, options) {
+    const baseJitterStdDev = (options.scrollJitterStdDev ?? 18) / 2;
+    const jitterStdDev = baseJitterStdDev * this.config.fatigueMultiplier;
+
+    for (let i = 1; i <= correctionSteps; i++) {
+      const currentScroll = await this.getScrollPosition(scrollContainer);
+      if (!currentScroll) break;
+
+      this.trackWheelProgress(scrollContainer, currentScroll);
+
+      const progress = i / correctionSteps;
+      const logFactor = 1 - Math.log10(1 + 9 * progress);
+
+      const stepDelta = { x: 0, y: 0 };
+
+      for (const axis of ['y', 'x']) {
+        if (targetScroll[axis] === null) continue;
+
+        const correctionDelta = Math.abs(targetScroll[axis] - currentScroll[axis]);
+        if (correctionDelta < 8) continue;
+
+        // COHERENT FATIGUE
+        let axisDelta = (correctionDelta * logFactor * 0.4) / this.config.fatigueMultiplier;
+
+        axisDelta += this.randomGaussian(0, jitterStdDev);
+        axisDelta = this.clamp(axisDelta, this.config.minScrollStep, Math.min(130, this.config.maxScrollStep));
+
+        // Correct towards the target, whichever side of it we ended up on
+        const correctionDirection = targetScroll[axis] > currentScroll[axis] ? 1 : -1;
+        stepDelta[axis] = correctionDirection * axisDelta;
+      }
+
+      if (stepDelta.x === 0 && stepDelta.y === 0) break;
+
+      await this.applyScrollStep(scrollContainer, stepDelta, currentScroll);
+
+      await this.randomDelay(12 * this.config.fatigueMultiplier, 65 * this.config.fatigueMultiplier);
+    }
+  }
+
+  /**
+   * Trackpad scrolling: two-finger gestures of small deltas, then inertia with decaying deltas
+   *
+   * Each gesture covers up to maxGestureDistance (default 1200px); the finger phase ramps up,
+   * the momentum phase decays geometrically so its deltas sum to the remaining distance.
+   */
+  async executeMomentumScroll(targetScroll, scrollContainer, options) {
+    const maxGestures = options.maxScrollGestures ?? 8;
+    const frameInterval = 16.7; // Deltas are delivered once per frame
+
+    for (let gesture = 0; gesture < maxGestures; gesture++) {
+      const currentScroll = await this.getScrollPosition(scrollContainer);
+      if (!currentScroll) break;
+
+      this.trackWheelProgress(scrollContainer, currentScroll);
+
+      const remaining = { x: 0, y: 0 };
+      for (const axis of ['x', 'y']) {
+        if (targetScroll[axis] === null) continue;
+        const axisRemaining = targetScroll[axis] - currentScroll[axis];
+        remaining[axis] = Math.abs(axisRemaining) >= 8 ? axisRemaining : 0;
+      }
+
+      const distance = Math.hypot(remaining.x, remaining.y);
+      if (distance < 8) break;
+
+      const unit = { x: remaining.x / distance, y: remaining.y / distance };
+      const gestureDistance = Math.min(distance, (options.maxGestureDistance ?? 1200) * (0.8 + this.random() * 0.4));
+
+      // Short distances are dragged to the spot, longer ones are flicked and left to inertia
+      const momentumShare = gestureDistance > 150 ? 0.55 + this.random() * 0.25 : 0;
+      const dragDistance = gestureDistance * (1 - momentumShare);
+      const momentumDistance = gestureDistance - dragDistance;
+
+      const carry = { x: 0, y: 0 };
+      const emitDelta = async (amount) => {
+        const step = {};
+        for (const axis of ['x', 'y']) {
+          // Whole pixels only, the rounding error is carried to the next delta
+          const exact = amount * unit[axis] + carry[axis];
+          step[axis] = Math.round(exact);
+          carry[axis] = exact - step[axis];
+        }
+        if (step.x !== 0 || step.y !== 0) {
+          await this.applyScrollStep(scrollContainer, step, currentScroll);
+        }
+        const frame = frameInterval * this.config.fatigueMultiplier;
+        await this.randomDelay(frame * 0.85, frame * 1.15);
+      };
+
+      // Finger phase: speeds up towards the lift when momentum follows, bell-shaped otherwise
+      const dragFrames = Math.max(4, Math.round(dragDistance / (8 + this.random() * 10)));
+      const weights = [];
+      for (let i = 0; i < dragFrames; i++) {
+        const t = (i + 0.5) / dragFrames;
+        weights.push(momentumDistance > 0 ? Math.sin(t * Math.PI / 2) : Math.sin(t * Math.PI));
+      }
+      const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+
+      for (const weight of weights) {
+        await emitDelta(dragDistance * weight / weightSum);
+      }
+
+      // Inertia continues from the release speed: v, v·d, v·d², ... sums to momentumDistance
+      if (momentumDistance > 0) {
+        const releaseVelocity = dragDistance * weights[weights.length - 1] / weightSum;
+        const decay = this.clamp(1 - releaseVelocity / momentumDistance, 0.9, 0.975);
+        let velocity = momentumDistance * (1 - decay);
+
+        while (velocity >= 0.5) {
+          await emitDelta(velocity);
+          velocity *= decay;
+        }
+      }
+
+      // Fingers lift and reposition before the next gesture
+      await this.randomDelay(150 * this.config.fatigueMultiplier, 400 * this.config.fatigueMultiplier);
+    }
+  }
+
+  /**
+   * Touch scrolling with swipe gestures (CDP touch events, Chromium only)
+   *
+   * The finger moves against the scroll direction inside the visible area. Far targets are
+   * flicked and the browser's fling carries on after the lift; the final swipe slows down and
+   * rests before lifting so the page stops close to the target. Returns false when touch events
+   * are unavailable or have no effect, so the caller can fall back.
+   */
+  async executeSwipeScroll(targetScroll, scrollContainer, visibleArea, options) {
+    if (!(await this.getTouchSession())) return false;
+
+    const maxSwipes = options.maxScrollGestures ?? 10;
+    const margin = 12;
+    let previousScroll = null;
+    let stalled = 0;
+
+    for (let swipe = 0; swipe < maxSwipes; swipe++) {
+      const currentScroll = await this.getScrollPosition(scrollContainer);
+      if (!currentScroll) break;
+
+      if (previousScroll) {
+        const moved = Math.abs(currentScroll.x - previousScroll.x) + Math.abs(currentScroll.y - previousScroll.y);
+        stalled = moved < 2 ? stalled + 1 : 0;
+        if (stalled >= 2) {
+          this.log('Swipes have no effect, falling back');
+          return false;
+        }
+      }
+      previousScroll = currentScroll;
+
+      const remaining = { x: 0, y: 0 };
+      for (const axis of ['x', 'y']) {
+        if (targetScroll[axis] === null) continue;
+        const axisRemaining = targetScroll[axis] - currentScroll[axis];
+        remaining[axis] = Math.abs(axisRemaining) >= 30 ? axisRemaining : 0;
+      }
+
+      const distance = Math.hypot(remaining.x, remaining.y);
+      if (distance < 30) break;
+
+      const unit = { x: remaining.x / distance, y: remaining.y / distance };
+
+      // A thumb covers roughly half of the visible area per swipe
+      const span = Math.abs(unit.y) >= Math.abs(unit.x) ? visibleArea.height : visibleArea.width;
+      const travel = Math.min(distance, span * (0.45 + this.random() * 0.2));
+      const isFlick = distance > travel * 1.5;
+
+      // Content follows the finger, so the finger moves opposite to the scroll direction
+      const center = {
+        x: visibleArea.x + visibleArea.width * (0.35 + this.random() * 0.3),
+        y: visibleArea.y + visibleArea.height * (0.35 + this.random() * 0.3)
+      };
+      const start = {
+        x: this.clamp(center.x + unit.x * travel / 2, visibleArea.x + margin, visibleArea.x + visibleArea.width - margin),
+        y: this.clamp(center.y + unit.y * travel / 2, visibleArea.y + margin, visibleArea.y + visibleArea.height - margin)
+      };
+      const end = {
+        x: this.clamp(start.x - unit.x * travel, visibleArea.x + margin, visibleArea.x + visibleArea.width - margin),
+        y: this.clamp(start.y - unit.y * travel, visibleArea.y + margin, visibleArea.y + visibleArea.height - margin)
+      };
+
+      // Thumbs pivot at the joint, so swipes bow slightly sideways
+      const bow = travel * (this.random() - 0.5) * 0.12;
+      const contact = {
+        radiusX: 8 + this.random() * 6,
+        radiusY: 8 + this.random() * 6,
+        force: 0.3 + this.random() * 0.3
+      };
+
+      const duration = (isFlick ? 110 + this.random() * 90 : 250 + travel * 0.6 + this.random() * 120) *
+                       this.config.fatigueMultiplier;
+      const frames = Math.max(5, Math.round(duration / 16.7));
+
+      try {
+        await this.emitTouch('touchStart', { ...contact, x: start.x, y: start.y });
+        await this.randomDelay(20, 60);
+
+        let point = start;
+        for (let i = 1; i <= frames; i++) {
+          const t = i / frames;
+          // Flicks accelerate into the lift, controlled swipes follow a minimum-jerk profile
+          const s = isFlick ? t * t * (2 - t) : 10 * t ** 3 - 15 * t ** 4 + 6 * t ** 5;
+          const offset = Math.sin(t * Math.PI) * bow;
+
+          point = {
+            x: start.x + (end.x - start.x) * s - unit.y * offset + this.randomGaussian(0, 0.4),
+            y: start.y + (end.y - start.y) * s + unit.x * offset + this.randomGaussian(0, 0.4)
+          };
+          await this.emitTouch('touchMove', { ...contact, ...point });
+          await this.randomDelay(14, 19);
+        }
+
+        if (!isFlick) {
+          // Resting before the lift cancels the fling
+          await this.randomDelay(60, 130);
+        }
+
+        await this.emitTouch('touchEnd', point);
+      } catch (error) {
+        this.log('Swipe failed:', error.message);
+        return false;
+      }
+
+      this.lastPos = { x: end.x, y: end.y };
+
+      // Let the fling settle before measuring again
+      if (isFlick) {
+        await this.randomDelay(450 * this.config.fatigueMultiplier, 800 * this.config.fatigueMultiplier);
+      } else {
+        await this.randomDelay(120, 250);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Current scroll position ({ x, y }) of a window or container, null if unavailable
+   */
+  async getScrollPosition(scrollContainer) {
+    try {
+      if (scrollContainer.info.isWindow) {
+        return await (scrollContainer.frame ?? this.page).evaluate(() => {
+          try {
+            return {
+              x: window.scrollX || window.pageXOffset || 0,
+              y: window.scrollY || window.pageYOffset || 0,
             };
           } catch (e) {
-            return null;
+            return { x: 0, y: 0 };
           }
         });
+      }
+
+      if (scrollContainer.containerHandle) {
+        return await scrollContainer.containerHandle.evaluate(el => {
+          try {
+            return { x: el.scrollLeft, y: el.scrollTop };
+          } catch (e) {
+            return { x: 0, y: 0 };
+          }
+        });
+      }
+    } catch (error) {
+      this.log('getScrollPosition failed:', error.message);
+    }
 
-        if (containerInfo) {
+    return null;
+  }
+
+  /**
+   * Maximum scroll offsets ({ x, y }) of a window or container, null if unavailable
+   */
+  async getMaxScroll(scrollContainer) {
+    try {
+      if (scrollContainer.info.isWindow) {
+        return await (scrollContainer.frame ?? this.page).evaluate(() => {
+          const root = document.scrollingElement || document.documentElement;
           return {
-            info: containerInfo,
-            containerHandle: containerHandle
+            x: Math.max(0, root.scrollWidth - window.innerWidth),
+            y: Math.max(0, root.scrollHeight - window.innerHeight),
           };
+        });
+      }
+
+      return await scrollContainer.containerHandle.evaluate(el => ({
+        x: Math.max(0, el.scrollWidth - el.clientWidth),
+        y: Math.max(0, el.scrollHeight - el.clientHeight),
+      }));
+    } catch (error) {
+      this.log('getMaxScroll failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Apply one scroll step ({ x, y } delta) to a window or container
+   *
+   * Containers get real wheel events (the pointer is already over them). Containers that
+   * ignore wheel input fall back to setting scrollLeft/scrollTop, see trackWheelProgress.
+   */
+  async applyScrollStep(scrollContainer, stepDelta, currentScroll = null) {
+    if (scrollContainer.info.isWindow) {
+      await this.emitMouseWheel(stepDelta.x, stepDelta.y);
+    } else if (scrollContainer.containerHandle && !scrollContainer.wheelIgnored) {
+      await this.emitMouseWheel(stepDelta.x, stepDelta.y);
+      scrollContainer.pendingWheel = currentScroll;
+    } else if (scrollContainer.containerHandle) {
+      await scrollContainer.containerHandle.evaluate((el, delta) => {
+        try {
+          el.scrollLeft += delta.x;
+          el.scrollTop += delta.y;
+        } catch (e) {
+          // Silent
         }
+      }, stepDelta);
+    }
+  }
+
+  /**
+   * Verify the last wheel step moved the container, switch to scripted scrolling after two misses
+   */
+  trackWheelProgress(scrollContainer, currentScroll) {
+    const previousScroll = scrollContainer.pendingWheel;
+    if (!previousScroll) return;
+
+    scrollContainer.pendingWheel = null;
+
+    const moved = Math.abs(currentScroll.x - previousScroll.x) + Math.abs(currentScroll.y - previousScroll.y);
+    scrollContainer.wheelMisses = moved < 1 ? (scrollContainer.wheelMisses ?? 0) + 1 : 0;
+
+    if (scrollContainer.wheelMisses >= 2) {
+      scrollContainer.wheelIgnored = true;
+      this.log('Container ignores wheel input, falling back to scripted scrolling');
+    }
+  }
+
+  /**
+   * Verify the wheel step a sequence ended on (no next step re-reads the position for it)
+   *
+   * When that step was swallowed short of targetScroll, the rest is scrolled by script.
+   */
+  async finishWheelProgress(scrollContainer, targetScroll) {
+    if (!scrollContainer.pendingWheel) return;
+
+    const currentScroll = await this.getScrollPosition(scrollContainer);
+    if (!currentScroll) return;
+
+    this.trackWheelProgress(scrollContainer, currentScroll);
+    if (!scrollContainer.wheelMisses) return;
+
+    const remaining = { x: 0, y: 0 };
+    for (const axis of ['x', 'y']) {
+      if (targetScroll[axis] === null) continue;
+      const axisRemaining = targetScroll[axis] - currentScroll[axis];
+      remaining[axis] = Math.abs(axisRemaining) >= 8 ? axisRemaining : 0;
+    }
+    if (remaining.x === 0 && remaining.y === 0) return;
+
+    this.log('Last wheel step was ignored, finishing with scripted scrolling');
+    scrollContainer.wheelIgnored = true;
+    await this.applyScrollStep(scrollContainer, remaining, currentScroll);
+  }
+
+  /**
+   * Largest part of a box outside a hole (the box itself if nothing usable is left)
+   */
+  subtractBox(box, hole) {
+    const overlap = this.intersectBoxes(box, hole);
+    if (overlap.width === 0 || overlap.height === 0) return box;
+
+    const candidates = [
+      // Above, below, left and right of the hole
+      { x: box.x, y: box.y, width: box.width, height: overlap.y - box.y },
+      { x: box.x, y: overlap.y + overlap.height, width: box.width, height: box.y + box.height - overlap.y - overlap.height },
+      { x: box.x, y: box.y, width: overlap.x - box.x, height: box.height },
+      { x: overlap.x + overlap.width, y: box.y, width: box.x + box.width - overlap.x - overlap.width, height: box.height },
+    ].filter(candidate => candidate.width >= 20 && candidate.height >= 20);
+
+    if (candidates.length === 0) return box;
+
+    return candidates.reduce((best, candidate) =>
+      candidate.width * candidate.height > best.width * best.height ? candidate : best
+    );
+  }
+
+  /**
+   * Bring element into view and wait until it is clickable and stable
+   */
+  async prepareElementForInteraction(element, options = {}) {
+    const waitTimes = {};
+
+    // 1. Verify element exists and has a bounding box
+    let viewport = await this.getViewport();
+    let box = await this.getElementBoundingBox(element);
+    if (!box) {
+      throw new BoundingBoxError('Element bounding box unavailable', { viewport, attempts: 3 });
+    }
+
+    // 2. Scroll to element FIRST if not in viewport
+    //    This fixes the deadlock where isElementClickable rejects off-screen elements
+    //    before scrollToElement ever gets called
+    // Scanned once and again only when the layout may have moved (scroll, onOccluded)
+    let obstructions = await this.getViewportObstructions(element, options);
+    let obstructionsStale = false;
+    if (!(await this.isElementInViewport(element, options.visibilityBuffer ?? 50, obstructions))) {
+      const scrollStart = Date.now();
+      let scrollError = null;
+      obstructionsStale = true;
+
+      try {
+        await this.scrollToElement(element, options, obstructions);
+      } catch (error) {
+        scrollError = error;
+        this.log('Scroll failed:', error.message);
+      }
+      await this.randomDelay(120, 250);
+      waitTimes.scroll = Date.now() - scrollStart;
+
+      // Re-get bounding box after scroll (position may have changed)
+      box = await this.getElementBoundingBox(element);
+      if (!box) {
+        throw new BoundingBoxError('Element bounding box unavailable after scroll', { viewport, waitTimes, attempts: 3 });
       }
 
-      // Dispose handle if not used
-      await containerHandle.dispose();
+      if (scrollError && !(await this.isElementInViewport(element, 0))) {
+        throw new ScrollFailedError('Element could not be scrolled into view', {
+          box, viewport, waitTimes, attempts: 1, cause: scrollError
+        });
+      }
+    }
 
-      // Window scroll fallback
-      const viewport = await this.getViewport();
-      return {
-        info: {
-          isWindow: true,
-          scrollTop: viewport.scrollY,
-          scrollLeft: viewport.scrollX,
-          scrollHeight: viewport.documentHeight,
-          scrollWidth: viewport.documentWidth,
-          clientHeight: viewport.height,
-          clientWidth: viewport.width,
-        },
-        containerHandle: null
-      };
-    } catch (error) {
-      this.log('getScrollContainer failed:', error.message);
-      const viewport = await this.getViewport();
-      return {
-        info: {
-          isWindow: true,
-          scrollTop: viewport.scrollY,
-          scrollLeft: viewport.scrollX,
-          scrollHeight: viewport.documentHeight,
-          scrollWidth: viewport.documentWidth,
-          clientHeight: viewport.height,
-          clientWidth: viewport.width,
-        },
-        containerHandle: null
-      };
+    // 3. NOW poll for clickability (element should be in viewport after scroll)
+    //    options.onOccluded(report, element) may dismiss whatever covers the element;
+    //    the wait restarts after it, unless it returns false
+    const maxWaitTime = options.waitTimeout ?? 5000;
+    const maxOcclusionRetries = options.occlusionRetries ?? 2;
+    const clickableStart = Date.now();
+    let startTime = clickableStart;
+    let attempts = 0;
+    let occlusionRetries = 0;
+    let clickability;
+
+    do {
+      attempts++;
+      clickability = await this.isElementClickable(element, { details: true });
+      if (clickability.clickable) break;
+
+      if (clickability.reason === 'covered' && options.onOccluded && occlusionRetries < maxOcclusionRetries) {
+        occlusionRetries++;
+        obstructionsStale = true;
+        this.log('Element occluded by', clickability.coveringElement?.selector);
+        if ((await options.onOccluded(clickability, element)) === false) break;
+        startTime = Date.now();
+        continue;
+      }
+
+      await this.pollDelay(80, 180);
+    } while (Date.now() - startTime < maxWaitTime);
+
+    waitTimes.clickable = Date.now() - clickableStart;
+
+    if (!clickability.clickable) {
+      throw new NotClickableError(`Element is not clickable (${clickability.reason})`, {
+        box, viewport, waitTimes, attempts, coveringElement: clickability.coveringElement, occlusion: clickability
+      });
+    }
+
+    // 4. Wait for element stability
+    const stabilityStart = Date.now();
+    const stableBox = await this.waitForElementStability(element, options.stabilityTimeout ?? 1500);
+    waitTimes.stability = Date.now() - stabilityStart;
+    if (!stableBox) {
+      throw new UnstableElementError('Element position is unstable', { box, viewport, waitTimes, attempts: 1 });
+    }
+
+    // 5. Re-get viewport and bounding box after stability check
+    viewport = await this.getViewport();
+    box = await this.getElementBoundingBox(element);
+    if (!box) {
+      throw new BoundingBoxError('Element bounding box unavailable after stability check', { viewport, waitTimes, attempts: 3 });
+    }
+
+    // Visible intersection of the frame chain (whole viewport outside iframes)
+    const frameContext = await this.getFrameContext(element);
+    await this.disposeFrameContext(frameContext);
+
+    // Fixed/sticky elements where they are now, for click targets to avoid
+    if (obstructionsStale) {
+      obstructions = await this.getViewportObstructions(element, options);
     }
+
+    // Part of the element that is not clipped or covered (whole box when unknown)
+    const targetBox = await this.getHittableArea(element) ?? box;
+
+    return { box, targetBox, viewport, clip: frameContext.clip, obstructions: obstructions.boxes };
   }
 
   /**
-   * Enhanced clickability check with multi-point sampling and ancestor checking
+   * Enhanced click
+   *
+   * options.expect: post-condition(s) checked after the click (see checkClickCondition). When one
+   * is not met within expectTimeout, the click is retried like a user would (up to options.retries).
+   * options.waitUntil ('commit', 'domcontentloaded', 'load', 'networkidle') waits for a navigation
+   * caused by the click to settle.
+   * Resolves with { success, attempts, point, stateChanged, navigated, navigation, conditions };
+   * when a retry throws, with the previous attempt's result, success false and the error.
    */
-  async isElementClickable(element) {
+  async click(element, options = {}) {
+    this.beginAction('click');
+
     try {
-      return await element.evaluate(el => {
+      const conditions = options.expect ? [].concat(options.expect) : [];
+      for (const condition of conditions) {
+        if (typeof condition !== 'function' &&
+            !(condition !== null && typeof condition === 'object' &&
+              ['navigation', 'url', 'visible', 'hidden', 'request'].some(key => key in condition))) {
+          throw new Error(`Unknown click condition: ${JSON.stringify(condition)}`);
+        }
+      }
+
+      const maxAttempts = 1 + (options.retries ?? (conditions.length > 0 ? 2 : 0));
+      let result;
+
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const watcher = this.watchClickOutcome();
         try {
-          // Helper: traverse shadow boundaries and slot assignments
-          function getComposedParentNode(node) {
-            if (!node) return null;
-            if (node.assignedSlot) return node.assignedSlot;
-            const parent = node.parentNode;
-            if (!parent) return null;
-            if (parent instanceof ShadowRoot) return parent.host;
-            if (parent instanceof Element) return parent;
-            return null;
+          if (attempt > 1) {
+            await this.prepareClickRetry(options);
           }
 
-          // Helper: check if ancestor contains descendant across shadow boundaries
-          function composedContains(ancestor, descendant) {
-            let current = descendant;
-            let depth = 0;
-            while (current && depth < 100) {
-              if (current === ancestor) return true;
-              current = getComposedParentNode(current);
-              depth++;
-            }
-            return false;
+          const { point, stateChanged } = await this.performClick(element, options, watcher);
+          if (options.waitUntil) {
+            await this.waitForClickNavigation(watcher, options);
           }
 
-          // Helper: elementFromPoint that penetrates open shadow roots
-          function getComposedElementFromPoint(x, y) {
-            let element = document.elementFromPoint(x, y);
-            if (!element) return null;
+          const outcome = await this.waitForClickConditions(conditions, watcher, options.expectTimeout ?? 5000);
 
-            let depth = 0;
-            while (element && element.shadowRoot && depth < 10) {
-              const innerElement = element.shadowRoot.elementFromPoint(x, y);
-              if (innerElement && innerElement !== element) {
-                element = innerElement;
-              } else {
-                break;
-              }
-              depth++;
-            }
+          result = {
+            success: outcome.every(condition => condition.met),
+            attempts: attempt,
+            point,
+            stateChanged,
+            navigated: watcher.navigated,
+            navigation: watcher.navigation,
+            conditions: outcome
+          };
+        } catch (error) {
+          // A retry can fail where the first attempt got through (e.g. the element is gone after
+          // a late navigation): report the attempts made instead of losing them
+          if (attempt === 1) throw error;
 
-            return element;
-          }
+          this.log(`Click retry failed (attempt ${attempt}/${maxAttempts}):`, error.message);
+          result = { ...result, success: false, attempts: attempt, error };
+          break;
+        } finally {
+          watcher.dispose();
+        }
 
-          if (!el.isConnected) return false;
+        if (result.success) break;
 
-          const style = window.getComputedStyle(el);
+        this.log(`Click expectations not met (attempt ${attempt}/${maxAttempts})`);
+      }
+
+      return result;
+    } finally {
+      this.endAction();
+    }
+  }
 
-          if (style.display === 'none') return false;
-          if (style.visibility === 'hidden') return false;
-          if (parseFloat(style.opacity) < 0.1) return false;
+  /**
+   * Single click attempt: prepare, approach, press and release; resolves with { point, stateChanged }
+   */
+  async performClick(element, options, watcher = null) {
+    const { box, targetBox, viewport, clip, obstructions } = await this.prepareElementForInteraction(element, options);
 
-          const rect = el.getBoundingClientRect();
-          if (rect.width <= 0 || rect.height <= 0) return false;
+    await this.humanReactionDelay();
 
-          if (rect.bottom < 0 || rect.right < 0) return false;
-          if (rect.top > window.innerHeight || rect.left > window.innerWidth) return false;
+    const clickTarget = this.clampToBox(this.calculateClickTarget(targetBox, { ...options, obstructions }), clip);
+    const button = options.button ?? 'left';
+    const isTouch = this.config.inputDevice === 'touch';
 
-          if (style.pointerEvents === 'none') return false;
-          if (el.disabled) return false;
+    if (isTouch) {
+      if (button !== 'left') {
+        throw new UnsupportedInputError(`Touch input only supports left clicks (got '${button}')`, { box, viewport });
+      }
 
-          // Check pointer-events on ancestors (crosses shadow boundaries and slots)
-          let ancestor = getComposedParentNode(el);
-          let ancestorDepth = 0;
-          while (ancestor && ancestorDepth < 100) {
-            const ancestorStyle = window.getComputedStyle(ancestor);
-            if (ancestorStyle.pointerEvents === 'none') return false;
-            ancestor = getComposedParentNode(ancestor);
-            ancestorDepth++;
+      // The finger travels above the screen: no events, only the time the movement takes
+      const from = this.lastPos ?? clickTarget;
+      const ID = Math.log2(this.calculateDistance(from, clickTarget) / Math.min(box.width, box.height) + 1);
+      const travelTime = (this.config.fittsA + this.config.fittsB * ID) * 1000 * this.config.fatigueMultiplier;
+      await this.randomDelay(travelTime * 0.9, travelTime * 1.1);
+    } else {
+      // NATURAL APPROACH: based on current trajectory
+      const approachTarget = this.calculateNaturalApproachTarget(clickTarget, box, viewport);
+      this.drawOverlay({ type: 'box', ...box });
+      this.drawOverlay({ type: 'marker', kind: 'target', ...clickTarget });
+      this.drawOverlay({ type: 'marker', kind: 'approach', ...approachTarget });
+
+      await this.moveToPosition(approachTarget.x, approachTarget.y, {
+        ...options,
+        isApproach: true
+      });
+
+      await this.randomDelay(120, 450);
+    }
+
+    const clickCount = options.clickCount ?? 1;
+    const modifiers = options.modifiers ?? [];
+    const pressedModifiers = [];
+
+    let preClickState;
+
+    try {
+      // Modifier keys go down slightly before the pointer settles on the target
+      for (const modifier of modifiers) {
+        await this.page.keyboard.down(modifier);
+        pressedModifiers.push(modifier);
+        await this.randomDelay(30 * this.config.fatigueMultiplier, 90 * this.config.fatigueMultiplier);
+      }
+
+      if (!isTouch) {
+        await this.moveToPosition(clickTarget.x, clickTarget.y, {
+          ...options,
+          numPoints: Math.max(3, Math.round(2 + this.random() * 4))
+        });
+      }
+
+      const clickability = await this.isElementClickable(element, { details: true });
+      if (!clickability.clickable) {
+        throw new NotClickableError(`Element became unclickable (${clickability.reason})`, {
+          box, viewport, attempts: 1, coveringElement: clickability.coveringElement, occlusion: clickability
+        });
+      }
+
+      // Pre-click state
+      preClickState = await element.evaluate(el => {
+        try {
+          return {
+            className: el.className,
+            disabled: el.disabled,
+            ariaPressed: el.getAttribute('aria-pressed'),
+            ariaExpanded: el.getAttribute('aria-expanded'),
+          };
+        } catch (e) {
+          return null;
+        }
+      });
+
+      // The outcome is what happens from the press on, not during the approach
+      if (watcher) {
+        watcher.start();
+      }
+
+      for (let count = 1; count <= clickCount; count++) {
+        // REALISTIC CLICK DURATION: 40-120ms by default (research-based)
+        const clickDuration = Math.max(this.config.clickHoldMin, Math.round(this.randomGaussian(this.config.clickHoldTime, this.config.clickHoldVariance)));
+
+        try {
+          if (isTouch) {
+            await this.emitTap(clickTarget.x, clickTarget.y, box);
+          } else {
+            await this.emitMouseDown({ button, clickCount: count }, box);
+            await this.randomDelay(clickDuration, clickDuration + 15);
+            await this.emitMouseUp({ button, clickCount: count });
           }
+        } catch (error) {
+          throw new ShyMouseError(`Click failed: ${error.message}`, { box, viewport, attempts: 1, cause: error });
+        }
 
-          // Multi-point sampling (center + 4 cardinal points + 4 corners)
-          const samplingPoints = [
-            { x: 0.5, y: 0.5 }, // Center
-            { x: 0.3, y: 0.5 }, // Left
-            { x: 0.7, y: 0.5 }, // Right
-            { x: 0.5, y: 0.3 }, // Top
-            { x: 0.5, y: 0.7 }, // Bottom
-            { x: 0.3, y: 0.3 }, // Top-left
-            { x: 0.7, y: 0.3 }, // Top-right
-            { x: 0.3, y: 0.7 }, // Bottom-left
-            { x: 0.7, y: 0.7 }, // Bottom-right
-          ];
+        if (count < clickCount) {
+          // Double-click interval: ~70-200ms between release and next press
+          const interval = this.clamp(this.randomGaussian(options.multiClickInterval ?? 110, 30), 60, 220);
+          await this.randomDelay(interval * 0.9, interval * 1.1);
+
+          // The hand is never perfectly still between presses (a finger lands a bit off)
+          const drift = isTouch ? 3 : 0.8;
+          clickTarget.x = this.clamp(clickTarget.x + this.randomGaussian(0, drift), 0, viewport.width - 1);
+          clickTarget.y = this.clamp(clickTarget.y + this.randomGaussian(0, drift), 0, viewport.height - 1);
+          if (!isTouch) {
+            await this.emitMouseMove(clickTarget.x, clickTarget.y);
+          }
+        }
+      }
+    } finally {
+      for (const modifier of pressedModifiers.reverse()) {
+        await this.randomDelay(20 * this.config.fatigueMultiplier, 70 * this.config.fatigueMultiplier);
+        await this.page.keyboard.up(modifier).catch(() => {});
+      }
+    }
+
+    // Validate click (null: not checked, element removed or navigated away)
+    let stateChanged = null;
+    if (options.validateClick !== false && preClickState) {
+
+      // Nothing to compare when the click started a navigation or removed the element
+      const navigationStarted = !!watcher && (watcher.navigationRequested || watcher.navigated);
+      const isElementAccessible = !navigationStarted &&
+        await element.evaluate(el => el.isConnected).catch(() => false); // Simple check, fast fail if stale
+
+      if (!isElementAccessible) {
+        this.log('Skipping validation: element removed or navigation occurred (click likely succeeded)');
+      } else {
+
+        await this.randomDelay(50, 150);
+
+        let postClickState = null;
+        try {
+          postClickState = await element.evaluate(el => {
+            try {
+              return {
+                className: el.className,
+                disabled: el.disabled,
+                ariaPressed: el.getAttribute('aria-pressed'),
+                ariaExpanded: el.getAttribute('aria-expanded'),
+              };
+            } catch (e) {
+              return null;
+            }
+          });
+        } catch (error) {
+          this.log('Post-click validation failed: element possibly removed or unavailable', error.message);
+        }
+
+        if (postClickState) {
+          stateChanged =
+            preClickState.className !== postClickState.className ||
+            preClickState.disabled !== postClickState.disabled ||
+            preClickState.ariaPressed !== postClickState.ariaPressed ||
+            preClickState.ariaExpanded !== postClickState.ariaExpanded;
+
+          if (stateChanged) {
+            this.log('Click validated: state changed');
+          } else {
+            this.log('Warning: No visible state change after click');
+          }
+        } else {
+          this.log('Validation skipped: post-click state unavailable (click may have succeeded if element was removed)');
+        }
 
-          let clickablePoints = 0;
+      }
 
-          for (const point of samplingPoints) {
-            const x = rect.left + rect.width * point.x;
-            const y = rect.top + rect.height * point.y;
+    }
 
-            // Use composed elementFromPoint that penetrates open shadow roots
-            const topElement = getComposedElementFromPoint(x, y);
+    if (!isTouch) {
+      await this.postClickBehavior(clickTarget, viewport, options);
+    }
 
-            if (topElement) {
-              if (topElement === el || composedContains(el, topElement)) {
-                clickablePoints++;
-              } else {
-                // Check if element is ancestor of topElement (crosses shadow boundaries)
-                let current = topElement;
-                let depth = 0;
-                while (current && depth < 100) {
-                  if (current === el) {
-                    clickablePoints++;
-                    break;
-                  }
-                  current = getComposedParentNode(current);
-                  depth++;
-                }
-              }
-            }
-          }
+    this.lastPos = clickTarget;
+    this.updateActionCount();
 
-          // At least 50% of sample points must be clickable
-          return clickablePoints >= samplingPoints.length * 0.5;
-        } catch (e) {
-          return false;
-        }
-      });
-    } catch (error) {
-      this.log('isElementClickable failed:', error.message);
-      return false;
-    }
+    return { point: { ...clickTarget }, stateChanged };
   }
 
   /**
-   * Check if in viewport
+   * Between click attempts: notice that nothing happened, move off the target, then re-approach
    */
-  async isElementInViewport(element, buffer = 10) {
-    try {
-      const box = await this.getElementBoundingBox(element);
-      if (!box) return false;
+  async prepareClickRetry(options) {
+    await this.randomDelay(400 * this.config.fatigueMultiplier, 1100 * this.config.fatigueMultiplier);
 
-      const scrollContainer = await this.getScrollContainer(element);
+    if (this.config.inputDevice !== 'touch' && this.lastPos) {
       const viewport = await this.getViewport();
+      const angle = this.random() * Math.PI * 2;
+      const distance = 40 + this.random() * 80;
 
-      if (scrollContainer.info.isWindow) {
-        const viewTop = viewport.scrollY - buffer;
-        const viewBottom = viewport.scrollY + viewport.height + buffer;
-        const viewLeft = viewport.scrollX - buffer;
-        const viewRight = viewport.scrollX + viewport.width + buffer;
-
-        const hasVerticalOverlap = !(box.y + box.height < viewTop || box.y > viewBottom);
-        const hasHorizontalOverlap = !(box.x + box.width < viewLeft || box.x > viewRight);
-
-        return hasVerticalOverlap && hasHorizontalOverlap;
-      } else {
-        const inContainer = await element.evaluate((el, buff) => {
-          try {
-            // Helper: traverse shadow boundaries and slot assignments
-            function getComposedParentNode(node) {
-              if (!node) return null;
-              if (node.assignedSlot) return node.assignedSlot;
-              const parent = node.parentNode;
-              if (!parent) return null;
-              if (parent instanceof ShadowRoot) return parent.host;
-              if (parent instanceof Element) return parent;
-              return null;
-            }
-
-            let parent = getComposedParentNode(el);
-            let depth = 0;
+      await this.moveToPosition(
+        this.clamp(this.lastPos.x + Math.cos(angle) * distance, 0, viewport.width - 1),
+        this.clamp(this.lastPos.y + Math.sin(angle) * distance, 0, viewport.height - 1),
+        { ...options, numPoints: Math.max(6, Math.round(distance / 12)) }
+      );
+      await this.randomDelay(150, 400);
+    }
+  }
 
-            while (parent && parent !== document.documentElement && depth < 50) {
-              const style = window.getComputedStyle(parent);
-              const overflow = style.overflow + style.overflowY + style.overflowX;
+  /**
+   * Collect what happens during a click attempt: requests sent and main-frame navigations
+   *
+   * navigation is { type, url } once a navigation commits: 'document' for a new document,
+   * 'route' for same-document changes (history.pushState/replaceState, hash changes).
+   * navigationRequested is set as soon as a new document is requested, before it commits.
+   * Nothing is collected until start(), which performClick calls right before the press.
+   */
+  watchClickOutcome() {
+    const mainFrame = this.page.mainFrame();
+    let navigationRequest = null;
+
+    const watcher = {
+      requests: [],
+      navigation: null,
+      navigationRequested: false,
+      navigationAborted: false,
+      loadStates: [],
+      get navigated() {
+        return watcher.navigation !== null;
+      },
+      start: () => {
+        this.page.on('request', onRequest);
+        this.page.on('requestfailed', onRequestFailed);
+        this.page.on('framenavigated', onNavigated);
+        this.page.on('domcontentloaded', onDomContentLoaded);
+        this.page.on('load', onLoad);
+      },
+      dispose: () => {
+        this.page.off('request', onRequest);
+        this.page.off('requestfailed', onRequestFailed);
+        this.page.off('framenavigated', onNavigated);
+        this.page.off('domcontentloaded', onDomContentLoaded);
+        this.page.off('load', onLoad);
+      }
+    };
 
-              if (/(auto|scroll)/.test(overflow)) {
-                const parentRect = parent.getBoundingClientRect();
-                const elRect = el.getBoundingClientRect();
+    const onRequest = request => {
+      watcher.requests.push(request);
+      try {
+        if (request.isNavigationRequest() && request.frame() === mainFrame) {
+          navigationRequest = request;
+          watcher.navigationRequested = true;
+          watcher.navigationAborted = false;
+        }
+      } catch (error) {
+        // Service worker requests have no frame
+      }
+    };
+    // Downloads, 204 responses and cancelled navigations never commit
+    const onRequestFailed = request => {
+      if (request === navigationRequest && !watcher.navigation) {
+        watcher.navigationAborted = true;
+      }
+    };
+    const onNavigated = frame => {
+      if (frame !== mainFrame) return;
+      // Same-document navigations don't request a document (a new one stays 'document')
+      const isDocument = watcher.navigationRequested || watcher.navigation?.type === 'document';
+      watcher.navigation = { type: isDocument ? 'document' : 'route', url: frame.url() };
+    };
+    const onDomContentLoaded = () => {
+      watcher.loadStates.push('domcontentloaded');
+      if (watcher.navigation) watcher.navigation.type = 'document';
+    };
+    const onLoad = () => watcher.loadStates.push('load');
 
-                const hasVerticalOverlap = !(elRect.bottom < parentRect.top - buff || elRect.top > parentRect.bottom + buff);
-                const hasHorizontalOverlap = !(elRect.right < parentRect.left - buff || elRect.left > parentRect.right + buff);
+    return watcher;
+  }
 
-                return hasVerticalOverlap && hasHorizontalOverlap;
-              }
+  /**
+   * Wait for a navigation caused by a click to settle (options.waitUntil)
+   *
+   * Returns right away when the press started no navigation; options.navigationGrace ms
+   * (default 0) gives late handlers time to start one. A requested document is waited for
+   * until it commits, then until it reaches the load state.
+   */
+  async waitForClickNavigation(watcher, options) {
+    const grace = options.navigationGrace ?? 0;
+    const timeout = options.navigationTimeout ?? 30000;
+    const startTime = Date.now();
 
-              parent = getComposedParentNode(parent);
-              depth++;
-            }
+    while (!watcher.navigated && !watcher.navigationRequested && Date.now() - startTime < grace) {
+      await this.pollDelay(30, 70);
+    }
 
-            return true;
-          } catch (e) {
-            return false;
-          }
-        }, buffer);
+    while (watcher.navigationRequested && !watcher.navigated && !watcher.navigationAborted &&
+           Date.now() - startTime < timeout) {
+      await this.pollDelay(30, 70);
+    }
 
-        // Dispose container handle if exists
-        if (scrollContainer.containerHandle) {
-          await scrollContainer.containerHandle.dispose().catch(() => {});
-        }
+    if (!watcher.navigated || options.waitUntil === 'commit') return;
 
-        return inContainer;
-      }
+    try {
+      await this.page.waitForLoadState(options.waitUntil, {
+        timeout: Math.max(1, timeout - (Date.now() - startTime))
+      });
     } catch (error) {
-      this.log('isElementInViewport failed:', error.message);
-      return false;
+      this.log('Navigation did not settle:', error.message);
     }
   }
 
   /**
-   * Get bounding box
+   * Poll click post-conditions until all are met or the timeout expires
+   *
+   * Returns [{ type, met }] in the order given.
    */
-  async getElementBoundingBox(element, maxRetries = 3) {
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        const box = await element.boundingBox();
-        if (box && box.width > 0 && box.height > 0) {
-          return box;
-        }
+  async waitForClickConditions(conditions, watcher, timeout) {
+    const results = conditions.map(condition => ({
+      type: typeof condition === 'function' ? 'predicate' : Object.keys(condition)[0],
+      met: false
+    }));
+    const startTime = Date.now();
 
-        if (attempt < maxRetries - 1) {
-          await this.randomDelay(50, 150);
-        }
-      } catch (error) {
-        if (attempt === maxRetries - 1) {
-          this.log(`Failed to get bounding box after ${maxRetries} attempts:`, error.message);
-          return null;
+    while (true) {
+      for (let i = 0; i < conditions.length; i++) {
+        if (!results[i].met) {
+          results[i].met = await this.checkClickCondition(conditions[i], watcher);
         }
-        await this.randomDelay(100, 200);
       }
+
+      if (results.every(result => result.met) || Date.now() - startTime >= timeout) {
+        return results;
+      }
+      await this.pollDelay(60, 140);
     }
-    return null;
   }
 
   /**
-   * Wait for element stability with RAF + timeout (no hanging)
+   * One click post-condition:
+   * { navigation: true }, { url: string | RegExp }, { visible: locator }, { hidden: locator },
+   * { request: string | RegExp | (request) => boolean }, or a predicate (page) => boolean
    */
-  async waitForElementStability(element, timeout = 1500) {
-    const startTime = Date.now();
+  async checkClickCondition(condition, watcher) {
+    const matches = (pattern, value) => {
+      if (pattern instanceof RegExp) return pattern.test(value);
+      return value.includes(pattern);
+    };
 
-    // Check for animations
     try {
-      const hasAnimations = await element.evaluate(el => {
-        try {
-          const style = window.getComputedStyle(el);
-          const hasTransition = style.transition !== 'all 0s ease 0s' && style.transition !== 'none';
-          const hasAnimation = style.animation !== 'none';
-          return hasTransition || hasAnimation;
-        } catch (e) {
-          return false;
-        }
-      });
-
-      if (hasAnimations) {
-        await this.randomDelay(300, 500);
+      if (typeof condition === 'function') {
+        return !!(await condition(this.page));
+      }
+      if ('navigation' in condition) {
+        return watcher.navigated === !!condition.navigation;
+      }
+      if ('url' in condition) {
+        return matches(condition.url, this.page.url());
+      }
+      if ('visible' in condition) {
+        return await condition.visible.isVisible();
+      }
+      if ('hidden' in condition) {
+        return !(await condition.hidden.isVisible());
+      }
+      if ('request' in condition) {
+        return watcher.requests.some(request => typeof condition.request === 'function'
+          ? condition.request(request)
+          : matches(condition.request, request.url()));
       }
     } catch (error) {
-      // Continue
+      this.log('Click condition check failed:', error.message);
     }
 
-    // RAF-based stability check with guaranteed timeout
-    const stabilityPromise = element.evaluate((el, timeoutMs) => {
-      return new Promise((resolve) => {
-        try {
-          let lastChangeTime = Date.now();
-          const startTime = Date.now();
-          const requiredStableTime = 150; // ms of no changes
-          let frameCount = 0;
-
-          const observer = new MutationObserver(() => {
-            lastChangeTime = Date.now();
-          });
+    return false;
+  }
 
-          observer.observe(el, {
-            attributes: true,
-            childList: true,
-            subtree: true,
-            characterData: true
-          });
+  /**
+   * Calculate click target
+   *
+   * options.obstructions (boxes of fixed/sticky elements) are cut out of the box first.
+   */
+  calculateClickTarget(box, options) {
+    box = (options.obstructions ?? []).reduce((area, obstruction) => this.subtractBox(area, obstruction), box);
 
-          const checkStability = () => {
-            const now = Date.now();
-            const elapsed = now - startTime;
-            const timeSinceChange = now - lastChangeTime;
+    const clickPaddingFactor = options.clickPadding ?? 0.68;
 
-            // Timeout exceeded
-            if (elapsed > timeoutMs) {
-              observer.disconnect();
-              resolve(false);
-              return;
-            }
+    // Fatigue affects precision
+    const fatigueOffset = (this.config.fatigueMultiplier - 1) * 0.15;
 
-            // Stable for required time
-            if (timeSinceChange >= requiredStableTime) {
-              observer.disconnect();
-              resolve(true);
-              return;
-            }
+    const biasX = -0.1 + fatigueOffset;
+    const biasY = -0.05 + fatigueOffset;
 
-            frameCount++;
-            requestAnimationFrame(checkStability);
-          };
+    const offsetX = (this.randomGaussian(biasX, 0.25 * this.config.fatigueMultiplier) * box.width) * clickPaddingFactor;
+    const offsetY = (this.randomGaussian(biasY, 0.25 * this.config.fatigueMultiplier) * box.height) * clickPaddingFactor;
 
-          requestAnimationFrame(checkStability);
-        } catch (e) {
-          resolve(false);
-        }
-      });
-    }, timeout);
+    let targetX = box.x + box.width / 2 + offsetX;
+    let targetY = box.y + box.height / 2 + offsetY;
 
-    // Race with timeout
-    const timeoutPromise = new Promise(resolve => setTimeout(() => resolve(false), timeout));
-    const isStable = await Promise.race([stabilityPromise, timeoutPromise]);
+    const marginX = Math.min(8, box.width * 0.1);
+    const marginY = Math.min(8, box.height * 0.1);
 
-    if (!isStable) {
-      this.log('Stability check timed out or element unstable');
-    }
+    targetX = this.clamp(targetX, box.x + marginX, box.x + box.width - marginX);
+    targetY = this.clamp(targetY, box.y + marginY, box.y + box.height - marginY);
 
-    // Position stability check
-    let lastBox = null;
-    let stableCount = 0;
-    const requiredStableChecks = 3;
+    return { x: targetX, y: targetY };
+  }
 
-    while (Date.now() - startTime < timeout) {
-      try {
-        const box = await element.boundingBox();
-        if (!box) {
-          await this.randomDelay(50, 100);
-          continue;
-        }
+  /**
+   * NATURAL APPROACH: based on actual trajectory
+   */
+  calculateNaturalApproachTarget(clickTarget, box, viewport) {
+    if (!this.lastPos) {
+      // Fallback to random approach
+      const distance = 25 + this.random() * 35;
+      const angle = this.random() * Math.PI * 2;
 
-        if (lastBox) {
-          const xDiff = Math.abs(box.x - lastBox.x);
-          const yDiff = Math.abs(box.y - lastBox.y);
-          const widthDiff = Math.abs(box.width - lastBox.width);
-          const heightDiff = Math.abs(box.height - lastBox.height);
+      let x = clickTarget.x + Math.cos(angle) * distance;
+      let y = clickTarget.y + Math.sin(angle) * distance;
 
-          if (xDiff < 1 && yDiff < 1 && widthDiff < 1 && heightDiff < 1) {
-            stableCount++;
-            if (stableCount >= requiredStableChecks) {
-              return box;
-            }
-          } else {
-            stableCount = 0;
-          }
-        }
+      x = this.clamp(x, 0, viewport.width - 1);
+      y = this.clamp(y, 0, viewport.height - 1);
 
-        lastBox = box;
-        await this.randomDelay(50, 100);
-      } catch (error) {
-        await this.randomDelay(100, 200);
-      }
+      return { x, y };
     }
 
-    return lastBox;
-  }
+    // Calculate approach based on current trajectory
+    const dx = clickTarget.x - this.lastPos.x;
+    const dy = clickTarget.y - this.lastPos.y;
+    const distance = Math.sqrt(dx * dx + dy * dy) || 1;
 
-  /**
-   * Get scroll Y
-   */
-  async getCurrentScrollY() {
-    try {
-      return await this.page.evaluate(() => {
-        try {
-          return window.scrollY || window.pageYOffset || 0;
-        } catch (e) {
-          return 0;
-        }
-      });
-    } catch (error) {
-      return 0;
-    }
+    // Direction from lastPos to target
+    const dirX = dx / distance;
+    const dirY = dy / distance;
+
+    // Approach distance: 25-60px from target along trajectory
+    const approachDistance = 25 + this.random() * 35;
+
+    // Natural jitter perpendicular to trajectory (±15 degrees typical)
+    const perpendicularAngle = Math.atan2(dirY, dirX) + (this.random() - 0.5) * (Math.PI / 6);
+    const jitterMagnitude = (this.random() - 0.5) * 20 * this.config.fatigueMultiplier;
+
+    let x = clickTarget.x - dirX * approachDistance + Math.cos(perpendicularAngle) * jitterMagnitude;
+    let y = clickTarget.y - dirY * approachDistance + Math.sin(perpendicularAngle) * jitterMagnitude;
+
+    x = this.clamp(x, 0, viewport.width - 1);
+    y = this.clamp(y, 0, viewport.height - 1);
+
+    return { x, y };
   }
 
   /**
-   * Scroll to element with coherent fatigue
+   * Post-click
    */
-  async scrollToElement(element, options = {}) {
-    const viewport = await this.getViewport();
-
-    if (await this.isElementInViewport(element, options.visibilityBuffer ?? 50)) {
-      if (Math.random() < 0.25) {
-        const microScroll = this.randomGaussian(0, 12);
-        await this.page.mouse.wheel(0, microScroll);
-        await this.randomDelay(50, 150);
-      }
-      return;
-    }
+  async postClickBehavior(clickTarget, viewport, options) {
+    const behavior = this.random();
 
-    const box = await this.getElementBoundingBox(element);
-    if (!box) throw new Error('Element has no bounding box');
+    if (behavior < 0.35) {
+      await this.randomDelay(120, 550);
+    } else if (behavior < 0.65) {
+      const jitterX = clickTarget.x + this.randomGaussian(0, 6 * this.config.fatigueMultiplier);
+      const jitterY = clickTarget.y + this.randomGaussian(0, 6 * this.config.fatigueMultiplier);
 
-    const scrollContainer = await this.getScrollContainer(element);
-    const targetPosition = options.targetPosition ?? 'center';
+      await this.moveToPosition(
+        this.clamp(jitterX, 0, viewport.width - 1),
+        this.clamp(jitterY, 0, viewport.height - 1),
+        { ...options, numPoints: 2 }
+      );
 
-    let currentScroll, targetScroll;
+      await this.randomDelay(60, 220);
+    } else {
+      const awayDistance = 35 + this.random() * 80;
+      const awayAngle = this.random() * Math.PI * 2;
+      const awayX = clickTarget.x + Math.cos(awayAngle) * awayDistance;
+      const awayY = clickTarget.y + Math.sin(awayAngle) * awayDistance;
 
-    if (scrollContainer.info.isWindow) {
-      currentScroll = viewport.scrollY;
+      await this.moveToPosition(
+        this.clamp(awayX, 0, viewport.width - 1),
+        this.clamp(awayY, 0, viewport.height - 1),
+        options
+      );
+    }
+  }
 
-      switch (targetPosition) {
-        case 'top':
-          targetScroll = box.y - (options.offset ?? 100);
-          break;
-        case 'bottom':
-          targetScroll = box.y + box.height - viewport.height + (options.offset ?? 100);
-          break;
-        default:
-          targetScroll = box.y + box.height / 2 - viewport.height / 2;
-      }
+  /**
+   * Drag an element and drop it on another element or a viewport point
+   */
+  async dragAndDrop(source, target, options = {}) {
+    this.beginAction('dragAndDrop');
 
-      const maxScroll = scrollContainer.info.scrollHeight - viewport.height;
-      targetScroll = this.clamp(targetScroll, 0, maxScroll);
-    } else {
-      const scrollInfo = await element.evaluate((el, opts) => {
-        try {
-          // Helper: traverse shadow boundaries and slot assignments
-          function getComposedParentNode(node) {
-            if (!node) return null;
-            if (node.assignedSlot) return node.assignedSlot;
-            const parent = node.parentNode;
-            if (!parent) return null;
-            if (parent instanceof ShadowRoot) return parent.host;
-            if (parent instanceof Element) return parent;
-            return null;
-          }
+    try {
+      const { box: sourceBox, targetBox, viewport, clip, obstructions } = await this.prepareElementForInteraction(source, options);
 
-          let parent = getComposedParentNode(el);
-          let depth = 0;
+      await this.humanReactionDelay();
 
-          while (parent && parent !== document.documentElement && depth < 50) {
-            const style = window.getComputedStyle(parent);
-            const overflow = style.overflow + style.overflowY + style.overflowX;
+      const grabPoint = this.clampToBox(this.calculateClickTarget(targetBox, { ...options, obstructions }), clip);
 
-            if (/(auto|scroll)/.test(overflow)) {
-              const parentRect = parent.getBoundingClientRect();
-              const elRect = el.getBoundingClientRect();
+      const approachTarget = this.calculateNaturalApproachTarget(grabPoint, sourceBox, viewport);
 
-              const currentScrollTop = parent.scrollTop;
-              const targetPos = opts.targetPosition || 'center';
+      await this.moveToPosition(approachTarget.x, approachTarget.y, {
+        ...options,
+        isApproach: true
+      });
 
-              const elTopRelativeToContainer = elRect.top - parentRect.top + currentScrollTop;
+      await this.randomDelay(120, 400);
 
-              let scrollTo;
-              if (targetPos === 'top') {
-                scrollTo = elTopRelativeToContainer - (opts.offset || 50);
-              } else if (targetPos === 'bottom') {
-                scrollTo = elTopRelativeToContainer + elRect.height - parent.clientHeight + (opts.offset || 50);
-              } else {
-                scrollTo = elTopRelativeToContainer - parent.clientHeight / 2 + elRect.height / 2;
-              }
+      await this.moveToPosition(grabPoint.x, grabPoint.y, {
+        ...options,
+        numPoints: Math.max(3, Math.round(2 + this.random() * 4))
+      });
 
-              const maxScroll = parent.scrollHeight - parent.clientHeight;
-              scrollTo = Math.max(0, Math.min(scrollTo, maxScroll));
+      await this.emitMouseDown();
 
-              return {
-                found: true,
-                currentScroll: currentScrollTop,
-                targetScroll: scrollTo,
-                maxScroll: maxScroll
-              };
-            }
+      try {
+        // Grip settles before the pull starts
+        const gripDelay = Math.max(60, this.randomGaussian(140, 40)) * this.config.fatigueMultiplier;
+        await this.randomDelay(gripDelay, gripDelay + 40);
+
+        // Break the drag threshold with a few small, slow moves (most DnD libraries need 3-5px)
+        const dropPoint = await this.resolveDropPoint(target, options);
+        const pullAngle = Math.atan2(dropPoint.y - grabPoint.y, dropPoint.x - grabPoint.x);
+        const pullDistance = 4 + this.random() * 6;
+        const pullSteps = 2 + Math.floor(this.random() * 2);
+
+        for (let i = 1; i <= pullSteps; i++) {
+          const pullX = grabPoint.x + Math.cos(pullAngle) * pullDistance * (i / pullSteps) + this.randomGaussian(0, 0.6);
+          const pullY = grabPoint.y + Math.sin(pullAngle) * pullDistance * (i / pullSteps) + this.randomGaussian(0, 0.6);
+          await this.emitMouseMove(this.clamp(pullX, 0, viewport.width - 1), this.clamp(pullY, 0, viewport.height - 1));
+          this.lastPos = { x: pullX, y: pullY };
+          await this.randomDelay(25 * this.config.fatigueMultiplier, 60 * this.config.fatigueMultiplier);
+        }
 
-            parent = getComposedParentNode(parent);
-            depth++;
-          }
+        // Drop target may have moved while dragging (placeholders, auto-scroll)
+        const finalDropPoint = await this.resolveDropPoint(target, options);
+        const dropApproach = this.calculateNaturalApproachTarget(finalDropPoint, null, viewport);
 
-          return { found: false };
-        } catch (e) {
-          return { found: false };
-        }
-      }, { targetPosition, offset: options.offset });
+        await this.moveToPosition(dropApproach.x, dropApproach.y, {
+          ...options,
+          isApproach: true,
+          isDragging: true
+        });
 
-      if (scrollInfo.found) {
-        currentScroll = scrollInfo.currentScroll;
-        targetScroll = scrollInfo.targetScroll;
-      } else {
-        currentScroll = viewport.scrollY;
-        targetScroll = box.y + box.height / 2 - viewport.height / 2;
-        targetScroll = this.clamp(targetScroll, 0, scrollContainer.info.scrollHeight - viewport.height);
-      }
-    }
+        await this.moveToPosition(finalDropPoint.x, finalDropPoint.y, {
+          ...options,
+          isDragging: true,
+          numPoints: Math.max(4, Math.round(3 + this.random() * 4))
+        });
 
-    await this.preScrollMouseMovement(viewport, options);
+        // Hover dwell over the drop zone
+        await this.dwell(options.dropDwell ?? 260, 80);
 
-    const delta = Math.abs(targetScroll - currentScroll);
-    if (delta < 10) {
-      // Dispose container handle
-      if (scrollContainer.containerHandle) {
-        await scrollContainer.containerHandle.dispose().catch(() => {});
+        this.lastPos = finalDropPoint;
+      } finally {
+        await this.emitMouseUp();
       }
-      return;
-    }
 
-    const direction = targetScroll > currentScroll ? 1 : -1;
-
-    const scrollID = Math.log2(delta / 100 + 1);
-    const baseSteps = Math.max(5, Math.round(8 * scrollID));
-    const numSteps = this.applyFatigue(baseSteps);
+      await this.randomDelay(80, 220);
+      this.updateActionCount();
+    } finally {
+      this.endAction();
+    }
+  }
 
-    const overshootProb = options.overshootProb ?? 0.18;
-    const shouldOvershoot = delta > 250 &&
-                            Math.random() < overshootProb &&
-                            this.config.attentionSpan < 0.94;
+  /**
+   * Resolve a drop target (Locator or { x, y } point) to a viewport point
+   */
+  async resolveDropPoint(target, options = {}) {
+    const viewport = await this.getViewport();
 
-    let overshootAmount = 0;
-    if (shouldOvershoot) {
-      overshootAmount = this.randomGaussian(0.15, 0.07) * viewport.height;
-      overshootAmount = this.clamp(overshootAmount, 40, viewport.height * 0.35);
+    if (typeof target.boundingBox !== 'function') {
+      return {
+        x: this.clamp(target.x, 0, viewport.width - 1),
+        y: this.clamp(target.y, 0, viewport.height - 1)
+      };
     }
 
-    await this.executeScrollSequence(
-      targetScroll,
-      direction,
-      numSteps,
-      overshootAmount,
-      scrollContainer,
-      options
-    );
-
-    if (overshootAmount > 0) {
-      await this.randomDelay(120, 350);
-      await this.executeCorrectionScrollLogarithmic(
-        targetScroll,
-        direction,
-        Math.max(3, Math.round(numSteps / 3)),
-        scrollContainer,
-        options
-      );
+    let obstructions = await this.getViewportObstructions(target, options);
+    if (!(await this.isElementInViewport(target, options.visibilityBuffer ?? 50, obstructions))) {
+      await this.scrollToElement(target, options, obstructions);
+      await this.randomDelay(120, 250);
+      obstructions = await this.getViewportObstructions(target, options);
     }
 
-    // Dispose container handle
-    if (scrollContainer.containerHandle) {
-      await scrollContainer.containerHandle.dispose().catch(() => {});
+    const box = await this.getElementBoundingBox(target);
+    if (!box) {
+      throw new BoundingBoxError('Drop target bounding box unavailable', { attempts: 3 });
     }
 
-    await this.randomDelay(80, 180);
-    this.updateActionCount();
+    // Drop zones are aimed at less precisely than click targets
+    const dropPoint = this.calculateClickTarget(await this.getHittableArea(target) ?? box, {
+      ...options,
+      obstructions: obstructions.boxes,
+      clickPadding: options.dropPadding ?? 0.5
+    });
+
+    return {
+      x: this.clamp(dropPoint.x, 0, viewport.width - 1),
+      y: this.clamp(dropPoint.y, 0, viewport.height - 1)
+    };
   }
 
   /**
-   * Pre-scroll mouse
+   * Hover over an element and dwell like a user waiting for a menu or tooltip
    */
-  async preScrollMouseMovement(viewport, options) {
-    if (!this.lastPos) {
-      this.initializePosition(viewport);
-    }
+  async hover(element, options = {}) {
+    this.beginAction('hover');
 
-    const hoverTarget = {
-      x: viewport.width * (0.25 + Math.random() * 0.5),
-      y: viewport.height * (0.15 + Math.random() * 0.7)
-    };
+    try {
+      const { box, targetBox, viewport, clip, obstructions } = await this.prepareElementForInteraction(element, options);
 
-    const distance = this.calculateDistance(this.lastPos, hoverTarget);
+      await this.humanReactionDelay();
+
+      const hoverTarget = this.clampToBox(this.calculateClickTarget(targetBox, { ...options, obstructions }), clip);
+
+      const approachTarget = this.calculateNaturalApproachTarget(hoverTarget, box, viewport);
+
+      await this.moveToPosition(approachTarget.x, approachTarget.y, {
+        ...options,
+        isApproach: true
+      });
+
+      await this.randomDelay(80, 250);
 
-    if (distance > 60) {
       await this.moveToPosition(hoverTarget.x, hoverTarget.y, {
         ...options,
-        numPoints: Math.max(6, Math.round(distance / 60))
+        numPoints: Math.max(3, Math.round(2 + this.random() * 4))
       });
+
+      await this.dwell(options.hoverDuration ?? 600, options.hoverDurationStdDev ?? 200);
+
+      this.lastPos = hoverTarget;
+      this.updateActionCount();
+    } finally {
+      this.endAction();
     }
   }
 
   /**
-   * Execute scroll with COHERENT fatigue (smaller steps, slower)
+   * Hover through nested menu items (e.g. [menu, submenu, item]) without leaving the hover corridor
    */
-  async executeScrollSequence(targetScroll, direction, numSteps, overshootAmount, scrollContainer, options) {
-    const baseJitterStdDev = options.scrollJitterStdDev ?? 18;
-    const jitterStdDev = baseJitterStdDev * this.config.fatigueMultiplier; // Fatigue increases jitter
+  async hoverPath(elements, options = {}) {
+    this.beginAction('hoverPath');
 
-    for (let i = 1; i <= numSteps; i++) {
-      let currentScroll;
+    try {
+      if (!elements.length) return;
 
-      if (scrollContainer.info.isWindow) {
-        currentScroll = await this.getCurrentScrollY();
-      } else if (scrollContainer.containerHandle) {
-        currentScroll = await scrollContainer.containerHandle.evaluate(el => {
-          try {
-            return el.scrollTop;
-          } catch (e) {
-            return 0;
-          }
-        });
-      } else {
-        break;
-      }
+      await this.hover(elements[0], {
+        ...options,
+        hoverDuration: elements.length > 1 ? (options.stepHoverDuration ?? 350) : options.hoverDuration
+      });
 
-      const remainingDelta = Math.abs(targetScroll - currentScroll);
-      if (remainingDelta < 8) break;
+      let currentBox = await this.getElementBoundingBox(elements[0]);
+      let parentMenuBox = (await this.getMenuContainerBox(elements[0])) ?? currentBox;
 
-      const progress = i / numSteps;
+      for (let i = 1; i < elements.length; i++) {
+        const element = elements[i];
+        const isLast = i === elements.length - 1;
 
-      // Logarithmic deceleration
-      const logDeceleration = 1 - Math.log10(1 + 9 * progress);
-      const easedProgress = this.easeInOutCubic(progress);
-      const blendedProgress = easedProgress * 0.6 + logDeceleration * 0.4;
+        // Flyouts open after a delay, wait for the next item to become hoverable
+        const maxWaitTime = options.waitTimeout ?? 5000;
+        const startTime = Date.now();
+        while (Date.now() - startTime < maxWaitTime) {
+          if (await this.isElementClickable(element)) {
+            break;
+          }
+          await this.pollDelay(60, 140);
+        }
 
-      // COHERENT FATIGUE: smaller steps (divide by fatigue)
-      let stepDelta = (remainingDelta * (1 - blendedProgress) * 0.3) / this.config.fatigueMultiplier;
+        const nextBox = await this.getElementBoundingBox(element);
+        if (!nextBox) {
+          throw new BoundingBoxError(`Menu item ${i} bounding box unavailable`, { attempts: 3 });
+        }
 
-      const distanceBasedJitter = Math.min(jitterStdDev, remainingDelta * 0.12);
-      stepDelta += this.randomGaussian(0, distanceBasedJitter);
+        const menuBox = (await this.getMenuContainerBox(element)) ?? nextBox;
+        const viewport = await this.getViewport();
 
-      stepDelta = this.clamp(stepDelta, 8, 180);
+        const target = this.calculateClickTarget(nextBox, {
+          ...options,
+          clickPadding: options.clickPadding ?? 0.5
+        });
+        target.x = this.clamp(target.x, 0, viewport.width - 1);
+        target.y = this.clamp(target.y, 0, viewport.height - 1);
+
+        const sharesColumn = currentBox &&
+                             nextBox.x < currentBox.x + currentBox.width &&
+                             nextBox.x + nextBox.width > currentBox.x;
+
+        if (currentBox && !sharesColumn) {
+          // Flyout: slide along the current item towards the submenu first,
+          // cutting diagonally would cross sibling items and close the menu
+          const edgeInset = Math.min(6, currentBox.width * 0.1);
+          const waypoint = {
+            x: nextBox.x > currentBox.x ? currentBox.x + currentBox.width - edgeInset : currentBox.x + edgeInset,
+            y: this.clamp(target.y, currentBox.y + 2, currentBox.y + currentBox.height - 2)
+          };
 
-      if (overshootAmount > 0 && i > numSteps * 0.75) {
-        const overshootFraction = (i - numSteps * 0.75) / (numSteps * 0.25);
-        stepDelta += overshootAmount * overshootFraction * 0.4;
-      }
+          await this.moveToPosition(waypoint.x, waypoint.y, {
+            ...options,
+            isApproach: true,
+            corridor: currentBox
+          });
+        }
 
-      if (scrollContainer.info.isWindow) {
-        await this.page.mouse.wheel(0, direction * stepDelta);
-      } else if (scrollContainer.containerHandle) {
-        await scrollContainer.containerHandle.evaluate((el, delta) => {
-          try {
-            el.scrollTop += delta;
-          } catch (e) {
-            // Silent
-          }
-        }, direction * stepDelta);
-      }
+        await this.moveToPosition(target.x, target.y, {
+          ...options,
+          isApproach: true,
+          // The parent menu and the submenu: crossing from one into the other never leaves both
+          corridor: parentMenuBox ? this.getBoundingUnion(parentMenuBox, menuBox) : menuBox
+        });
 
-      // COHERENT FATIGUE: slower delays (multiply by fatigue)
-      const baseDelay = (18 + Math.random() * 75) * this.config.fatigueMultiplier;
-      const microPause = Math.random() < 0.12 ? Math.random() * 90 : 0;
-      await this.randomDelay(baseDelay, baseDelay + microPause);
+        await this.dwell(
+          isLast ? (options.hoverDuration ?? 600) : (options.stepHoverDuration ?? 350),
+          options.hoverDurationStdDev ?? 200
+        );
 
-      if (Math.random() < 0.18) {
-        await this.microMouseAdjustment();
+        this.lastPos = target;
+        currentBox = nextBox;
+        parentMenuBox = menuBox;
       }
+
+      this.updateActionCount();
+    } finally {
+      this.endAction();
     }
   }
 
   /**
-   * Correction scroll
+   * Bounding box of the closest menu-like ancestor (menu, listbox, list, nav)
    */
-  async executeCorrectionScrollLogarithmic(targetScroll, direction, correctionSteps, scrollContainer, options) {
-    const baseJitterStdDev = (options.scrollJitterStdDev ?? 18) / 2;
-    const jitterStdDev = baseJitterStdDev * this.config.fatigueMultiplier;
-
-    for (let i = 1; i <= correctionSteps; i++) {
-      let currentScroll;
-
-      if (scrollContainer.info.isWindow) {
-        currentScroll = await this.getCurrentScrollY();
-      } else if (scrollContainer.containerHandle) {
-        currentScroll = await scrollContainer.containerHandle.evaluate(el => {
-          try {
-            return el.scrollTop;
-          } catch (e) {
-            return 0;
-          }
-        });
-      } else {
-        break;
-      }
-
-      const correctionDelta = Math.abs(targetScroll - currentScroll);
-      if (correctionDelta < 8) break;
-
-      const progress = i / correctionSteps;
-      const logFactor = 1 - Math.log10(1 + 9 * progress);
-
-      // COHERENT FATIGUE
-      let stepDelta = (correctionDelta * logFactor * 0.4) / this.config.fatigueMultiplier;
-
-      stepDelta += this.randomGaussian(0, jitterStdDev);
-      stepDelta = this.clamp(stepDelta, 8, 130);
+  async getMenuContainerBox(element) {
+    try {
+      return await element.evaluate(el => {
+        try {
+          const menu = el.parentElement?.closest('[role="menu"], [role="menubar"], [role="listbox"], ul, ol, nav');
+          if (!menu) return null;
 
-      if (scrollContainer.info.isWindow) {
-        await this.page.mouse.wheel(0, -direction * stepDelta);
-      } else if (scrollContainer.containerHandle) {
-        await scrollContainer.containerHandle.evaluate((el, delta) => {
-          try {
-            el.scrollTop += delta;
-          } catch (e) {
-            // Silent
-          }
-        }, -direction * stepDelta);
-      }
+          const rect = menu.getBoundingClientRect();
+          if (rect.width <= 0 || rect.height <= 0) return null;
 
-      await this.randomDelay(12 * this.config.fatigueMultiplier, 65 * this.config.fatigueMultiplier);
+          return { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
+        } catch (e) {
+          return null;
+        }
+      });
+    } catch (error) {
+      this.log('getMenuContainerBox failed:', error.message);
+      return null;
     }
   }
 
   /**
-   * Enhanced click
+   * Smallest box containing both boxes
    */
-  async click(element, options = {}) {
-    // 1. Verify element exists and has a bounding box
-    let box = await this.getElementBoundingBox(element);
-    if (!box) {
-      throw new Error('Element bounding box unavailable');
-    }
+  getBoundingUnion(a, b) {
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
 
-    // 2. Get viewport and scroll to element FIRST if not in viewport
-    //    This fixes the deadlock where isElementClickable rejects off-screen elements
-    //    before scrollToElement ever gets called
-    let viewport = await this.getViewport();
+    return {
+      x,
+      y,
+      width: Math.max(a.x + a.width, b.x + b.width) - x,
+      height: Math.max(a.y + a.height, b.y + b.height) - y
+    };
+  }
 
-    if (!(await this.isElementInViewport(element, options.visibilityBuffer ?? 50))) {
-      try {
-        await this.scrollToElement(element, options);
-      } catch (error) {
-        this.log('Scroll failed:', error.message);
-      }
-      await this.randomDelay(120, 250);
+  /**
+   * Stay over the current position for a while, with small hand tremor
+   *
+   * The number of ticks follows from the drawn duration, not the wall clock, so seeded
+   * sessions draw the same numbers however slow the page is.
+   */
+  async dwell(baseDuration, stdDev) {
+    const duration = Math.max(80, this.randomGaussian(baseDuration, stdDev)) * this.config.fatigueMultiplier;
+    const ticks = Math.max(1, Math.round(duration / 75)); // randomDelay(40, 110) averages 75ms
 
-      // Re-get bounding box after scroll (position may have changed)
-      box = await this.getElementBoundingBox(element);
-      if (!box) {
-        throw new Error('Element bounding box unavailable after scroll');
+    for (let tick = 0; tick < ticks; tick++) {
+      await this.randomDelay(40, 110);
+      if (this.random() < 0.5) {
+        await this.microMouseAdjustment();
       }
     }
+  }
 
-    // 3. NOW poll for clickability (element should be in viewport after scroll)
-    const maxWaitTime = options.waitTimeout ?? 5000;
-    const startTime = Date.now();
+  /**
+   * Type text into a field with human-like keystroke timing
+   */
+  async type(element, text, options = {}) {
+    this.beginAction('type');
 
-    while (Date.now() - startTime < maxWaitTime) {
-      if (await this.isElementClickable(element)) {
-        break;
+    try {
+      if (options.click !== false) {
+        await this.click(element, options);
       }
-      await this.randomDelay(80, 180);
-    }
 
-    if (!await this.isElementClickable(element)) {
-      throw new Error('Element is not clickable');
-    }
+      await this.humanReactionDelay();
 
-    // 4. Wait for element stability
-    const stableBox = await this.waitForElementStability(element, options.stabilityTimeout ?? 1500);
-    if (!stableBox) {
-      throw new Error('Element position is unstable');
-    }
+      const typoProbability = options.typoProbability ?? 0.03;
+      const pauseProbability = options.pauseProbability ?? 0.05;
+      const chars = Array.from(String(text));
 
-    // 5. Re-get viewport and bounding box after stability check
-    viewport = await this.getViewport();
-    box = await this.getElementBoundingBox(element);
-    if (!box) {
-      throw new Error('Element bounding box unavailable after stability check');
-    }
+      for (let i = 0; i < chars.length; i++) {
+        const char = chars[i];
 
-    await this.humanReactionDelay();
+        // Typos: hit a neighbouring key, notice it, then fix it with Backspace
+        if (/[a-z]/i.test(char) && this.random() < typoProbability * this.config.fatigueMultiplier) {
+          const typo = this.getNeighbourKey(char);
 
-    const clickTarget = this.calculateClickTarget(box, options);
-    clickTarget.x = this.clamp(clickTarget.x, 0, viewport.width - 1);
-    clickTarget.y = this.clamp(clickTarget.y, 0, viewport.height - 1);
+          if (typo) {
+            await this.typeCharacter(typo, options);
 
-    // NATURAL APPROACH: based on current trajectory
-    const approachTarget = this.calculateNaturalApproachTarget(clickTarget, box, viewport);
+            const noticeDelay = this.randomGaussian(260, 90) * this.config.fatigueMultiplier;
+            await this.randomDelay(Math.max(120, noticeDelay), Math.max(120, noticeDelay) + 80);
 
-    await this.moveToPosition(approachTarget.x, approachTarget.y, {
-      ...options,
-      isApproach: true
-    });
+            await this.pressKey('Backspace', options);
+            await this.randomDelay(60 * this.config.fatigueMultiplier, 160 * this.config.fatigueMultiplier);
+            this.log('Typo corrected:', typo, '->', char);
+          }
+        }
 
-    await this.randomDelay(120, 450);
+        await this.typeCharacter(char, options);
 
-    await this.moveToPosition(clickTarget.x, clickTarget.y, {
-      ...options,
-      numPoints: Math.max(3, Math.round(2 + Math.random() * 4))
-    });
+        if (i === chars.length - 1) break;
 
-    if (!await this.isElementClickable(element)) {
-      throw new Error('Element became unclickable');
-    }
+        const keystrokeDelay = this.calculateKeystrokeDelay(char, chars[i + 1], options);
+        await this.randomDelay(keystrokeDelay * 0.85, keystrokeDelay * 1.15);
 
-    // Pre-click state
-    const preClickState = await element.evaluate(el => {
-      try {
-        return {
-          className: el.className,
-          disabled: el.disabled,
-          ariaPressed: el.getAttribute('aria-pressed'),
-          ariaExpanded: el.getAttribute('aria-expanded'),
-        };
-      } catch (e) {
-        return null;
+        // Occasional thinking pause between words
+        if (char === ' ' && this.random() < pauseProbability) {
+          await this.randomDelay(300 * this.config.fatigueMultiplier, 900 * this.config.fatigueMultiplier);
+        }
       }
-    });
 
-    // REALISTIC CLICK DURATION: 40-120ms (research-based)
-    const clickDuration = Math.max(40, Math.round(this.randomGaussian(75, 20)));
+      this.updateActionCount();
+    } finally {
+      this.endAction();
+    }
+  }
+
+  /**
+   * Clear a field and type new text into it
+   */
+  async fill(element, text, options = {}) {
+    this.beginAction('fill');
 
     try {
-      await this.page.mouse.down();
-      await this.randomDelay(clickDuration, clickDuration + 15);
-      await this.page.mouse.up();
-    } catch (error) {
-      throw new Error(`Click failed: ${error.message}`);
-    }
+      if (options.click !== false) {
+        await this.click(element, options);
+      }
 
-    // Validate click
-    if (options.validateClick !== false && preClickState) {
+      await this.humanReactionDelay();
 
-      // Quick check if element is still accessible (timeout 10ms)
-      const navigationPromise = this.page.waitForNavigation({ timeout: 10 }).catch(() => null); // Detect quick nav
-      const isElementAccessible = await Promise.race([
-        navigationPromise,
-        element.evaluate(el => el.isConnected).catch(() => false) // Simple check, fast fail if stale
-      ]);
+      await this.press(options.selectAllKey ?? 'ControlOrMeta+A', options);
+      await this.randomDelay(60, 180);
+      await this.pressKey('Backspace', options);
 
-      if (isElementAccessible === null || !isElementAccessible) {
-        this.log('Skipping validation: element removed or navigation occurred (click likely succeeded)');
+      if (String(text).length > 0) {
+        await this.randomDelay(120, 300);
+        await this.type(element, text, { ...options, click: false });
       } else {
+        this.updateActionCount();
+      }
+    } finally {
+      this.endAction();
+    }
+  }
 
-        await this.randomDelay(50, 150);
-
-        let postClickState = null;
-        try {
-          postClickState = await element.evaluate(el => {
-            try {
-              return {
-                className: el.className,
-                disabled: el.disabled,
-                ariaPressed: el.getAttribute('aria-pressed'),
-                ariaExpanded: el.getAttribute('aria-expanded'),
-              };
-            } catch (e) {
-              return null;
-            }
-          });
-        } catch (error) {
-          this.log('Post-click validation failed: element possibly removed or unavailable', error.message);
-        }
+  /**
+   * Press a key or chord (e.g. 'Enter', 'Control+Shift+K') with human timing
+   */
+  async press(key, options = {}) {
+    this.beginAction('press');
 
-        if (postClickState) {
-          const stateChanged =
-            preClickState.className !== postClickState.className ||
-            preClickState.disabled !== postClickState.disabled ||
-            preClickState.ariaPressed !== postClickState.ariaPressed ||
-            preClickState.ariaExpanded !== postClickState.ariaExpanded;
+    try {
+      const parts = key.length > 1 ? key.split(/\+(?=.)/) : [key];
+      const mainKey = parts.pop();
+      const pressedModifiers = [];
 
-          if (stateChanged) {
-            this.log('Click validated: state changed');
-          } else {
-            this.log('Warning: No visible state change after click');
-          }
-        } else {
-          this.log('Validation skipped: post-click state unavailable (click may have succeeded if element was removed)');
+      try {
+        // Modifiers go down one by one, slightly ahead of the main key
+        for (const modifier of parts) {
+          await this.page.keyboard.down(modifier);
+          pressedModifiers.push(modifier);
+          await this.randomDelay(25 * this.config.fatigueMultiplier, 70 * this.config.fatigueMultiplier);
         }
 
+        await this.pressKey(mainKey, options);
+      } finally {
+        for (const modifier of pressedModifiers.reverse()) {
+          await this.randomDelay(15 * this.config.fatigueMultiplier, 50 * this.config.fatigueMultiplier);
+          await this.page.keyboard.up(modifier).catch(() => {});
+        }
       }
 
+      this.updateActionCount();
+    } finally {
+      this.endAction();
     }
-
-    await this.postClickBehavior(clickTarget, viewport, options);
-
-    this.lastPos = clickTarget;
-    this.updateActionCount();
   }
 
   /**
-   * Calculate click target
+   * Single key down/up with realistic hold (dwell) time
    */
-  calculateClickTarget(box, options) {
-    const clickPaddingFactor = options.clickPadding ?? 0.68;
+  async pressKey(key, options = {}) {
+    const holdTime = Math.max(35, this.randomGaussian(options.keyHoldTime ?? 85, 20) * this.config.fatigueMultiplier);
 
-    // Fatigue affects precision
-    const fatigueOffset = (this.config.fatigueMultiplier - 1) * 0.15;
+    await this.page.keyboard.down(key);
+    await this.randomDelay(holdTime, holdTime + 10);
+    await this.page.keyboard.up(key);
+  }
 
-    const biasX = -0.1 + fatigueOffset;
-    const biasY = -0.05 + fatigueOffset;
+  /**
+   * Type a single character, holding Shift for uppercase and shifted symbols
+   */
+  async typeCharacter(char, options = {}) {
+    if (char === '\n') {
+      await this.pressKey('Enter', options);
+      return;
+    }
 
-    const offsetX = (this.randomGaussian(biasX, 0.25 * this.config.fatigueMultiplier) * box.width) * clickPaddingFactor;
-    const offsetY = (this.randomGaussian(biasY, 0.25 * this.config.fatigueMultiplier) * box.height) * clickPaddingFactor;
+    if (char === '\t') {
+      await this.pressKey('Tab', options);
+      return;
+    }
 
-    let targetX = box.x + box.width / 2 + offsetX;
-    let targetY = box.y + box.height / 2 + offsetY;
+    // Characters outside the layout (accents, emoji, CJK) are inserted like an IME would
+    if (char !== ' ' && !getKeyPosition(char)) {
+      await this.page.keyboard.insertText(char);
+      return;
+    }
 
-    const marginX = Math.min(8, box.width * 0.1);
-    const marginY = Math.min(8, box.height * 0.1);
+    const needsShift = char in SHIFTED_SYMBOLS || (char !== char.toLowerCase());
 
-    targetX = this.clamp(targetX, box.x + marginX, box.x + box.width - marginX);
-    targetY = this.clamp(targetY, box.y + marginY, box.y + box.height - marginY);
+    if (!needsShift) {
+      await this.pressKey(char, options);
+      return;
+    }
 
-    return { x: targetX, y: targetY };
+    await this.page.keyboard.down('Shift');
+    try {
+      await this.randomDelay(30 * this.config.fatigueMultiplier, 90 * this.config.fatigueMultiplier);
+      await this.pressKey(SHIFTED_SYMBOLS[char] ?? char.toLowerCase(), options);
+    } finally {
+      await this.randomDelay(10 * this.config.fatigueMultiplier, 45 * this.config.fatigueMultiplier);
+      await this.page.keyboard.up('Shift').catch(() => {});
+    }
   }
 
   /**
-   * NATURAL APPROACH: based on actual trajectory
+   * Inter-key interval based on digraph, hand alternation and fatigue
    */
-  calculateNaturalApproachTarget(clickTarget, box, viewport) {
-    if (!this.lastPos) {
-      // Fallback to random approach
-      const distance = 25 + Math.random() * 35;
-      const angle = Math.random() * Math.PI * 2;
+  calculateKeystrokeDelay(char, nextChar, options = {}) {
+    const baseDelay = options.keystrokeDelay ?? 110; // ~55 WPM
+    let delay = baseDelay;
 
-      let x = clickTarget.x + Math.cos(angle) * distance;
-      let y = clickTarget.y + Math.sin(angle) * distance;
+    const digraph = (char + nextChar).toLowerCase();
+    if (COMMON_DIGRAPHS.has(digraph)) {
+      delay *= 0.75;
+    }
 
-      x = this.clamp(x, 0, viewport.width - 1);
-      y = this.clamp(y, 0, viewport.height - 1);
+    const currentKey = getKeyPosition(char);
+    const nextKey = getKeyPosition(nextChar);
 
-      return { x, y };
+    if (currentKey && nextKey) {
+      if (currentKey.hand !== nextKey.hand) {
+        // Alternating hands overlap their movements
+        delay *= 0.85;
+      } else if (currentKey.col === nextKey.col && currentKey.row !== nextKey.row) {
+        // Same finger has to travel between rows
+        delay *= 1.3;
+      } else {
+        delay *= 1.1;
+      }
     }
 
-    // Calculate approach based on current trajectory
-    const dx = clickTarget.x - this.lastPos.x;
-    const dy = clickTarget.y - this.lastPos.y;
-    const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+    // Word boundaries and punctuation
+    if (char === ' ' || nextChar === ' ') {
+      delay += Math.max(0, this.randomGaussian(50, 25));
+    }
+    if (/[.,;:!?]/.test(char)) {
+      delay += Math.max(0, this.randomGaussian(220, 90));
+    }
 
-    // Direction from lastPos to target
-    const dirX = dx / distance;
-    const dirY = dy / distance;
+    if (nextChar in SHIFTED_SYMBOLS || nextChar !== nextChar.toLowerCase()) {
+      delay += 35; // Reaching for Shift
+    }
 
-    // Approach distance: 25-60px from target along trajectory
-    const approachDistance = 25 + Math.random() * 35;
+    const attentionFactor = 1 + (1 - this.config.attentionSpan) * 0.6;
+    delay *= this.config.fatigueMultiplier * attentionFactor;
+    delay += this.randomGaussian(0, delay * 0.2);
 
-    // Natural jitter perpendicular to trajectory (±15 degrees typical)
-    const perpendicularAngle = Math.atan2(dirY, dirX) + (Math.random() - 0.5) * (Math.PI / 6);
-    const jitterMagnitude = (Math.random() - 0.5) * 20 * this.config.fatigueMultiplier;
+    return Math.max(30, delay);
+  }
 
-    let x = clickTarget.x - dirX * approachDistance + Math.cos(perpendicularAngle) * jitterMagnitude;
-    let y = clickTarget.y - dirY * approachDistance + Math.sin(perpendicularAngle) * jitterMagnitude;
+  /**
+   * Random adjacent letter on the layout, preserving case
+   */
+  getNeighbourKey(char) {
+    const position = getKeyPosition(char);
+    if (!position) return null;
+
+    const neighbours = [];
+    for (let row = position.row - 1; row <= position.row + 1; row++) {
+      if (row < 0 || row >= KEYBOARD_ROWS.length) continue;
+
+      for (let col = position.col - 1; col <= position.col + 1; col++) {
+        const key = KEYBOARD_ROWS[row][col];
+        if (key && /[a-z]/.test(key) && !(row === position.row && col === position.col)) {
+          neighbours.push(key);
+        }
+      }
+    }
 
-    x = this.clamp(x, 0, viewport.width - 1);
-    y = this.clamp(y, 0, viewport.height - 1);
+    if (neighbours.length === 0) return null;
 
-    return { x, y };
+    const neighbour = neighbours[Math.floor(this.random() * neighbours.length)];
+    return char === char.toUpperCase() ? neighbour.toUpperCase() : neighbour;
   }
 
   /**
-   * Post-click
+   * Replay a recorded mouse trace, retargeted onto a new start and end point
+   *
+   * trace: TrajectoryRecorder, its toJSON() output (object or string) or an array of events
+   * ({ t, type, x, y, ... }). The first and last positions of the trace are mapped onto
+   * options.from (default: current position) and options.to (point or Locator) with a
+   * rotation + uniform scale + translation, so the shape of the movement is kept.
+   * A Locator target is scrolled into view first, and the pointer moves to options.from
+   * before the trace starts.
    */
-  async postClickBehavior(clickTarget, viewport, options) {
-    const behavior = Math.random();
+  async replay(trace, options = {}) {
+    this.beginAction('replay');
 
-    if (behavior < 0.35) {
-      await this.randomDelay(120, 550);
-    } else if (behavior < 0.65) {
-      const jitterX = clickTarget.x + this.randomGaussian(0, 6 * this.config.fatigueMultiplier);
-      const jitterY = clickTarget.y + this.randomGaussian(0, 6 * this.config.fatigueMultiplier);
+    try {
+      const events = normalizeTrace(trace);
+      const positioned = events.filter(event => typeof event.x === 'number' && typeof event.y === 'number');
+      if (positioned.length === 0) {
+        throw new Error('Trace has no positioned events');
+      }
 
-      await this.moveToPosition(
-        this.clamp(jitterX, 0, viewport.width - 1),
-        this.clamp(jitterY, 0, viewport.height - 1),
-        { ...options, numPoints: 2 }
-      );
+      const viewport = await this.getViewport();
 
-      await this.randomDelay(60, 220);
-    } else {
-      const awayDistance = 35 + Math.random() * 80;
-      const awayAngle = Math.random() * Math.PI * 2;
-      const awayX = clickTarget.x + Math.cos(awayAngle) * awayDistance;
-      const awayY = clickTarget.y + Math.sin(awayAngle) * awayDistance;
+      if (!this.lastPos) {
+        this.initializePosition(viewport);
+      }
 
-      await this.moveToPosition(
-        this.clamp(awayX, 0, viewport.width - 1),
-        this.clamp(awayY, 0, viewport.height - 1),
-        options
-      );
-    }
-  }
+      const traceStart = positioned[0];
+      const traceEnd = positioned[positioned.length - 1];
 
-  /**
-   * Random move
-   */
-  async move(options = {}) {
-    const viewport = await this.getViewport();
+      let to = options.to ?? null;
 
-    if (!this.lastPos) {
-      this.initializePosition(viewport);
-    }
+      if (to && typeof to.boundingBox === 'function') {
+        // Scrolling moves the pointer too: done before the start point is settled
+        await this.scrollToElement(to, options);
 
-    const padding = 60;
-    const targetX = padding + Math.random() * (viewport.width - 2 * padding);
-    const targetY = padding + Math.random() * (viewport.height - 2 * padding);
+        const box = await this.getElementBoundingBox(to);
+        if (!box) {
+          throw new BoundingBoxError('Replay target bounding box unavailable', { viewport, attempts: 3 });
+        }
+        to = this.calculateClickTarget(box, options);
+      }
 
-    await this.moveToPosition(targetX, targetY, options);
-    this.updateActionCount();
-  }
+      // The trace starts where the pointer is: get there first instead of jumping
+      const from = options.from
+        ? { x: this.clamp(options.from.x, 0, viewport.width - 1), y: this.clamp(options.from.y, 0, viewport.height - 1) }
+        : this.lastPos;
+      if (this.calculateDistance(from, this.lastPos) > 1) {
+        await this.moveToPosition(from.x, from.y, options);
+      }
 
-  /**
-   * CRITICAL: Ultra-realistic movement with 60-144Hz polling simulation (2025+ enhanced)
-   */
-  async moveToPosition(targetX, targetY, options = {}) {
-    const viewport = await this.getViewport();
+      // Without a target the trace is only translated onto the start point
+      if (!to) {
+        to = {
+          x: from.x + (traceEnd.x - traceStart.x),
+          y: from.y + (traceEnd.y - traceStart.y)
+        };
+      }
 
-    if (!this.lastPos) {
-      this.initializePosition(viewport);
-    }
+      const transform = this.createRetargetTransform(traceStart, traceEnd, from, to);
 
-    targetX = this.clamp(targetX, 0, viewport.width - 1);
-    targetY = this.clamp(targetY, 0, viewport.height - 1);
+      // Time warp: explicit duration wins over timeScale
+      const traceDuration = events[events.length - 1].t - events[0].t;
+      const timeScale = options.duration && traceDuration > 0
+        ? options.duration / traceDuration
+        : (options.timeScale ?? 1);
 
-    const { points, targetDrift, velocityProfile } = this.calculateHumanBezierPoints(
-      this.lastPos.x,
-      this.lastPos.y,
-      targetX,
-      targetY,
-      null,
-      viewport,
-      options
-    );
+      const startTime = performance.now();
+      let lastPoint = null;
 
-    // Track motion derivatives for realistic physics
-    let lastPoint = this.lastPos;
-    let lastVelocity = this.motionState.lastVelocity;
-    let lastAcceleration = this.motionState.lastAcceleration;
+      for (const event of events) {
+        // Sleep until the event's (warped) offset to avoid accumulating drift
+        const due = startTime + (event.t - events[0].t) * timeScale;
+        const wait = due - performance.now();
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
 
-    // Execute with realistic polling rate and motion physics
-    for (let i = 0; i < points.length; i++) {
-      let point = points[i];
+        let point = null;
+        if (typeof event.x === 'number' && typeof event.y === 'number') {
+          point = transform(event);
+          point.x = this.clamp(point.x, 0, viewport.width - 1);
+          point.y = this.clamp(point.y, 0, viewport.height - 1);
+        }
 
-      // Target drift with fractal noise
-      if (targetDrift && i > points.length * 0.5) {
-        const driftFactor = (i - points.length * 0.5) / (points.length * 0.5);
-        const fractalNoise = this.perlinNoise(i * 0.1, Date.now() * 0.001, this.motionState.perlinSeed);
-        point.x += targetDrift.x * driftFactor + fractalNoise * 0.5;
-        point.y += targetDrift.y * driftFactor + fractalNoise * 0.5;
+        try {
+          switch (event.type) {
+            case 'move':
+              await this.emitMouseMove(point.x, point.y);
+              lastPoint = point;
+              break;
+            case 'down':
+            case 'up':
+              if (point && (!lastPoint || this.calculateDistance(point, lastPoint) > 0.5)) {
+                await this.emitMouseMove(point.x, point.y);
+                lastPoint = point;
+              }
+              if (event.type === 'down') {
+                await this.emitMouseDown({ button: event.button ?? 'left', clickCount: event.clickCount ?? 1 });
+              } else {
+                await this.emitMouseUp({ button: event.button ?? 'left', clickCount: event.clickCount ?? 1 });
+              }
+              break;
+            case 'wheel':
+              await this.emitMouseWheel(event.deltaX ?? 0, event.deltaY ?? 0);
+              break;
+            default:
+              this.log('Replay: skipping unknown event type', event.type);
+          }
+        } catch (error) {
+          this.log('Replay event failed:', error.message);
+        }
       }
 
-      // Calculate realistic motion derivatives
-      const velocity = {
-        x: point.x - lastPoint.x,
-        y: point.y - lastPoint.y,
-      };
+      if (lastPoint) {
+        this.lastPos = lastPoint;
+        this.lastMoveTime = Date.now();
+        this.addToHistory({ x: lastPoint.x, y: lastPoint.y, time: Date.now() });
+      }
 
-      const acceleration = {
-        x: velocity.x - lastVelocity.x,
-        y: velocity.y - lastVelocity.y,
-      };
+      this.updateActionCount();
+    } finally {
+      this.endAction();
+    }
+  }
+
+  /**
+   * Similarity transform (rotation + uniform scale + translation) mapping a0 -> b0 and a1 -> b1
+   */
+  createRetargetTransform(a0, a1, b0, b1) {
+    const ax = a1.x - a0.x;
+    const ay = a1.y - a0.y;
+    const bx = b1.x - b0.x;
+    const by = b1.y - b0.y;
+    const sourceLengthSq = ax * ax + ay * ay;
+
+    // Degenerate trace (ends where it started): translate only
+    if (sourceLengthSq < 1e-6) {
+      return point => ({ x: point.x - a0.x + b0.x, y: point.y - a0.y + b0.y });
+    }
 
-      const rawJerk = {
-        x: acceleration.x - lastAcceleration.x,
-        y: acceleration.y - lastAcceleration.y,
+    // Complex division (b / a) gives the combined rotation and scale
+    const cos = (ax * bx + ay * by) / sourceLengthSq;
+    const sin = (ax * by - ay * bx) / sourceLengthSq;
+
+    return point => {
+      const dx = point.x - a0.x;
+      const dy = point.y - a0.y;
+      return {
+        x: b0.x + dx * cos - dy * sin,
+        y: b0.y + dx * sin + dy * cos
       };
+    };
+  }
+
+  /**
+   * Read a text region: scroll through it at a words-per-minute pace
+   *
+   * Reading time comes from the text length (wordsPerMinute, default 230). Blocks are read
+   * in order with the current one kept near the reading line, pauses at headings and images,
+   * occasional regressions (scrolling back up a little) and the pointer either loosely
+   * following the lines or resting in the margin.
+   */
+  async read(element, options = {}) {
+    this.beginAction('read');
+
+    try {
+      const wordsPerMinute = options.wordsPerMinute ?? 230;
+      const readingLine = options.readingLine ?? 0.3; // Fraction of the visible height
+      const maxDuration = options.maxDuration ?? Infinity;
+      const startTime = Date.now();
 
-      // Smooth jerk (humans can't make instant acceleration changes)
-      const jerk = this.calculateSmoothJerk(this.motionState.lastJerk, rawJerk);
+      await this.scrollToElement(element, { ...options, targetPosition: 'top' });
 
-      // Apply jerk-influenced micro-adjustments
-      const jerkMagnitude = Math.sqrt(jerk.x * jerk.x + jerk.y * jerk.y);
-      if (jerkMagnitude > 0.5) {
-        const jerkNoise = this.randomGaussian(0, jerkMagnitude * 0.15);
-        point.x += jerkNoise;
-        point.y += jerkNoise;
+      const blocks = await this.getReadingBlocks(element);
+      if (blocks.length === 0) {
+        this.log('Nothing to read');
+        return;
       }
 
-      point.x = this.clamp(point.x, 0, viewport.width - 1);
-      point.y = this.clamp(point.y, 0, viewport.height - 1);
+      const viewport = await this.getViewport();
+      const frameContext = await this.getFrameContext(element);
+      await this.disposeFrameContext(frameContext);
+
+      const chain = await this.getScrollContainerChain(element);
 
       try {
-        await this.page.mouse.move(point.x, point.y);
-      } catch (error) {
-        this.log('Mouse move failed:', error.message);
-        continue;
-      }
+        // The nearest scroll container moves the text, the outer levels were placed by scrollToElement
+        const scrollContainer = chain[chain.length - 1];
+        scrollContainer.frame = frameContext.frame;
+
+        let region = frameContext.clip;
+        if (!scrollContainer.info.isWindow) {
+          const containerBox = await scrollContainer.containerHandle.boundingBox().catch(() => null);
+          if (containerBox) {
+            const visibleBox = this.intersectBoxes(containerBox, frameContext.clip);
+            if (visibleBox.width > 0 && visibleBox.height > 0) {
+              region = visibleBox;
+            }
+          }
+        }
+
+        const context = { element, scrollContainer, region, viewport, readingLine, options };
 
-      // REALISTIC POLLING RATE with temporal correlation
-      const phase = i / points.length;
-      let pollingDelay = this.calculateRealisticPollingDelay(phase, velocityProfile ? velocityProfile[i] : 1);
+        for (let i = 0; i < blocks.length; i++) {
+          if (Date.now() - startTime > maxDuration) break;
 
-      // Apply fatigue to timing
-      pollingDelay *= this.config.fatigueMultiplier;
+          const block = blocks[i];
+          const box = await this.getElementBoundingBox(element);
+          if (!box) break;
+
+          // Bring the block to the reading line unless it already sits comfortably in view
+          const blockTop = box.y + block.top;
+          const blockBottom = box.y + block.bottom;
+          const comfortBottom = region.y + region.height * 0.85;
+          if (blockTop < region.y || blockTop > region.y + region.height * 0.6 ||
+              (blockBottom > comfortBottom && blockTop > region.y + region.height * readingLine)) {
+            await this.readingScroll(context, blockTop - (region.y + region.height * readingLine));
+          }
 
-      await this.randomDelay(pollingDelay, pollingDelay + 2);
+          if (block.type === 'heading') {
+            await this.dwell(options.headingPause ?? 500, 150);
+          } else if (block.type === 'image') {
+            await this.dwell(options.imagePause ?? 1400, 450);
+          }
 
-      // Hesitation with entropy consideration
-      const currentEntropy = this.calculateEntropy(points.slice(Math.max(0, i - 5), i + 1));
-      const hesitationProb = this.config.hesitationProbability * (1 + (this.config.entropyTarget - currentEntropy));
+          if (block.words > 0) {
+            // Reading speed varies from block to block
+            const pace = wordsPerMinute * this.clamp(this.randomGaussian(1, 0.12), 0.7, 1.3);
+            await this.readBlock(context, block, block.words / pace * 60000, startTime);
+          }
 
-      if (Math.random() < hesitationProb && phase > 0.2 && phase < 0.8) {
-        const hesitationDuration = this.randomGaussian(80, 40) * this.config.fatigueMultiplier;
-        await this.randomDelay(Math.max(30, hesitationDuration), hesitationDuration + 50);
-        this.log('Hesitation at', phase.toFixed(2), 'entropy:', currentEntropy.toFixed(3));
+          // Regression: glance back up at what was just read
+          if (i > 0 && this.random() < (options.regressionProbability ?? 0.12)) {
+            const distance = 60 + this.random() * 180;
+            await this.readingScroll(context, -distance);
+            await this.dwell(700, 250);
+            await this.readingScroll(context, distance);
+          }
+        }
+      } finally {
+        await this.disposeScrollContainerChain(chain);
       }
 
-      // Update motion state
-      lastPoint = point;
-      lastVelocity = velocity;
-      lastAcceleration = acceleration;
-      this.motionState.lastJerk = jerk;
+      this.updateActionCount();
+    } finally {
+      this.endAction();
     }
+  }
+
+  /**
+   * Text blocks of an element in reading order: { type, words, top, bottom, left, right, lineHeight }
+   *
+   * Offsets are relative to the element's top-left corner. Nested candidates (a paragraph inside
+   * a list item) are merged into the outermost one.
+   */
+  async getReadingBlocks(element) {
+    try {
+      return await element.evaluate(root => {
+        const selector = 'h1,h2,h3,h4,h5,h6,p,li,dt,dd,blockquote,pre,figure,img,video,table';
+        const rootRect = root.getBoundingClientRect();
+        const countWords = text => (text.match(/\S+/g) || []).length;
+
+        let nodes = Array.from(root.querySelectorAll(selector)).filter(node => {
+          const parent = node.parentElement ? node.parentElement.closest(selector) : null;
+          return !parent || parent === root || !root.contains(parent);
+        });
+        if (nodes.length === 0) {
+          nodes = [root];
+        }
 
-    // Update motion state for temporal correlation
-    this.motionState.lastVelocity = lastVelocity;
-    this.motionState.lastAcceleration = lastAcceleration;
-    this.motionState.temporalCorrelation = Math.min(0.9, this.motionState.temporalCorrelation + 0.05);
+        return nodes.map(node => {
+          const rect = node.getBoundingClientRect();
+          const style = window.getComputedStyle(node);
+          const tag = node.tagName.toLowerCase();
+          const lineHeight = parseFloat(style.lineHeight) || (parseFloat(style.fontSize) || 16) * 1.3;
 
-    this.lastPos = { x: targetX, y: targetY };
-    this.lastMoveTime = Date.now();
-    this.addToHistory({ x: targetX, y: targetY, time: Date.now() });
+          let type = 'text';
+          if (/^h[1-6]$/.test(tag)) type = 'heading';
+          else if (['img', 'video', 'figure'].includes(tag)) type = 'image';
+
+          return {
+            type,
+            words: countWords(node.innerText || node.textContent || ''),
+            top: rect.top - rootRect.top,
+            bottom: rect.bottom - rootRect.top,
+            left: rect.left - rootRect.left,
+            right: rect.right - rootRect.left,
+            lineHeight,
+          };
+        }).filter(block => block.bottom > block.top);
+      });
+    } catch (error) {
+      this.log('getReadingBlocks failed:', error.message);
+      return [];
+    }
   }
 
   /**
-   * Calculate realistic polling delay with temporal correlation (2025+ enhanced)
+   * Read one block line by line, scrolling on when the lines reach the lower part of the view
    */
-  calculateRealisticPollingDelay(phase, velocityFactor = 1) {
-    // Temporal correlation: events are correlated with previous polling intervals
-    const correlation = this.motionState.temporalCorrelation;
-    const pollingPhase = this.motionState.pollingPhase;
+  async readBlock(context, block, duration, startTime) {
+    const { element, region, readingLine, options } = context;
+    const lines = Math.max(1, Math.round((block.bottom - block.top) / block.lineHeight));
+    const lineDuration = duration / lines;
 
-    let baseDelay;
+    // Per block: follow the lines with the pointer, or park it in the margin
+    const isTracking = this.random() < (options.pointerTracking ?? 0.35);
+    let parked = false;
 
-    // Correlated randomness (not pure random)
-    const correlatedRandom = Math.random() * (1 - correlation) + pollingPhase * correlation;
-    this.motionState.pollingPhase = correlatedRandom; // Update for next call
+    for (let line = 0; line < lines; line++) {
+      if (Date.now() - startTime > (options.maxDuration ?? Infinity)) return;
 
-    if (correlatedRandom < 0.65) {
-      // 65% typical rate: ~100Hz (9-11ms)
-      baseDelay = this.config.typicalPollingInterval + this.randomGaussian(0, 1.5);
-    } else if (correlatedRandom < 0.82) {
-      // 17% faster: ~120-144Hz (6.9-8.5ms)
-      baseDelay = this.config.minPollingInterval + Math.random() * 1.6;
-    } else {
-      // 18% slower: ~60-85Hz (11.8-16.6ms)
-      baseDelay = 11.8 + Math.random() * 4.8;
-    }
+      const box = await this.getElementBoundingBox(element);
+      if (!box) return;
+
+      let lineY = box.y + block.top + (line + 0.5) * block.lineHeight;
+      if (lineY > region.y + region.height * 0.8) {
+        await this.readingScroll(context, lineY - (region.y + region.height * readingLine));
+        const movedBox = await this.getElementBoundingBox(element);
+        if (!movedBox) return;
+        lineY = movedBox.y + block.top + (line + 0.5) * block.lineHeight;
+        parked = false;
+      }
+
+      if (isTracking && (line === 0 || this.random() < 0.5)) {
+        // Loosely along the line, a little below it so the text stays readable
+        const progress = 0.1 + this.random() * 0.8;
+        const x = box.x + block.left + (block.right - block.left) * progress;
+        const y = lineY + block.lineHeight * (0.4 + this.random() * 0.4);
+        await this.moveToPosition(
+          this.clamp(x, region.x + 2, region.x + region.width - 2),
+          this.clamp(y, region.y + 2, region.y + region.height - 2),
+          { ...options, numPoints: Math.max(4, Math.round(4 + this.random() * 6)) }
+        );
+      } else if (!isTracking && !parked) {
+        await this.moveToReadingMargin(context, box);
+        parked = true;
+      }
 
-    // Phase modulation: velocity-dependent timing (Fitts's Law influence)
-    if (phase > 0.3 && phase < 0.7) {
-      // Cruise phase: faster polling during fast movement
-      baseDelay *= 0.88 * velocityFactor;
-    } else if (phase > 0.85) {
-      // Precision phase: slower, more deliberate
-      baseDelay *= 1.25;
-    } else if (phase < 0.15) {
-      // Acceleration phase: variable timing
-      baseDelay *= 0.95 + Math.random() * 0.15;
+      await this.dwell(lineDuration, lineDuration * 0.2);
     }
+  }
 
-    // Entropy-based micro-variation (fractal-like)
-    const entropyNoise = this.perlinNoise(
-      Date.now() * 0.01,
-      this.motionState.entropyAccumulator,
-      this.motionState.perlinSeed
+  /**
+   * Rest the pointer beside the text (right margin if there is room, otherwise the left one)
+   */
+  async moveToReadingMargin(context, box) {
+    const { region, options } = context;
+    const y = this.clamp(
+      region.y + region.height * (0.3 + this.random() * 0.4),
+      region.y + 2,
+      region.y + region.height - 2
     );
-    baseDelay += entropyNoise * 1.2;
-    this.motionState.entropyAccumulator += 0.1;
 
-    // Physiological limits: can't be perfectly regular
-    baseDelay += Math.sin(Date.now() * 0.01) * 0.5;
+    let x = box.x + box.width + 20 + this.random() * 60;
+    if (x > region.x + region.width - 8) {
+      x = box.x - 20 - this.random() * 60;
+    }
+    if (x < region.x + 8) {
+      x = region.x + region.width - 8 - this.random() * 20;
+    }
 
-    return this.clamp(baseDelay, this.config.minPollingInterval, this.config.maxPollingInterval);
+    await this.moveToPosition(x, y, options);
   }
 
   /**
-   * Calculate ultra-realistic Bezier points with Fitts's Law timing (2025+ enhanced)
+   * Scroll the reading container by delta (px, positive = down), within its scroll range
    */
-  calculateHumanBezierPoints(startX, startY, targetX, targetY, box, viewport, options) {
-    const D = this.calculateDistance({ x: startX, y: startY }, { x: targetX, y: targetY });
+  async readingScroll(context, delta) {
+    const { scrollContainer, region, options } = context;
 
-    const W = box ? Math.min(box.width, box.height) : (options.defaultTargetWidth ?? 100);
-
-    // Correct Fitts's Law: ID = log2(D/W + 1)
-    const ID = Math.log2(D / W + 1);
+    const currentScroll = await this.getScrollPosition(scrollContainer);
+    const maxScroll = await this.getMaxScroll(scrollContainer);
+    if (!currentScroll || !maxScroll) return;
 
-    // Fitts's Law: MT = a + b·ID (in seconds)
-    // Convert to milliseconds and use for timing
-    const predictedMT = (this.config.fittsA + this.config.fittsB * ID) * 1000;
-    const adjustedMT = predictedMT * this.config.fatigueMultiplier * (0.95 + Math.random() * 0.1);
+    const targetY = this.clamp(currentScroll.y + delta, 0, maxScroll.y);
+    if (Math.abs(targetY - currentScroll.y) < 10) return;
 
-    let complexityMultiplier = 1.0;
-    switch (this.config.curveComplexity) {
-      case 'low':
-        complexityMultiplier = 0.7;
-        break;
-      case 'high':
-        complexityMultiplier = 1.3;
-        break;
-      default:
-        complexityMultiplier = 1.0;
+    // The wheel goes to whatever is under the pointer
+    if (this.lastPos && this.config.inputDevice !== 'touch' &&
+        !(this.lastPos.x >= region.x && this.lastPos.x <= region.x + region.width &&
+          this.lastPos.y >= region.y && this.lastPos.y <= region.y + region.height)) {
+      await this.preScrollMouseMovement(context.viewport, options, region);
     }
 
-    // Calculate number of points based on movement time and polling rate
-    // MT / avgPollingInterval = approximate number of points
-    let baseNumPoints = Math.round(adjustedMT / this.config.typicalPollingInterval);
-    baseNumPoints = Math.max(15, Math.round(baseNumPoints * complexityMultiplier));
-    baseNumPoints = this.applyFatigue(baseNumPoints);
-    const numPoints = options.numPoints ?? baseNumPoints;
+    if (this.config.inputDevice !== 'mouse') {
+      await this.performScroll(currentScroll, { x: currentScroll.x, y: targetY }, scrollContainer, region, options);
+      return;
+    }
 
-    const primaryControls = this.calculateRealisticControlPoints(
-      startX, startY, targetX, targetY, D, options
+    // Reading scrolls are short: a few notches, no overshoot
+    const distance = Math.abs(targetY - currentScroll.y);
+    const numSteps = Math.max(2, Math.round(4 * Math.log2(distance / 100 + 1)));
+    await this.executeScrollSequence(
+      { x: null, y: targetY },
+      { x: 1, y: targetY > currentScroll.y ? 1 : -1 },
+      numSteps,
+      { x: 0, y: 0 },
+      scrollContainer,
+      options
     );
+  }
 
-    let targetDrift = null;
-    if (this.config.targetDriftEnabled && !options.isApproach && D > 100) {
-      const driftMagnitude = this.randomGaussian(0, 3 * this.config.fatigueMultiplier);
-      targetDrift = {
-        x: driftMagnitude,
-        y: driftMagnitude
-      };
+  /**
+   * Random move
+   */
+  async move(options = {}) {
+    this.beginAction('move');
+
+    try {
+      const viewport = await this.getViewport();
+
+      if (!this.lastPos) {
+        this.initializePosition(viewport);
+      }
+
+      const padding = 60;
+      const targetX = padding + this.random() * (viewport.width - 2 * padding);
+      const targetY = padding + this.random() * (viewport.height - 2 * padding);
+
+      await this.moveToPosition(targetX, targetY, options);
+      this.updateActionCount();
+    } finally {
+      this.endAction();
     }
+  }
 
-    const baseJitter = options.jitterStdDev ?? 1.5;
-    const jitterStdDev = baseJitter * this.config.fatigueMultiplier;
-    const points = [];
+  /**
+   * CRITICAL: Ultra-realistic movement with 60-144Hz polling simulation (2025+ enhanced)
+   */
+  async moveToPosition(targetX, targetY, options = {}) {
+    this.beginAction('moveToPosition');
 
-    // Generate realistic velocity profile (bell curve for ballistic movement)
-    const velocityProfile = this.generateVelocityProfile(numPoints, D);
+    try {
+      const viewport = await this.getViewport();
 
-    for (let i = 1; i <= numPoints; i++) {
-      const linearT = i / numPoints;
-      const easedT = this.multiLayerEasing(linearT, D);
+      if (!this.lastPos) {
+        this.initializePosition(viewport);
+      }
 
-      let point = this.getBezierPoint(easedT,
-        primaryControls.p0,
-        primaryControls.p1,
-        primaryControls.p2,
-        primaryControls.p3
+      targetX = this.clamp(targetX, 0, viewport.width - 1);
+      targetY = this.clamp(targetY, 0, viewport.height - 1);
+
+      // Hover corridor: every emitted point must stay inside this box
+      const corridor = options.corridor ?? null;
+      if (corridor) {
+        targetX = this.clamp(targetX, corridor.x, corridor.x + corridor.width - 1);
+        targetY = this.clamp(targetY, corridor.y, corridor.y + corridor.height - 1);
+      }
+
+      const { points, targetDrift, velocityProfile } = this.motionModel.generatePath(
+        this.lastPos.x,
+        this.lastPos.y,
+        targetX,
+        targetY,
+        null,
+        viewport,
+        options
       );
 
-      // Micro-corrections with fractal depth
-      if (Math.random() < this.config.microCorrectionFrequency && linearT > 0.2 && linearT < 0.9) {
-        const correctionAngle = Math.random() * Math.PI * 2;
-        const correctionMagnitude = this.randomGaussian(0, 4 * this.config.fatigueMultiplier);
+      // Planned path, before drift and physics adjustments
+      this.drawOverlay({ type: 'path', points: points.map(point => ({ x: point.x, y: point.y })) });
+
+      // Track motion derivatives for realistic physics
+      let lastPoint = this.lastPos;
+      let lastVelocity = this.motionState.lastVelocity;
+      let lastAcceleration = this.motionState.lastAcceleration;
+
+      // Execute with realistic polling rate and motion physics
+      for (let i = 0; i < points.length; i++) {
+        const point = points[i];
+        const { velocity, acceleration, jerk } = this.applyMotionPhysics(point, i, points.length, targetDrift, {
+          lastPoint,
+          lastVelocity,
+          lastAcceleration
+        });
 
-        // Add fractal sub-movements (multiple scales)
-        for (let depth = 0; depth < this.config.fractalDepth; depth++) {
-          const scale = Math.pow(0.5, depth);
-          const fractalNoise = this.perlinNoise(
-            i * 0.1 * (depth + 1),
-            linearT * 10 * (depth + 1),
-            this.motionState.perlinSeed + depth
-          );
-          point.x += Math.cos(correctionAngle) * correctionMagnitude * scale + fractalNoise * scale;
-          point.y += Math.sin(correctionAngle) * correctionMagnitude * scale + fractalNoise * scale;
+        point.x = this.clamp(point.x, 0, viewport.width - 1);
+        point.y = this.clamp(point.y, 0, viewport.height - 1);
+
+        if (corridor) {
+          point.x = this.clamp(point.x, corridor.x, corridor.x + corridor.width - 1);
+          point.y = this.clamp(point.y, corridor.y, corridor.y + corridor.height - 1);
         }
-      }
 
-      // Progressive jitter with velocity-dependent noise
-      const progressFactor = 1 - easedT;
-      const distanceToEnd = progressFactor * D;
-      const velocityInfluence = velocityProfile[i - 1];
-      const adaptiveJitter = jitterStdDev * Math.min(1.5, distanceToEnd / 70) * (0.8 + velocityInfluence * 0.4);
+        try {
+          await this.emitMouseMove(point.x, point.y);
+        } catch (error) {
+          this.log('Mouse move failed:', error.message);
+          continue;
+        }
 
-      // Multi-scale noise (combining Gaussian and Perlin)
-      const gaussianNoise = this.randomGaussian(0, adaptiveJitter);
-      const perlinNoiseX = this.perlinNoise(i * 0.15, 0, this.motionState.perlinSeed) * adaptiveJitter * 0.3;
-      const perlinNoiseY = this.perlinNoise(0, i * 0.15, this.motionState.perlinSeed + 1) * adaptiveJitter * 0.3;
+        // REALISTIC POLLING RATE with temporal correlation
+        const phase = i / points.length;
+        let pollingDelay = this.motionModel.getPollingDelay(phase, velocityProfile ? velocityProfile[i] : 1);
 
-      point.x += gaussianNoise + perlinNoiseX;
-      point.y += gaussianNoise + perlinNoiseY;
+        // Apply fatigue to timing
+        pollingDelay *= this.config.fatigueMultiplier;
 
-      // Attention errors
-      if (this.config.attentionSpan < 0.95) {
-        if (Math.random() > this.config.attentionSpan) {
-          const errorMagnitude = (1 - this.config.attentionSpan) * 18 * this.config.fatigueMultiplier;
-          point.x += this.randomGaussian(0, errorMagnitude * 0.25);
-          point.y += this.randomGaussian(0, errorMagnitude * 0.25);
+        if (options.isDragging) {
+          pollingDelay *= 1.15;
         }
-      }
 
-      // Sub-movements
-      if (linearT > 0.3 && linearT < 0.85 && Math.random() < 0.12) {
-        const subMovement = this.randomGaussian(0, 2.5 * this.config.fatigueMultiplier);
-        point.x += subMovement;
-        point.y += subMovement;
-      }
+        await this.randomDelay(pollingDelay, pollingDelay + 2);
 
-      // Angular velocity variation
-      if (i > 1 && Math.random() < 0.2) {
-        const prevPoint = points[points.length - 1];
-        const angle = Math.atan2(point.y - prevPoint.y, point.x - prevPoint.x);
-        const angleVariation = this.randomGaussian(0, 0.08);
-        const dist = this.calculateDistance(prevPoint, point);
+        // Hesitation with entropy consideration
+        const currentEntropy = this.calculateEntropy(points.slice(Math.max(0, i - 5), i + 1));
+        const hesitationProb = this.config.hesitationProbability * (1 + (this.config.entropyTarget - currentEntropy));
 
-        point.x = prevPoint.x + Math.cos(angle + angleVariation) * dist;
-        point.y = prevPoint.y + Math.sin(angle + angleVariation) * dist;
+        if (this.random() < hesitationProb && phase > 0.2 && phase < 0.8) {
+          const hesitationDuration = this.randomGaussian(80, 40) * this.config.fatigueMultiplier;
+          await this.randomDelay(Math.max(30, hesitationDuration), hesitationDuration + 50);
+          this.log('Hesitation at', phase.toFixed(2), 'entropy:', currentEntropy.toFixed(3));
+        }
+
+        // Update motion state
+        lastPoint = point;
+        lastVelocity = velocity;
+        lastAcceleration = acceleration;
+        this.motionState.lastJerk = jerk;
       }
 
-      point.x = this.clamp(point.x, 0, viewport.width - 1);
-      point.y = this.clamp(point.y, 0, viewport.height - 1);
+      // Update motion state for temporal correlation
+      this.motionState.lastVelocity = lastVelocity;
+      this.motionState.lastAcceleration = lastAcceleration;
+      this.motionState.temporalCorrelation = Math.min(0.9, this.motionState.temporalCorrelation + 0.05);
 
-      points.push(point);
+      this.lastPos = { x: targetX, y: targetY };
+      this.lastMoveTime = Date.now();
+      this.addToHistory({ x: targetX, y: targetY, time: Date.now() });
+    } finally {
+      this.endAction();
     }
+  }
 
-    const result = this.handleRealisticOvershoot(
-      startX, startY, targetX, targetY, box, viewport, points, options, D, W
-    );
+  /**
+   * Start idle activity between actions: micro-movements, small drifts, reading scrolls and rests
+   *
+   * Runs in the background until stopIdle(). Idle motion stops at the next event when another
+   * method starts and resumes once it is done; the cursor position is kept in lastPos, so the
+   * action starts where idle motion left it. Idle draws from the polling random stream, so
+   * seeded actions stay reproducible.
+   */
+  startIdle(options = {}) {
+    if (this.idle) {
+      this.idle.options = options;
+      return;
+    }
 
-    return {
-      points: result.points,
-      finalPos: result.finalPos,
-      targetDrift: targetDrift,
-      velocityProfile: velocityProfile
-    };
+    const idle = { options, stopped: false, wake: null };
+    this.idle = idle;
+    idle.loop = this.runIdleLoop(idle).catch(error => this.log('Idle loop failed:', error.message));
   }
 
   /**
-   * Generate realistic velocity profile (bell curve for ballistic movements)
-   * Based on research: human movements follow asymmetric bell-shaped velocity profiles
+   * Stop idle activity, resolves once the current idle step has ended
    */
-  generateVelocityProfile(numPoints, distance) {
-    const profile = [];
-    const peakPosition = 0.40 + Math.random() * 0.15; // Peak velocity at 40-55% of movement
+  async stopIdle() {
+    const idle = this.idle;
+    if (!idle) return;
+
+    this.idle = null;
+    idle.stopped = true;
+    if (idle.wake) idle.wake();
+    await idle.loop;
+  }
 
-    for (let i = 0; i < numPoints; i++) {
-      const t = i / numPoints;
+  async runIdleLoop(idle) {
+    const random = this.pollRandom;
 
-      // Asymmetric Gaussian (skewed bell curve)
-      let velocity;
-      if (t < peakPosition) {
-        // Acceleration phase (slightly faster rise)
-        const normT = t / peakPosition;
-        velocity = Math.exp(-Math.pow((normT - 1) * 2.2, 2));
-      } else {
-        // Deceleration phase (slower, more controlled)
-        const normT = (t - peakPosition) / (1 - peakPosition);
-        velocity = Math.exp(-Math.pow(normT * 2.8, 2));
-      }
+    while (!idle.stopped) {
+      const options = idle.options;
+      const minInterval = options.minInterval ?? 400;
+      const maxInterval = options.maxInterval ?? 2500;
 
-      // Add natural variation with Perlin noise
-      const noiseVariation = this.perlinNoise(i * 0.1, 0, this.motionState.perlinSeed + 100);
-      velocity *= (1 + noiseVariation * 0.15);
+      await this.idleWait(idle, minInterval + random() * (maxInterval - minInterval));
 
-      // Minimum velocity (never completely stop in the middle)
-      velocity = Math.max(0.1, velocity);
+      // Leave the pointer alone during actions and for a moment after them
+      if (this.isIdleInterrupted(idle) || performance.now() - this.lastActionEnd < minInterval) {
+        continue;
+      }
 
-      profile.push(velocity);
+      const microWeight = options.microWeight ?? 0.45;
+      const driftWeight = options.driftWeight ?? 0.2;
+      const scrollWeight = options.scroll === false || this.config.inputDevice === 'touch'
+        ? 0
+        : (options.scrollWeight ?? 0.15);
+
+      const roll = random();
+      try {
+        if (roll < microWeight) {
+          await this.idleMicroMovement(idle);
+        } else if (roll < microWeight + driftWeight) {
+          await this.idleDrift(idle);
+        } else if (roll < microWeight + driftWeight + scrollWeight) {
+          await this.idleScroll(idle);
+        }
+        // Otherwise: rest
+      } catch (error) {
+        this.log('Idle step failed:', error.message);
+      }
     }
+  }
 
-    return profile;
+  /**
+   * Idle steps give way as soon as a real action is running
+   */
+  isIdleInterrupted(idle) {
+    return idle.stopped || this.actionStack.length > 0;
   }
 
   /**
-   * Realistic control points
+   * Sleep that stopIdle() can cut short
    */
-  calculateRealisticControlPoints(startX, startY, targetX, targetY, D, options) {
-    const dx = targetX - startX;
-    const dy = targetY - startY;
+  idleWait(idle, ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        idle.wake = null;
+        resolve();
+      }, ms);
+      idle.wake = () => {
+        clearTimeout(timer);
+        idle.wake = null;
+        resolve();
+      };
+    });
+  }
 
-    const baseDeviation = D * (0.10 + Math.random() * 0.32);
-    const deviation = options.isApproach ? baseDeviation * 0.35 : baseDeviation;
+  /**
+   * One to three tremor-sized adjustments around the resting position
+   */
+  async idleMicroMovement(idle) {
+    const count = 1 + Math.floor(this.pollRandom() * 3);
 
-    const length = Math.sqrt(dx * dx + dy * dy) || 1;
-    const perpX = -dy / length;
-    const perpY = dx / length;
+    for (let i = 0; i < count; i++) {
+      if (this.isIdleInterrupted(idle)) return;
+      await this.microMouseAdjustment(this.pollRandom);
+      await this.idleWait(idle, 40 + this.pollRandom() * 160);
+    }
+  }
 
-    const directionBias = Math.random() < 0.65 ? 1 : -1;
+  /**
+   * Slow, short drift of the resting hand
+   */
+  async idleDrift(idle) {
+    const random = this.pollRandom;
+    const viewport = await this.getViewport();
+    if (this.isIdleInterrupted(idle)) return;
 
-    const c1FactorBase = 0.18 + Math.random() * 0.24;
-    const c2FactorBase = 0.54 + Math.random() * 0.28;
+    const start = this.lastPos ?? {
+      x: viewport.width * (0.3 + random() * 0.4),
+      y: viewport.height * (0.3 + random() * 0.4)
+    };
 
-    const asymmetry = (Math.random() - 0.5) * 0.22;
-    const c1Factor = this.clamp(c1FactorBase + asymmetry, 0.15, 0.48);
-    const c2Factor = this.clamp(c2FactorBase - asymmetry, 0.50, 0.88);
+    const maxDistance = idle.options.driftDistance ?? 40;
+    const distance = 8 + random() * Math.max(0, maxDistance - 8);
+    const angle = random() * Math.PI * 2;
+    const margin = 5;
+    const end = {
+      x: this.clamp(start.x + Math.cos(angle) * distance, margin, viewport.width - margin),
+      y: this.clamp(start.y + Math.sin(angle) * distance, margin, viewport.height - margin)
+    };
 
-    const c1Deviation = deviation * (0.5 + Math.random() * 0.6);
-    const c2Deviation = deviation * (0.4 + Math.random() * 0.7);
+    const bow = this.randomGaussian(0, distance * 0.15, random);
+    const normal = { x: -Math.sin(angle), y: Math.cos(angle) };
+    const p1 = { x: start.x + (end.x - start.x) / 3 + normal.x * bow, y: start.y + (end.y - start.y) / 3 + normal.y * bow };
+    const p2 = { x: start.x + (end.x - start.x) * 2 / 3 + normal.x * bow, y: start.y + (end.y - start.y) * 2 / 3 + normal.y * bow };
 
-    const fatigueImpact = this.config.fatigueMultiplier;
-    const c1x = startX + dx * c1Factor + directionBias * c1Deviation * perpX * fatigueImpact;
-    const c1y = startY + dy * c1Factor + directionBias * c1Deviation * perpY * fatigueImpact;
+    const numPoints = Math.max(6, Math.round(distance / 3));
+    for (let i = 1; i <= numPoints; i++) {
+      if (this.isIdleInterrupted(idle)) return;
 
-    const c2x = startX + dx * c2Factor + directionBias * c2Deviation * perpX * fatigueImpact;
-    const c2y = startY + dy * c2Factor + directionBias * c2Deviation * perpY * fatigueImpact;
+      const point = this.getBezierPoint(this.easeInOutCubic(i / numPoints, random), start, p1, p2, end);
+      point.x = this.clamp(point.x + this.randomGaussian(0, 0.3, random), 0, viewport.width - 1);
+      point.y = this.clamp(point.y + this.randomGaussian(0, 0.3, random), 0, viewport.height - 1);
 
-    return {
-      p0: { x: startX, y: startY },
-      p1: { x: c1x, y: c1y },
-      p2: { x: c2x, y: c2y },
-      p3: { x: targetX, y: targetY }
-    };
+      // Position is handed over before the event, an action starting now continues from here
+      this.lastPos = point;
+      await this.emitMouseMove(point.x, point.y);
+      await this.idleWait(idle, 14 + random() * 18);
+    }
   }
 
   /**
-   * Multi-layer easing with advanced entropy (2025+ enhanced)
+   * A notch or two of reading-style scrolling (a short inertia flick on trackpads)
    */
-  multiLayerEasing(t, distance) {
-    let eased = t < 0.5
-      ? 4 * t * t * t
-      : 1 - Math.pow(-2 * t + 2, 3) / 2;
-
-    // Micro-variations with fractal noise
-    const microVariation = (Math.random() - 0.5) * 0.02;
-    const fractalVariation = this.perlinNoise(t * 5, distance * 0.01, this.motionState.perlinSeed) * 0.015;
-    eased += microVariation + fractalVariation;
-
-    // Tremor (high-frequency noise) with temporal correlation
-    const tremorPhase = Date.now() * 0.01 + t * Math.PI * 8;
-    const tremor = Math.sin(tremorPhase) * 0.008 * this.motionState.temporalCorrelation;
-    eased += tremor;
-
-    // Attention lapses with entropy-based probability
-    const currentEntropy = this.motionState.entropyAccumulator % 1;
-    const lapseProb = (1 - this.config.attentionSpan) * (1 + currentEntropy) * 0.1;
-    if (Math.random() < lapseProb) {
-      const lapse = this.randomGaussian(0, 0.025);
-      eased += lapse;
-      this.log('Attention lapse at t=', t.toFixed(3));
-    }
-
-    // Distance-based hesitation with Fitts's Law influence
-    const ID = Math.log2(distance / 100 + 1);
-    const hesitationProb = 0.04 * (ID / 5); // Higher ID = more difficult = more hesitation
-    if (distance > 500 && t > 0.35 && t < 0.65 && Math.random() < hesitationProb) {
-      eased *= 0.92;
-    }
-
-    // Sub-pixel precision errors (humans can't be perfectly precise)
-    if (t > 0.8) {
-      const precisionError = this.randomGaussian(0, 0.008 * this.config.fatigueMultiplier);
-      eased += precisionError;
+  async idleScroll(idle) {
+    const random = this.pollRandom;
+    const direction = random() < 0.85 ? 1 : -1;
+
+    if (this.config.inputDevice === 'trackpad') {
+      let velocity = 8 + random() * 20;
+      while (velocity >= 1) {
+        if (this.isIdleInterrupted(idle)) return;
+        await this.emitMouseWheel(0, direction * Math.round(velocity));
+        velocity *= 0.85;
+        await this.idleWait(idle, 14 + random() * 5);
+      }
+      return;
     }
 
-    return this.clamp(eased, 0, 1);
+    const notches = 1 + Math.floor(random() * 2);
+    for (let i = 0; i < notches; i++) {
+      if (this.isIdleInterrupted(idle)) return;
+      const delta = this.clamp(80 + random() * 40, this.config.minScrollStep, this.config.maxScrollStep);
+      await this.emitMouseWheel(0, direction * delta);
+      await this.idleWait(idle, 60 + random() * 140);
+    }
   }
 
   /**
-   * Realistic overshoot
+   * Micro adjustment
    */
-  handleRealisticOvershoot(startX, startY, targetX, targetY, box, viewport, points, options, D, W) {
-    const adjustedOvershootProb = (options.overshootProb ?? 0.16) * this.config.fatigueMultiplier;
-    const isRandomTarget = !box;
+  async microMouseAdjustment(random = this.random) {
+    if (!this.lastPos) return;
 
-    const shouldOvershoot = !isRandomTarget &&
-                            !options.isApproach &&
-                            D > 120 &&
-                            Math.random() < adjustedOvershootProb &&
-                            this.config.attentionSpan < 0.92;
+    const microX = this.lastPos.x + this.randomGaussian(0, 2.5 * this.config.fatigueMultiplier, random);
+    const microY = this.lastPos.y + this.randomGaussian(0, 2.5 * this.config.fatigueMultiplier, random);
 
-    if (!shouldOvershoot) {
-      return { points, finalPos: { x: targetX, y: targetY } };
+    const viewport = await this.getViewport();
+
+    try {
+      await this.emitMouseMove(
+        this.clamp(microX, 0, viewport.width - 1),
+        this.clamp(microY, 0, viewport.height - 1)
+      );
+    } catch (error) {
+      // Silent
     }
+  }
 
-    const dx = targetX - startX;
-    const dy = targetY - startY;
-    const length = Math.sqrt(dx * dx + dy * dy) || 1;
-    const dirX = dx / length;
-    const dirY = dy / length;
+  /**
+   * Mouse event dispatch: every event sent to the page goes through these
+   */
+  async emitMouseMove(x, y) {
+    await this.page.mouse.move(x, y);
+    this.pointer = { x, y };
+    this.recordEvent('move', { x, y });
+    this.drawOverlay({ type: 'cursor', x, y });
+  }
 
-    let overshootFactor = (0.08 + Math.random() * 0.20) * this.config.fatigueMultiplier;
-    let overshootDist = overshootFactor * W;
+  async emitMouseDown(options = {}, target = null) {
+    await this.page.mouse.down(options);
+    this.recordEvent('down', { ...this.pointer, button: options.button ?? 'left', clickCount: options.clickCount ?? 1, target });
+  }
 
-    let overshootX = targetX + dirX * overshootDist;
-    let overshootY = targetY + dirY * overshootDist;
+  async emitMouseUp(options = {}) {
+    await this.page.mouse.up(options);
+    this.recordEvent('up', { ...this.pointer, button: options.button ?? 'left', clickCount: options.clickCount ?? 1 });
+  }
 
-    const margin = 20;
-    if (overshootX < margin || overshootX >= viewport.width - margin ||
-        overshootY < margin || overshootY >= viewport.height - margin) {
-      overshootDist *= 0.5;
-      overshootX = targetX + dirX * overshootDist;
-      overshootY = targetY + dirY * overshootDist;
+  async emitMouseWheel(deltaX, deltaY) {
+    await this.page.mouse.wheel(deltaX, deltaY);
+    this.recordEvent('wheel', { ...this.pointer, deltaX, deltaY });
+    if (this.pointer) {
+      this.drawOverlay({ type: 'scroll', ...this.pointer, deltaX, deltaY });
     }
+  }
 
-    overshootX = this.clamp(overshootX, margin, viewport.width - margin);
-    overshootY = this.clamp(overshootY, margin, viewport.height - margin);
-
-    const overshootResult = this.calculateHumanBezierPoints(
-      startX, startY, overshootX, overshootY, box, viewport,
-      { ...options, overshootProb: 0 }
-    );
+  async emitTap(x, y, target = null) {
+    await this.page.touchscreen.tap(x, y);
+    this.recordEvent('tap', { x, y, target });
+    this.drawOverlay({ type: 'marker', kind: 'tap', x, y });
+  }
 
-    const correctionPoints = this.generateRealisticCorrectionPath(
-      overshootX, overshootY, targetX, targetY, viewport, options
-    );
+  /**
+   * Dispatch a raw touch event: type is 'touchStart' | 'touchMove' | 'touchEnd'
+   */
+  async emitTouch(type, point) {
+    const session = await this.getTouchSession();
+    if (!session) {
+      throw new Error('Touch events unavailable');
+    }
 
-    return {
-      points: overshootResult.points.concat(correctionPoints),
-      finalPos: { x: targetX, y: targetY }
-    };
+    await session.send('Input.dispatchTouchEvent', {
+      type,
+      touchPoints: type === 'touchEnd' ? [] : [point]
+    });
+    this.recordEvent(type.toLowerCase(), { x: point.x, y: point.y });
   }
 
   /**
-   * Correction path
+   * CDP session for touch gestures (page.touchscreen only taps), null outside Chromium
    */
-  generateRealisticCorrectionPath(overshootX, overshootY, targetX, targetY, viewport, options) {
-    const correctionD = this.calculateDistance(
-      { x: overshootX, y: overshootY },
-      { x: targetX, y: targetY }
-    );
+  async getTouchSession() {
+    if (this.touchSession === undefined) {
+      try {
+        this.touchSession = await this.page.context().newCDPSession(this.page);
+      } catch (error) {
+        this.log('Touch gestures unavailable:', error.message);
+        this.touchSession = null;
+      }
+    }
+    return this.touchSession;
+  }
 
-    const correctionNumPoints = Math.max(8, Math.round(correctionD / 10));
-    const baseJitter = options.jitterStdDev ?? 1.5;
-    const jitterStdDev = baseJitter * 0.6 * this.config.fatigueMultiplier;
+  /**
+   * Track the public API call that produced the following events (outermost call wins)
+   */
+  beginAction(name) {
+    if (this.actionStack.length === 0) {
+      this.actionCounter++;
+      this.drawOverlay({ type: 'clear' });
+    }
+    this.actionStack.push(name);
+  }
 
-    const dx = targetX - overshootX;
-    const dy = targetY - overshootY;
-    const length = Math.sqrt(dx * dx + dy * dy) || 1;
+  endAction() {
+    this.actionStack.pop();
+    if (this.actionStack.length === 0) {
+      this.lastActionEnd = performance.now();
+    }
+  }
 
-    const correctionDeviation = correctionD * (0.03 + Math.random() * 0.09);
-    const perpX = -dy / length;
-    const perpY = dx / length;
-    const correctionSign = Math.random() < 0.5 ? -1 : 1;
+  /**
+   * Record an event if recording is active
+   */
+  recordEvent(type, data) {
+    if (!this.recorder) return;
 
-    const c1x = overshootX + dx * 0.32 + correctionSign * correctionDeviation * perpX * Math.random();
-    const c1y = overshootY + dy * 0.32 + correctionSign * correctionDeviation * perpY * Math.random();
-    const c2x = overshootX + dx * 0.75 + correctionSign * correctionDeviation * perpX * Math.random();
-    const c2y = overshootY + dy * 0.75 + correctionSign * correctionDeviation * perpY * Math.random();
+    this.recorder.record(type, {
+      ...data,
+      action: this.actionStack[0] ?? null,
+      actionId: this.actionStack.length > 0 ? this.actionCounter : null
+    });
+  }
 
-    const p0 = { x: overshootX, y: overshootY };
-    const p1 = { x: c1x, y: c1y };
-    const p2 = { x: c2x, y: c2y };
-    const p3 = { x: targetX, y: targetY };
+  /**
+   * Start recording every emitted mouse event (clears a previous recording)
+   */
+  startRecording(options = {}) {
+    this.recorder = new TrajectoryRecorder(options);
+    return this.recorder;
+  }
 
-    const correctionPoints = [];
+  /**
+   * Stop recording, returns the recorder with the captured events
+   */
+  stopRecording() {
+    const recorder = this.recorder;
+    this.recorder = null;
+    return recorder;
+  }
 
-    for (let i = 1; i <= correctionNumPoints; i++) {
-      const linearT = i / correctionNumPoints;
-      const easedT = this.multiLayerEasing(linearT, correctionD);
+  /**
+   * Export the current recording as 'json' (string) or 'csv'
+   */
+  exportRecording(format = 'json') {
+    if (!this.recorder) return null;
 
-      let point = this.getBezierPoint(easedT, p0, p1, p2, p3);
+    if (format === 'csv') {
+      return this.recorder.toCSV();
+    }
 
-      point.x += this.randomGaussian(0, jitterStdDev);
-      point.y += this.randomGaussian(0, jitterStdDev);
+    return JSON.stringify(this.recorder.toJSON(), null, 2);
+  }
 
-      point.x = this.clamp(point.x, 0, viewport.width - 1);
-      point.y = this.clamp(point.y, 0, viewport.height - 1);
+  /**
+   * Score the current recording for bot-likeness (see analyzeTrajectory), null when not recording
+   */
+  analyzeRecording(options = {}) {
+    if (!this.recorder) return null;
+    return analyzeTrajectory(this.recorder, options);
+  }
 
-      correctionPoints.push(point);
+  /**
+   * Show a debug overlay drawing the cursor, planned paths, click targets and scroll deltas
+   *
+   * The canvases ignore pointer events, so hit-testing (and isElementClickable) is unaffected.
+   * They are re-created after a navigation on the next draw.
+   */
+  showOverlay() {
+    if (!this.overlay) {
+      this.overlay = { queue: [], scheduled: false, drawing: Promise.resolve() };
     }
-
-    return correctionPoints;
   }
 
   /**
-   * Micro adjustment
+   * Stop drawing and remove the overlay from the page
    */
-  async microMouseAdjustment() {
-    if (!this.lastPos) return;
+  async removeOverlay() {
+    const overlay = this.overlay;
+    if (!overlay) return;
 
-    const microX = this.lastPos.x + this.randomGaussian(0, 2.5 * this.config.fatigueMultiplier);
-    const microY = this.lastPos.y + this.randomGaussian(0, 2.5 * this.config.fatigueMultiplier);
-
-    const viewport = await this.getViewport();
+    this.overlay = null;
+    await overlay.drawing;
 
     try {
-      await this.page.mouse.move(
-        this.clamp(microX, 0, viewport.width - 1),
-        this.clamp(microY, 0, viewport.height - 1)
-      );
+      await this.page.evaluate(() => document.getElementById('__shymouse_overlay')?.remove());
     } catch (error) {
-      // Silent
+      this.log('Overlay removal failed:', error.message);
+    }
+  }
+
+  /**
+   * Queue an overlay draw command; commands are sent in batches without blocking the movement
+   */
+  drawOverlay(command) {
+    if (!this.overlay) return;
+
+    this.overlay.queue.push(command);
+    if (!this.overlay.scheduled) {
+      this.overlay.scheduled = true;
+      queueMicrotask(() => this.flushOverlay());
     }
   }
 
+  flushOverlay() {
+    const overlay = this.overlay;
+    if (!overlay) return;
+
+    overlay.scheduled = false;
+    const commands = overlay.queue.splice(0);
+
+    overlay.drawing = overlay.drawing
+      .then(() => this.page.evaluate(commands => {
+        const dpr = window.devicePixelRatio || 1;
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+
+        let root = document.getElementById('__shymouse_overlay');
+        if (!root) {
+          root = document.createElement('div');
+          root.id = '__shymouse_overlay';
+          root.style.cssText = 'position:fixed;inset:0;pointer-events:none;z-index:2147483647;';
+          for (const layer of ['paths', 'cursor']) {
+            const canvas = document.createElement('canvas');
+            canvas.dataset.layer = layer;
+            canvas.style.cssText = 'position:absolute;left:0;top:0;width:100%;height:100%;pointer-events:none;';
+            root.appendChild(canvas);
+          }
+          document.documentElement.appendChild(root);
+        }
+
+        const contexts = {};
+        for (const canvas of root.querySelectorAll('canvas')) {
+          if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
+          }
+          const ctx = canvas.getContext('2d');
+          ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+          contexts[canvas.dataset.layer] = ctx;
+        }
+
+        const paths = contexts.paths;
+        const colors = { target: '#e53935', approach: '#fb8c00', tap: '#8e24aa' };
+
+        for (const command of commands) {
+          if (command.type === 'clear') {
+            paths.clearRect(0, 0, width, height);
+          } else if (command.type === 'path' && command.points.length > 0) {
+            paths.strokeStyle = 'rgba(30, 136, 229, 0.8)';
+            paths.lineWidth = 1.5;
+            paths.beginPath();
+            paths.moveTo(command.points[0].x, command.points[0].y);
+            for (const point of command.points) {
+              paths.lineTo(point.x, point.y);
+            }
+            paths.stroke();
+          } else if (command.type === 'box') {
+            paths.strokeStyle = 'rgba(67, 160, 71, 0.9)';
+            paths.lineWidth = 1;
+            paths.setLineDash([4, 3]);
+            paths.strokeRect(command.x, command.y, command.width, command.height);
+            paths.setLineDash([]);
+          } else if (command.type === 'marker') {
+            paths.strokeStyle = colors[command.kind] ?? '#000';
+            paths.lineWidth = 2;
+            paths.beginPath();
+            paths.arc(command.x, command.y, 5, 0, Math.PI * 2);
+            paths.moveTo(command.x - 8, command.y);
+            paths.lineTo(command.x + 8, command.y);
+            paths.moveTo(command.x, command.y - 8);
+            paths.lineTo(command.x, command.y + 8);
+            paths.stroke();
+          } else if (command.type === 'scroll') {
+            // Arrow in the scroll direction, length proportional to the delta
+            const length = Math.hypot(command.deltaX, command.deltaY);
+            if (length === 0) continue;
+            const scale = Math.min(1, 60 / length) * 0.5;
+            const endX = command.x + command.deltaX * scale;
+            const endY = command.y + command.deltaY * scale;
+            const angle = Math.atan2(command.deltaY, command.deltaX);
+            paths.strokeStyle = 'rgba(0, 137, 123, 0.8)';
+            paths.lineWidth = 2;
+            paths.beginPath();
+            paths.moveTo(command.x, command.y);
+            paths.lineTo(endX, endY);
+            paths.lineTo(endX - 6 * Math.cos(angle - 0.5), endY - 6 * Math.sin(angle - 0.5));
+            paths.moveTo(endX, endY);
+            paths.lineTo(endX - 6 * Math.cos(angle + 0.5), endY - 6 * Math.sin(angle + 0.5));
+            paths.stroke();
+          }
+        }
+
+        // Only the latest cursor position matters
+        const cursor = commands.filter(command => command.type === 'cursor').pop();
+        if (cursor) {
+          const ctx = contexts.cursor;
+          ctx.clearRect(0, 0, width, height);
+          ctx.fillStyle = 'rgba(229, 57, 53, 0.85)';
+          ctx.strokeStyle = '#fff';
+          ctx.lineWidth = 1;
+          ctx.beginPath();
+          ctx.arc(cursor.x, cursor.y, 4, 0, Math.PI * 2);
+          ctx.fill();
+          ctx.stroke();
+        }
+      }, commands))
+      .catch(error => this.log('Overlay draw failed:', error.message));
+  }
+
   /**
    * Bezier point
    */
@@ -1849,8 +5705,8 @@ class ShyMouse {
   /**
    * Easing
    */
-  easeInOutCubic(t) {
-    const variance = (Math.random() - 0.5) * 0.018;
+  easeInOutCubic(t, random = this.random) {
+    const variance = (random() - 0.5) * 0.018;
     t = this.clamp(t + variance, 0, 1);
 
     return t < 0.5
@@ -1861,9 +5717,9 @@ class ShyMouse {
   /**
    * Gaussian
    */
-  randomGaussian(mean = 0, stdDev = 1) {
-    const u = 1 - Math.random();
-    const v = Math.random();
+  randomGaussian(mean = 0, stdDev = 1, random = this.random) {
+    const u = 1 - random();
+    const v = random();
     const z = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
     return z * stdDev + mean;
   }
@@ -1927,6 +5783,51 @@ class ShyMouse {
     return Math.min(1, entropy / 3); // Normalize to 0-1
   }
 
+  /**
+   * Target drift and jerk-driven micro-adjustments for the next planned point (moves it in place)
+   *
+   * state holds the previous point, velocity and acceleration; returns this point's
+   * velocity, acceleration and smoothed jerk for the caller to carry forward.
+   */
+  applyMotionPhysics(point, i, count, targetDrift, state) {
+    // Target drift with fractal noise
+    if (targetDrift && i > count * 0.5) {
+      const driftFactor = (i - count * 0.5) / (count * 0.5);
+      const fractalNoise = this.perlinNoise(i * 0.1, this.getNoiseTime() * 0.001, this.motionState.perlinSeed);
+      point.x += targetDrift.x * driftFactor + fractalNoise * 0.5;
+      point.y += targetDrift.y * driftFactor + fractalNoise * 0.5;
+    }
+
+    // Calculate realistic motion derivatives
+    const velocity = {
+      x: point.x - state.lastPoint.x,
+      y: point.y - state.lastPoint.y,
+    };
+
+    const acceleration = {
+      x: velocity.x - state.lastVelocity.x,
+      y: velocity.y - state.lastVelocity.y,
+    };
+
+    const rawJerk = {
+      x: acceleration.x - state.lastAcceleration.x,
+      y: acceleration.y - state.lastAcceleration.y,
+    };
+
+    // Smooth jerk (humans can't make instant acceleration changes)
+    const jerk = this.calculateSmoothJerk(this.motionState.lastJerk, rawJerk);
+
+    // Apply jerk-influenced micro-adjustments
+    const jerkMagnitude = Math.sqrt(jerk.x * jerk.x + jerk.y * jerk.y);
+    if (jerkMagnitude > 0.5) {
+      const jerkNoise = this.randomGaussian(0, jerkMagnitude * 0.15);
+      point.x += jerkNoise;
+      point.y += jerkNoise;
+    }
+
+    return { velocity, acceleration, jerk };
+  }
+
   /**
    * Smooth jerk calculation (third derivative)
    */
@@ -1957,8 +5858,22 @@ class ShyMouse {
    * Random delay
    */
   async randomDelay(min, max) {
-    const microVar = (Math.random() - 0.5) * 10;
-    const delay = min + Math.random() * (max - min) + microVar;
+    const microVar = (this.random() - 0.5) * 10;
+    const delay = Math.max(0, min + this.random() * (max - min) + microVar);
+
+    if (this.noiseClock !== null) {
+      this.noiseClock += delay;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  /**
+   * Polling delay (separate random stream, does not affect motion)
+   */
+  async pollDelay(min, max) {
+    const microVar = (this.pollRandom() - 0.5) * 10;
+    const delay = min + this.pollRandom() * (max - min) + microVar;
     await new Promise(resolve => setTimeout(resolve, Math.max(0, delay)));
   }
 
@@ -1983,8 +5898,8 @@ class ShyMouse {
    */
   initializePosition(viewport) {
     const margin = 120;
-    const x = margin + Math.pow(Math.random(), 1.3) * (viewport.width - 2 * margin);
-    const y = margin + Math.random() * (viewport.height - 2 * margin);
+    const x = margin + Math.pow(this.random(), 1.3) * (viewport.width - 2 * margin);
+    const y = margin + this.random() * (viewport.height - 2 * margin);
 
     this.lastPos = { x, y };
     this.lastMoveTime = Date.now();
@@ -2024,7 +5939,7 @@ class ShyMouse {
     this.config.actionCount++;
 
     if (this.config.actionCount % 45 === 0) {
-      const recovery = Math.floor(15 + Math.random() * 10);
+      const recovery = Math.floor(15 + this.random() * 10);
       this.config.actionCount = Math.max(0, this.config.actionCount - recovery);
       this.config.attentionSpan = Math.min(0.96, this.config.attentionSpan + 0.04);
       this.config.fatigueMultiplier = Math.max(1.0, this.config.fatigueMultiplier * 0.85);
@@ -2047,6 +5962,49 @@ class ShyMouse {
     }
   }
 
+  /**
+   * Resolved persona (with the seed, if any) for JSON storage, null without a persona
+   */
+  getPersona() {
+    if (!this.persona) return null;
+    return this.seed === null ? { ...this.persona } : { ...this.persona, seed: this.seed };
+  }
+
+  /**
+   * Snapshot of the pointer and motion state (position, motion state, fatigue, attention) as a plain object
+   */
+  exportState() {
+    return {
+      version: 1,
+      lastPos: this.lastPos ? { x: this.lastPos.x, y: this.lastPos.y } : null,
+      lastMoveTime: this.lastMoveTime,
+      moveHistory: this.moveHistory.map(entry => ({ ...entry })),
+      motionState: JSON.parse(JSON.stringify(this.motionState)),
+      actionCount: this.config.actionCount,
+      fatigueMultiplier: this.config.fatigueMultiplier,
+      attentionSpan: this.config.attentionSpan,
+    };
+  }
+
+  /**
+   * Restore a snapshot from exportState() (e.g. on a new page or after a restart)
+   */
+  importState(state) {
+    if (!state || state.version !== 1) {
+      throw new Error('Unsupported pointer state');
+    }
+
+    this.lastPos = state.lastPos ? { x: state.lastPos.x, y: state.lastPos.y } : null;
+    this.lastMoveTime = state.lastMoveTime ?? Date.now();
+    this.moveHistory = (state.moveHistory ?? []).map(entry => ({ ...entry }));
+    this.motionState = { ...this.motionState, ...JSON.parse(JSON.stringify(state.motionState ?? {})) };
+    this.config.actionCount = state.actionCount ?? this.config.actionCount;
+    this.config.fatigueMultiplier = state.fatigueMultiplier ?? this.config.fatigueMultiplier;
+    this.config.attentionSpan = state.attentionSpan ?? this.config.attentionSpan;
+
+    this.log('State imported, position:', this.lastPos);
+  }
+
   /**
    * Stats
    */
@@ -2081,27 +6039,173 @@ class ShyMouse {
   /**
    * Reset
    */
-  reset() {
-    this.config.actionCount = 0;
-    this.config.attentionSpan = 0.88 + Math.random() * 0.10;
-    this.config.fatigueMultiplier = 1.0;
-    this.moveHistory = [];
-    this.lastPos = null;
+  reset(options = {}) {
+    // Reseed so a reset instance replays the same sequence as a fresh one
+    this.initRandomSource();
+    this.initSessionState();
+
+    // The cursor itself doesn't move on a reset unless asked to
+    if (!options.keepPosition) {
+      this.lastPos = null;
+      this.pointer = null;
+    }
     this.invalidateViewportCache();
 
-    // Reset advanced motion state (2025+ enhancement)
-    this.motionState = {
-      lastVelocity: { x: 0, y: 0 },
-      lastAcceleration: { x: 0, y: 0 },
-      lastJerk: { x: 0, y: 0 },
-      temporalCorrelation: 0.5,
-      entropyAccumulator: 0,
-      perlinSeed: Math.random() * 10000,
-      pollingPhase: Math.random(),
+    this.log('State reset complete (with advanced motion state)');
+  }
+}
+
+/**
+ * Shares one pointer across the pages of a BrowserContext
+ *
+ * Tabs and popups each get their own ShyMouse, but fatigue, attention and motion state carry
+ * over, and the cursor keeps its screen position when switching: for a tab in the same window
+ * the page coordinates stay the same, for a popup at another screen position they are mapped
+ * through the window offsets (and clamped to the viewport edge when the cursor is outside it).
+ * Pages opened in the context later (popups, new tabs) get their ShyMouse as soon as they open.
+ */
+class ShyMouseContext {
+  constructor(context, options = {}) {
+    this.context = context;
+    this.options = options;
+    this.mice = new Map();
+    this.activePage = null;
+    this.pageCounter = 0;
+    this.registrations = new Map();
+
+    // Popups and tabs opened later (e.g. by a click) are registered as they open
+    this.onPage = page => {
+      this.register(page).catch(error => this.mice.get(page)?.log('Page registration failed:', error.message));
     };
+    context.on('page', this.onPage);
+  }
 
-    this.log('State reset complete (with advanced motion state)');
+  /**
+   * ShyMouse for a page, taking over the pointer from the previously used page
+   */
+  async get(page) {
+    // A page being registered gets its state first, then the pointer
+    await this.registrations.get(page)?.catch(() => {});
+
+    const mouse = this.mice.get(page) ?? this.createMouse(page);
+    const previous = this.activePage && this.activePage !== page ? this.mice.get(this.activePage) : null;
+
+    if (previous) {
+      await this.handOver(previous, mouse);
+    }
+
+    this.activePage = page;
+    return mouse;
+  }
+
+  /**
+   * Give a newly opened page its ShyMouse with the current state, without taking over the pointer
+   */
+  async register(page) {
+    if (this.registrations.has(page)) return this.registrations.get(page);
+    if (this.mice.has(page)) return this.mice.get(page);
+
+    const mouse = this.createMouse(page);
+    const active = this.activePage ? this.mice.get(this.activePage) : null;
+    const registration = (active ? this.handOver(active, mouse) : Promise.resolve()).then(() => mouse);
+    this.registrations.set(page, registration);
+    return registration;
+  }
+
+  /**
+   * Stop registering new pages of the context
+   */
+  dispose() {
+    this.context.off('page', this.onPage);
+  }
+
+  /**
+   * New ShyMouse for a page, forgotten when the page closes
+   */
+  createMouse(page) {
+    // Distinct but reproducible random streams per page
+    const seed = this.options.seed ?? null;
+    const index = this.pageCounter++;
+    const mouse = new ShyMouse(page, {
+      ...this.options,
+      seed: seed === null ? null : (index === 0 ? seed : `${seed}:${index}`)
+    });
+    this.mice.set(page, mouse);
+
+    try {
+      page.once('close', () => {
+        this.mice.delete(page);
+        this.registrations.delete(page);
+        if (this.activePage === page) this.activePage = null;
+      });
+    } catch (error) {
+      mouse.log('Page close listener failed:', error.message);
+    }
+
+    return mouse;
+  }
+
+  /**
+   * Carry state and the cursor position (mapped between the windows) from one instance to another
+   */
+  async handOver(from, to) {
+    const state = from.exportState();
+    if (state.lastPos) {
+      state.lastPos = await this.mapPosition(from.page, to.page, state.lastPos);
+    }
+    to.importState(state);
+  }
+
+  /**
+   * Convert a position from one page's viewport to another's through screen coordinates
+   */
+  async mapPosition(fromPage, toPage, position) {
+    const from = await this.getWindowGeometry(fromPage);
+    const to = await this.getWindowGeometry(toPage);
+    if (!from || !to) return { ...position };
+
+    const x = position.x + from.contentX - to.contentX;
+    const y = position.y + from.contentY - to.contentY;
+
+    // Outside the window the pointer enters at the nearest edge
+    return {
+      x: Math.max(0, Math.min(to.width - 1, x)),
+      y: Math.max(0, Math.min(to.height - 1, y))
+    };
+  }
+
+  /**
+   * Screen position of a page's viewport (window position plus browser chrome) and its size
+   */
+  async getWindowGeometry(page) {
+    try {
+      return await page.evaluate(() => {
+        const border = Math.max(0, (window.outerWidth - window.innerWidth) / 2);
+        return {
+          contentX: window.screenX + border,
+          contentY: window.screenY + Math.max(0, window.outerHeight - window.innerHeight - border),
+          width: window.innerWidth,
+          height: window.innerHeight
+        };
+      });
+    } catch (error) {
+      return null;
+    }
   }
 }
 
-module.exports = ShyMouse;
\ No newline at end of file
+module.exports = ShyMouse;
+module.exports.MotionModel = MotionModel;
+module.exports.DefaultMotionModel = DefaultMotionModel;
+module.exports.TrajectoryRecorder = TrajectoryRecorder;
+module.exports.ShyMouseError = ShyMouseError;
+module.exports.NotClickableError = NotClickableError;
+module.exports.UnstableElementError = UnstableElementError;
+module.exports.BoundingBoxError = BoundingBoxError;
+module.exports.ScrollFailedError = ScrollFailedError;
+module.exports.UnsupportedInputError = UnsupportedInputError;
+module.exports.calibrateProfile = calibrateProfile;
+module.exports.analyzeTrajectory = analyzeTrajectory;
+module.exports.PERSONAS = PERSONAS;
+module.exports.createPersona = createPersona;
+module.exports.ShyMouseContext = ShyMouseContext;
\ No newline at end of file
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { calibrateProfile } = ShyMouse;
+const { createFakePage } = require('./fakePage.js');
+
+const TARGETS = [
+  [200, 200], [1000, 500], [300, 600], [900, 100], [100, 400], [1100, 650],
+  [640, 360], [150, 100], [1200, 300], [500, 650], [800, 200], [250, 350],
+];
+
+/**
+ * Record moves on the seeded virtual clock: waits resolve at once, timestamps come from
+ * noiseClock, and a second of stillness separates the moves
+ */
+async function recordMoves(t, options, rounds = 5) {
+  const page = createFakePage();
+  const mouse = new ShyMouse(page, { fatigueEnabled: false, ...options });
+  const trace = [];
+  let offset = 0;
+
+  page.mouse.move = async (x, y) => {
+    trace.push({ t: offset + mouse.noiseClock, type: 'move', x, y });
+  };
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  for (let round = 0; round < rounds; round++) {
+    for (const [x, y] of TARGETS) {
+      await mouse.moveToPosition(x, y);
+      offset += 1000;
+    }
+  }
+
+  t.mock.restoreAll();
+  return trace;
+}
+
+function assertNear(profile, expected, tolerance) {
+  for (const [key, value] of Object.entries(expected)) {
+    assert.ok(Math.abs(profile[key] - value) <= tolerance[key], `${key}: fitted ${profile[key]}, generated with ${value}`);
+  }
+}
+
+const TOLERANCE = {
+  fittsA: 0.03,
+  fittsB: 0.02,
+  typicalPollingInterval: 0.5,
+  microCorrectionFrequency: 0.08,
+  jerkSmoothness: 0.15,
+};
+
+test('calibrateProfile recovers the default settings it was generated with', async t => {
+  const profile = calibrateProfile(await recordMoves(t, { seed: 'calibrate-default' }));
+
+  assertNear(profile, {
+    fittsA: 0.23,
+    fittsB: 0.166,
+    typicalPollingInterval: 10,
+    microCorrectionFrequency: 0.15,
+    jerkSmoothness: 0.85,
+  }, TOLERANCE);
+});
+
+test('calibrateProfile recovers a custom profile it was generated with', async t => {
+  const settings = {
+    fittsA: 0.15,
+    fittsB: 0.12,
+    typicalPollingInterval: 8,
+    microCorrectionFrequency: 0.02,
+    jerkSmoothness: 0.5,
+  };
+  const profile = calibrateProfile(await recordMoves(t, { seed: 'calibrate-custom', profile: settings }));
+
+  assertNear(profile, settings, TOLERANCE);
+});
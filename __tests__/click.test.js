@@ -0,0 +1,222 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { createFakePage } = require('./fakePage.js');
+const { createFakeDom } = require('./fakeDom.js');
+
+const fakeRequest = url => ({ url: () => url, isNavigationRequest: () => false, frame: () => null });
+
+test('click outcome only covers what happens from the press on', async () => {
+  const page = createFakePage();
+  const mouse = new ShyMouse(page, { seed: 'click' });
+  const box = { x: 100, y: 100, width: 80, height: 30 };
+  const element = { evaluate: async () => ({ className: 'button', disabled: false }) };
+
+  // Everything up to the press happens instantly; the approach and the press each send a request
+  mouse.prepareElementForInteraction = async () => ({
+    box, targetBox: box, viewport: { width: 1280, height: 720 }, clip: { x: 0, y: 0, width: 1280, height: 720 }, obstructions: []
+  });
+  mouse.humanReactionDelay = async () => {};
+  mouse.randomDelay = async () => {};
+  mouse.isElementClickable = async () => ({ clickable: true });
+  mouse.postClickBehavior = async () => {};
+  mouse.moveToPosition = async () => page.emit('request', fakeRequest('https://example.com/approach'));
+  page.mouse.down = async () => page.emit('request', fakeRequest('https://example.com/api/cart'));
+
+  const result = await mouse.click(element, {
+    expect: [{ request: '/api/cart' }, { request: '/approach' }],
+    expectTimeout: 0,
+    retries: 0
+  });
+
+  assert.deepStrictEqual(result.conditions, [{ type: 'request', met: true }, { type: 'request', met: false }]);
+});
+
+test('a retry that throws still resolves with the attempts made', async () => {
+  const page = createFakePage();
+  const mouse = new ShyMouse(page, { seed: 'click' });
+  const failure = new ShyMouse.BoundingBoxError('Element bounding box unavailable');
+  let calls = 0;
+
+  mouse.prepareClickRetry = async () => {};
+  mouse.performClick = async (element, options, watcher) => {
+    calls++;
+    if (calls === 2) throw failure;
+    watcher.start();
+    return { point: { x: 1, y: 1 }, stateChanged: false };
+  };
+
+  const result = await mouse.click({}, { expect: { navigation: true }, expectTimeout: 0, retries: 2 });
+
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.attempts, 2);
+  assert.strictEqual(result.error, failure);
+  assert.deepStrictEqual(result.point, { x: 1, y: 1 });
+});
+
+test('a first attempt that throws still rejects', async () => {
+  const mouse = new ShyMouse(createFakePage(), { seed: 'click' });
+  mouse.performClick = async () => {
+    throw new Error('Element is not clickable');
+  };
+
+  await assert.rejects(mouse.click({}, { retries: 2 }), /not clickable/);
+});
+
+test('waitUntil does not wait when the click started no navigation', async () => {
+  const page = createFakePage();
+  const mouse = new ShyMouse(page, { seed: 'click' });
+  let polls = 0;
+
+  mouse.pollDelay = async () => { polls++; };
+  page.waitForLoadState = async () => assert.fail('no navigation to settle');
+
+  await mouse.waitForClickNavigation(mouse.watchClickOutcome(), { waitUntil: 'load' });
+
+  assert.strictEqual(polls, 0);
+});
+
+test('obstructions are scanned once per click unless the page scrolled', async () => {
+  const box = { x: 100, y: 100, width: 80, height: 30 };
+  const viewport = { x: 0, y: 0, width: 1280, height: 720 };
+
+  const prepare = async inView => {
+    const mouse = new ShyMouse(createFakePage(), { seed: 'click' });
+    const scans = [];
+
+    mouse.getViewport = async () => viewport;
+    mouse.getElementBoundingBox = async () => box;
+    mouse.getViewportObstructions = async () => {
+      scans.push('scan');
+      return { insets: { top: 0, bottom: 0 }, safeArea: viewport, boxes: [] };
+    };
+    mouse.isElementInViewport = async () => inView;
+    mouse.scrollToElement = async (element, options, obstructions) => scans.push(obstructions ? 'reused' : 'none');
+    mouse.randomDelay = async () => {};
+    mouse.isElementClickable = async () => ({ clickable: true });
+    mouse.waitForElementStability = async () => box;
+    mouse.getFrameContext = async () => ({ clip: viewport, chain: [] });
+    mouse.disposeFrameContext = async () => {};
+    mouse.getHittableArea = async () => box;
+
+    await mouse.prepareElementForInteraction({});
+    return scans;
+  };
+
+  assert.deepStrictEqual(await prepare(true), ['scan']);
+  assert.deepStrictEqual(await prepare(false), ['scan', 'reused', 'scan']);
+});
+
+test('a mostly covered element is clicked through the strip left free', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  const dom = createFakeDom();
+  const button = dom.element('button', { box: { x: 500, y: 300, width: 200, height: 40 } });
+  const banner = dom.element('div', { id: 'promo', box: { x: 480, y: 280, width: 200, height: 100 } });
+  dom.document.body.append(button, banner);
+
+  const mouse = new ShyMouse(page, { seed: 'covered' });
+  mouse.waitForElementStability = async element => element.boundingBox();
+
+  await mouse.click(dom.locator(button, page), { waitTimeout: 300, validateClick: false });
+
+  // Where the pointer is when the button goes down
+  const [, x, y] = page.events[page.events.findIndex(event => event[0] === 'down') - 1];
+  assert.ok(x >= 680 && x < 700, `pressed at x=${x}`);
+  assert.ok(y >= 300 && y < 340, `pressed at y=${y}`);
+});
+
+test('onOccluded can dismiss the overlay with a nested click', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  const dom = createFakeDom();
+  const button = dom.element('button', { box: { x: 500, y: 300, width: 200, height: 40 } });
+  const banner = dom.element('div', { id: 'cookie-banner', box: { x: 0, y: 240, width: 1280, height: 160 }, style: { position: 'fixed' } });
+  const accept = dom.element('button', { className: 'accept', box: { x: 1000, y: 340, width: 120, height: 40 } });
+  banner.append(accept);
+  dom.document.body.append(button, banner);
+
+  // Pressing "accept" removes the banner
+  const down = page.mouse.down;
+  page.mouse.down = async options => {
+    const [, x, y] = page.events.filter(event => event[0] === 'move').at(-1);
+    const rect = accept.getBoundingClientRect();
+    if (x >= rect.left && x < rect.right && y >= rect.top && y < rect.bottom) {
+      dom.document.body.children.splice(dom.document.body.children.indexOf(banner), 1);
+      banner.parentNode = null;
+    }
+    await down(options);
+  };
+
+  const mouse = new ShyMouse(page, { seed: 'nested', overlay: true });
+  mouse.waitForElementStability = async element => element.boundingBox();
+  mouse.startRecording();
+  const aimedAround = [];
+  const calculateClickTarget = mouse.calculateClickTarget.bind(mouse);
+  mouse.calculateClickTarget = (box, options) => {
+    aimedAround.push(options.obstructions);
+    return calculateClickTarget(box, options);
+  };
+
+  const reports = [];
+  const result = await mouse.click(dom.locator(button, page), {
+    validateClick: false,
+    onOccluded: async report => {
+      reports.push(report.coveringElement.id);
+      await mouse.click(dom.locator(accept, page), { validateClick: false });
+    }
+  });
+
+  assert.deepStrictEqual(reports, ['cookie-banner']);
+  assert.strictEqual(result.success, true);
+  assert.ok(result.point.x >= 500 && result.point.x < 700 && result.point.y >= 300 && result.point.y < 340);
+  assert.deepStrictEqual(mouse.actionStack, []);
+  // The banner was measured again after the hook: nothing left to avoid
+  assert.deepStrictEqual(aimedAround.at(-1), []);
+
+  // Both presses belong to the outer click
+  const presses = mouse.stopRecording().events.filter(event => event.type === 'down');
+  assert.strictEqual(presses.length, 2);
+  assert.ok(presses.every(event => event.action === 'click' && event.actionId === presses[0].actionId));
+});
+
+test('malformed click conditions are rejected by name', async () => {
+  const mouse = new ShyMouse(createFakePage(), { seed: 'click' });
+  mouse.performClick = async () => assert.fail('nothing to click with a bad condition');
+
+  for (const condition of ['navigation', 42, null, { colour: 'red' }]) {
+    await assert.rejects(mouse.click({}, { expect: condition === null ? [null] : condition }), /Unknown click condition/);
+  }
+});
+
+test('click sends the button, click count and modifiers it was given', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  const dom = createFakeDom();
+  const button = dom.element('button', { box: { x: 500, y: 300, width: 200, height: 40 } });
+  dom.document.body.append(button);
+  const mouse = new ShyMouse(page, { seed: 'options' });
+  mouse.waitForElementStability = async element => element.boundingBox();
+
+  await mouse.click(dom.locator(button, page), { button: 'right', clickCount: 2, modifiers: ['Control', 'Shift'], validateClick: false });
+
+  const input = page.events.filter(event => event[0] !== 'move');
+  assert.deepStrictEqual(input, [
+    ['keydown', 'Control'],
+    ['keydown', 'Shift'],
+    ['down', { button: 'right', clickCount: 1 }],
+    ['up', { button: 'right', clickCount: 1 }],
+    ['down', { button: 'right', clickCount: 2 }],
+    ['up', { button: 'right', clickCount: 2 }],
+    ['keyup', 'Shift'],
+    ['keyup', 'Control']
+  ]);
+
+  // The second press lands next to the first one, not on a new target
+  const presses = page.events.map((event, i) => event[0] === 'down' ? page.events[i - 1] : null).filter(Boolean);
+  assert.ok(Math.hypot(presses[1][1] - presses[0][1], presses[1][2] - presses[0][2]) < 5);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const { ShyMouseContext } = require('../ShyMouse.js');
+const { createFakePage } = require('./fakePage.js');
+
+// A page whose window sits at screenX/screenY (no browser chrome)
+function createWindowPage(screenX, screenY) {
+  const page = createFakePage();
+  const emitter = new EventEmitter();
+  page.once = (event, handler) => emitter.once(event, handler);
+  page.close = () => emitter.emit('close');
+  page.evaluate = async () => ({ contentX: screenX, contentY: screenY, width: 1280, height: 720 });
+  return page;
+}
+
+test('popups opened in the context are registered with the cursor mapped onto them', async () => {
+  const context = new EventEmitter();
+  const pointer = new ShyMouseContext(context, { seed: 'context' });
+  const opener = createWindowPage(0, 0);
+  const popup = createWindowPage(200, 100);
+
+  const mouse = await pointer.get(opener);
+  mouse.lastPos = { x: 500, y: 300 };
+
+  context.emit('page', popup);
+  const popupMouse = await pointer.register(popup);
+
+  assert.strictEqual(pointer.mice.get(popup), popupMouse);
+  assert.deepStrictEqual(popupMouse.lastPos, { x: 300, y: 200 });
+  assert.strictEqual(pointer.activePage, opener);
+  assert.strictEqual(await pointer.get(popup), popupMouse);
+
+  popup.close();
+  assert.strictEqual(pointer.mice.has(popup), false);
+  assert.strictEqual(pointer.activePage, null);
+});
+
+test('dispose stops registering new pages', async () => {
+  const context = new EventEmitter();
+  const pointer = new ShyMouseContext(context);
+  pointer.dispose();
+
+  context.emit('page', createWindowPage(0, 0));
+
+  assert.strictEqual(pointer.mice.size, 0);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { BoundingBoxError } = ShyMouse;
+const { createFakePage } = require('./fakePage.js');
+const { createFakeDom } = require('./fakeDom.js');
+
+const inside = ([, x, y], { x: left, y: top, width, height }) => x >= left && x < left + width && y >= top && y < top + height;
+
+function createBoard() {
+  const page = createFakePage();
+  const dom = createFakeDom();
+  const card = dom.element('div', { box: { x: 100, y: 200, width: 120, height: 80 } });
+  const column = dom.element('div', { box: { x: 800, y: 150, width: 200, height: 400 } });
+  dom.document.body.append(card, column);
+
+  const mouse = new ShyMouse(page, { seed: 'drag' });
+  mouse.waitForElementStability = async element => element.boundingBox();
+  return { page, dom, card, column, mouse };
+}
+
+test('dragAndDrop grabs the source, breaks the drag threshold slowly and drops on the target', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+  const { page, dom, card, column, mouse } = createBoard();
+
+  await mouse.dragAndDrop(dom.locator(card, page), dom.locator(column, page));
+
+  const down = page.events.findIndex(event => event[0] === 'down');
+  const up = page.events.findIndex(event => event[0] === 'up');
+  assert.ok(down > 0 && up > down);
+  assert.strictEqual(page.events.filter(event => event[0] === 'down').length, 1);
+
+  const grab = page.events[down - 1];
+  assert.ok(inside(grab, card.box), `grabbed at ${grab.slice(1)}`);
+  assert.ok(inside(page.events[up - 1], column.box), `dropped at ${page.events[up - 1].slice(1)}`);
+
+  // The first moves with the button down stay within a few pixels of the grab point
+  const pull = page.events[down + 1];
+  assert.ok(Math.hypot(pull[1] - grab[1], pull[2] - grab[2]) < 8, `first pull ${pull.slice(1)}`);
+  assert.ok(inside(['lastPos', mouse.lastPos.x, mouse.lastPos.y], column.box));
+});
+
+test('dragAndDrop releases the button when the drop target is gone', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+  const { page, dom, card, mouse } = createBoard();
+  mouse.pollDelay = async () => {};
+
+  await assert.rejects(mouse.dragAndDrop(dom.locator(card, page), { boundingBox: async () => null, evaluate: async () => null }), BoundingBoxError);
+
+  assert.deepStrictEqual(page.events.filter(event => event[0] === 'down' || event[0] === 'up').map(event => event[0]), ['down', 'up']);
+});
+
+test('dragAndDrop accepts a point as the drop target', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+  const { page, dom, card, mouse } = createBoard();
+
+  await mouse.dragAndDrop(dom.locator(card, page), { x: 640, y: 360 });
+
+  const up = page.events.findIndex(event => event[0] === 'up');
+  const [, x, y] = page.events[up - 1];
+  assert.ok(Math.hypot(x - 640, y - 360) < 5, `dropped at ${x},${y}`);
+});
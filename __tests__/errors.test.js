@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { ShyMouseError, BoundingBoxError, NotClickableError, UnstableElementError, UnsupportedInputError } = ShyMouse;
+const { createFakePage } = require('./fakePage.js');
+const { createFakeDom } = require('./fakeDom.js');
+
+const viewport = { x: 0, y: 0, width: 1280, height: 720 };
+const box = { x: 100, y: 100, width: 80, height: 30 };
+
+function createPreparedMouse(options = {}) {
+  const page = createFakePage();
+  const mouse = new ShyMouse(page, { seed: 'errors', ...options });
+  mouse.prepareElementForInteraction = async () => ({ box, targetBox: box, viewport, clip: viewport, obstructions: [] });
+  mouse.humanReactionDelay = async () => {};
+  mouse.randomDelay = async () => {};
+  mouse.isElementClickable = async () => ({ clickable: true });
+  return { page, mouse };
+}
+
+test('a right-click with touch input is an UnsupportedInputError', async () => {
+  const { mouse } = createPreparedMouse({ inputDevice: 'touch' });
+
+  await assert.rejects(mouse.click({}, { button: 'right' }), error => {
+    assert.ok(error instanceof UnsupportedInputError);
+    assert.ok(error instanceof ShyMouseError);
+    assert.deepStrictEqual(error.box, box);
+    return true;
+  });
+});
+
+test('a failing press keeps the original error as cause', async () => {
+  const { page, mouse } = createPreparedMouse();
+  const failure = new Error('Target page, context or browser has been closed');
+  mouse.moveToPosition = async () => {};
+  page.mouse.down = async () => { throw failure; };
+
+  await assert.rejects(mouse.click({ evaluate: async () => null }), error => {
+    assert.strictEqual(error.constructor, ShyMouseError);
+    assert.strictEqual(error.cause, failure);
+    assert.match(error.message, /^Click failed: Target page/);
+    return true;
+  });
+});
+
+test('an element without a bounding box is a BoundingBoxError', async () => {
+  const mouse = new ShyMouse(createFakePage(), { seed: 'errors' });
+  mouse.pollDelay = async () => {};
+
+  await assert.rejects(mouse.click({ boundingBox: async () => null }), error => {
+    assert.ok(error instanceof BoundingBoxError);
+    assert.strictEqual(error.viewport.width, 1280);
+    assert.strictEqual(error.attempts, 3);
+    return true;
+  });
+});
+
+test('a fully covered element is a NotClickableError naming what covers it', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  const dom = createFakeDom();
+  const button = dom.element('button', { box: { x: 500, y: 300, width: 200, height: 40 } });
+  const modal = dom.element('div', { id: 'modal', className: 'backdrop open', box: { x: 0, y: 0, width: 1280, height: 720 } });
+  dom.document.body.append(button, modal);
+  const mouse = new ShyMouse(page, { seed: 'errors' });
+
+  await assert.rejects(mouse.click(dom.locator(button, page), { waitTimeout: 200 }), error => {
+    assert.ok(error instanceof NotClickableError);
+    assert.match(error.message, /\(covered\)/);
+    assert.strictEqual(error.coveringElement.id, 'modal');
+    assert.deepStrictEqual(error.coveringElement.classes, ['backdrop', 'open']);
+    assert.strictEqual(error.occlusion.coveredPercent, 100);
+    assert.strictEqual(error.occlusion.hittableArea, null);
+    assert.ok(error.waitTimes.clickable >= 0);
+    return true;
+  });
+});
+
+test('an element that keeps moving is an UnstableElementError', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  const dom = createFakeDom();
+  const button = dom.element('button', { box: { x: 500, y: 300, width: 200, height: 40 } });
+  dom.document.body.append(button);
+  const mouse = new ShyMouse(page, { seed: 'errors' });
+  mouse.waitForElementStability = async () => null;
+
+  await assert.rejects(mouse.click(dom.locator(button, page)), UnstableElementError);
+});
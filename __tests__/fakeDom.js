@@ -0,0 +1,291 @@
+/**
+ * Minimal stand-in for the DOM that element.evaluate callbacks run against
+ *
+ * Elements are absolutely laid out boxes (document coordinates, before any scrolling). Later
+ * elements in tree order paint on top, fixed elements ignore the window scroll, containers with
+ * overflow auto/scroll move their children by scrollLeft/scrollTop and clip hit-testing to their
+ * box. Locators returned by createFakeDom run evaluate callbacks with window, document, Element
+ * and ShadowRoot set; attach(page) routes page.evaluate and page.mouse.wheel to the document.
+ */
+const DEFAULT_STYLE = {
+  display: 'block',
+  visibility: 'visible',
+  opacity: '1',
+  pointerEvents: 'auto',
+  position: 'static',
+  top: 'auto',
+  bottom: 'auto',
+  overflow: 'visible',
+  overflowX: 'visible',
+  overflowY: 'visible',
+  borderTopLeftRadius: '0px',
+  borderTopRightRadius: '0px',
+  borderBottomLeftRadius: '0px',
+  borderBottomRightRadius: '0px',
+};
+
+class FakeElement {
+  constructor(dom, tag, { box = { x: 0, y: 0, width: 0, height: 0 }, style = {}, id = '', className = '', scrollSize = null, ignoresWheel = false, text = '' } = {}) {
+    this.dom = dom;
+    this.tagName = tag.toUpperCase();
+    this.box = box;
+    this.style = { ...DEFAULT_STYLE, ...style };
+    this.id = id;
+    this.className = className;
+    this.children = [];
+    this.parentNode = null;
+    this.shadowRoot = null;
+    this.assignedSlot = null;
+    this.disabled = false;
+    this.clientLeft = 0;
+    this.clientTop = 0;
+    this.scrollLeft = 0;
+    this.scrollTop = 0;
+    this.scrollSize = scrollSize;
+    this.ignoresWheel = ignoresWheel;
+    this.text = text;
+  }
+
+  get parentElement() {
+    return this.parentNode instanceof FakeElement ? this.parentNode : null;
+  }
+
+  get isConnected() {
+    let node = this;
+    while (node) {
+      if (node === this.dom.document.documentElement) return true;
+      node = node instanceof FakeShadowRoot ? node.host : node.parentNode;
+    }
+    return false;
+  }
+
+  get clientWidth() {
+    return this.box.width;
+  }
+
+  get clientHeight() {
+    return this.box.height;
+  }
+
+  get scrollWidth() {
+    return this.scrollSize?.width ?? this.box.width;
+  }
+
+  get scrollHeight() {
+    return this.scrollSize?.height ?? this.box.height;
+  }
+
+  get textContent() {
+    return [this.text, ...this.children.map(child => child.textContent)].filter(Boolean).join(' ');
+  }
+
+  get scrolls() {
+    return /(auto|scroll)/.test(this.style.overflow + this.style.overflowX + this.style.overflowY);
+  }
+
+  append(...children) {
+    for (const child of children) {
+      child.parentNode = this;
+      this.children.push(child);
+    }
+    return this;
+  }
+
+  attachShadow() {
+    this.shadowRoot = new FakeShadowRoot(this);
+    return this.shadowRoot;
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+
+  getBoundingClientRect() {
+    let left = this.box.x;
+    let top = this.box.y;
+
+    // Moved by every scroll container above it, and by the window unless fixed
+    for (let parent = this.parentElement; parent; parent = parent.parentElement) {
+      if (parent.scrolls) {
+        left -= parent.scrollLeft;
+        top -= parent.scrollTop;
+      }
+    }
+    if (this.style.position !== 'fixed') {
+      left -= this.dom.window.scrollX;
+      top -= this.dom.window.scrollY;
+    }
+
+    return {
+      x: left, y: top, left, top,
+      width: this.box.width, height: this.box.height,
+      right: left + this.box.width, bottom: top + this.box.height,
+    };
+  }
+
+  // Tag name selectors only ('h2,p')
+  querySelectorAll(selector) {
+    const tags = selector.split(',').map(tag => tag.trim().toUpperCase());
+    const matches = [];
+    const visit = node => {
+      if (tags.includes(node.tagName)) matches.push(node);
+      node.children.forEach(visit);
+    };
+    this.children.forEach(visit);
+    return matches;
+  }
+
+  closest() {
+    return null;
+  }
+}
+
+class FakeShadowRoot {
+  constructor(host) {
+    this.host = host;
+    this.children = [];
+  }
+
+  append(...children) {
+    for (const child of children) {
+      child.parentNode = this;
+      this.children.push(child);
+    }
+    return this;
+  }
+
+  elementFromPoint(x, y) {
+    return hitTest(this.children, x, y)[0] ?? null;
+  }
+
+  elementsFromPoint(x, y) {
+    return hitTest(this.children, x, y);
+  }
+}
+
+const within = (x, y, rect) => x >= rect.left && x < rect.right && y >= rect.top && y < rect.bottom;
+
+// Elements under a point, topmost first; hits inside a shadow tree are retargeted to its host
+function hitTest(roots, x, y) {
+  const hits = [];
+  const visit = node => {
+    const rect = node.getBoundingClientRect();
+    const inShadow = node.shadowRoot && hitTest(node.shadowRoot.children, x, y).length > 0;
+    if (node.style.display !== 'none' && node.style.pointerEvents !== 'none' &&
+        (within(x, y, rect) || inShadow)) {
+      hits.unshift(node);
+    }
+    // Scroll containers clip their children
+    if (!node.scrolls || within(x, y, rect)) {
+      node.children.forEach(visit);
+    }
+  };
+  roots.forEach(visit);
+  return hits;
+}
+
+function createFakeDom(viewport = { width: 1280, height: 720 }, documentSize = viewport) {
+  const dom = {};
+
+  dom.window = {
+    innerWidth: viewport.width,
+    innerHeight: viewport.height,
+    scrollX: 0,
+    scrollY: 0,
+    devicePixelRatio: 1,
+    getComputedStyle: el => ({ ...el.style }),
+  };
+
+  const documentElement = new FakeElement(dom, 'html', { box: { x: 0, y: 0, ...viewport }, scrollSize: documentSize });
+  const body = new FakeElement(dom, 'body', { box: { x: 0, y: 0, ...viewport } });
+  documentElement.append(body);
+
+  dom.document = {
+    documentElement,
+    body,
+    scrollingElement: documentElement,
+    elementFromPoint: (x, y) => hitTest([body], x, y)[0] ?? null,
+    elementsFromPoint: (x, y) => hitTest([body], x, y),
+  };
+
+  dom.element = (tag, options) => new FakeElement(dom, tag, options);
+
+  // Run a page function the way element.evaluate would
+  dom.run = async (fn, ...args) => {
+    const saved = ['window', 'document', 'Element', 'ShadowRoot'].map(name => [name, global[name]]);
+    Object.assign(global, {
+      window: dom.window,
+      document: dom.document,
+      Element: FakeElement,
+      ShadowRoot: FakeShadowRoot,
+    });
+    try {
+      return await fn(...args);
+    } finally {
+      for (const [name, value] of saved) {
+        if (value === undefined) delete global[name];
+        else global[name] = value;
+      }
+    }
+  };
+
+  // Locators passed inside an evaluate argument arrive as their elements
+  const unwrap = arg => {
+    if (arg?.el instanceof FakeElement) return arg.el;
+    if (!arg || typeof arg !== 'object' || Array.isArray(arg)) return arg;
+    return Object.fromEntries(Object.entries(arg).map(([key, value]) => [key, value?.el instanceof FakeElement ? value.el : value]));
+  };
+
+  // Locator-like wrapper of an element, also standing in for element handles
+  dom.locator = (el, page) => ({
+    el,
+    evaluate: (fn, arg) => dom.run(fn, el, unwrap(arg)),
+    evaluateHandle: async fn => {
+      const result = await dom.run(fn, el);
+      return {
+        getProperties: async () => new Map(result.map((item, index) => [String(index), {
+          asElement: () => dom.locator(item, page),
+          dispose: async () => {},
+        }])),
+        dispose: async () => {},
+      };
+    },
+    boundingBox: async () => {
+      const rect = el.getBoundingClientRect();
+      return { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
+    },
+    ownerFrame: async () => page.mainFrame(),
+    dispose: async () => {},
+  });
+
+  // The page evaluates in this document and the wheel scrolls whatever is under the pointer
+  dom.attach = page => {
+    page.evaluate = page.frame.evaluate = (fn, arg) => dom.run(fn, unwrap(arg));
+    page.mouse.wheel = async (deltaX, deltaY) => {
+      page.events.push(['wheel', deltaX, deltaY]);
+      const [, x, y] = page.events.filter(event => event[0] === 'move').at(-1) ?? ['move', 0, 0];
+      const scroll = (position, delta, max) => Math.max(0, Math.min(max, position + delta));
+
+      const hit = dom.document.elementFromPoint(x, y);
+      for (let node = hit; node && node !== body; node = node.parentElement) {
+        if (node.scrolls && (node.scrollHeight > node.clientHeight || node.scrollWidth > node.clientWidth)) {
+          if (!node.ignoresWheel) {
+            node.scrollLeft = scroll(node.scrollLeft, deltaX, node.scrollWidth - node.clientWidth);
+            node.scrollTop = scroll(node.scrollTop, deltaY, node.scrollHeight - node.clientHeight);
+          }
+          return;
+        }
+      }
+      dom.window.scrollX = scroll(dom.window.scrollX, deltaX, documentSize.width - viewport.width);
+      dom.window.scrollY = scroll(dom.window.scrollY, deltaY, documentSize.height - viewport.height);
+    };
+    return page;
+  };
+
+  return dom;
+}
+
+module.exports = { createFakeDom };
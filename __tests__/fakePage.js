@@ -0,0 +1,48 @@
+/**
+ * Minimal stand-in for a Playwright Page: a fixed viewport and a log of input events
+ */
+function createFakePage(viewport = { width: 1280, height: 720 }) {
+  const events = [];
+  const handlers = {};
+
+  const page = {
+    events,
+    on(event, handler) {
+      (handlers[event] = handlers[event] ?? []).push(handler);
+    },
+    off(event, handler) {
+      handlers[event] = (handlers[event] ?? []).filter(h => h !== handler);
+    },
+    emit(event, ...args) {
+      (handlers[event] ?? []).forEach(handler => handler(...args));
+    },
+    url: () => 'https://example.com/',
+    mainFrame: () => page.frame,
+    context: () => ({ pages: () => [page], on() {} }),
+    evaluate: async () => ({
+      width: viewport.width,
+      height: viewport.height,
+      scrollX: 0,
+      scrollY: 0,
+      devicePixelRatio: 1,
+      documentWidth: viewport.width,
+      documentHeight: viewport.height,
+    }),
+    mouse: {
+      move: async (x, y) => events.push(['move', x, y]),
+      down: async options => events.push(['down', options]),
+      up: async options => events.push(['up', options]),
+      wheel: async (deltaX, deltaY) => events.push(['wheel', deltaX, deltaY]),
+    },
+    keyboard: {
+      down: async key => events.push(['keydown', key]),
+      up: async key => events.push(['keyup', key]),
+      insertText: async text => events.push(['insertText', text]),
+    },
+  };
+  page.frame = { page: () => page, parentFrame: () => null, url: page.url };
+
+  return page;
+}
+
+module.exports = { createFakePage };
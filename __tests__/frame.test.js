@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { createFakePage } = require('./fakePage.js');
+const { createFakeDom } = require('./fakeDom.js');
+
+// A page with one iframe whose content box is `frameBox` (main-viewport coordinates)
+function createFramedPage(frameBox) {
+  const page = createFakePage();
+  const main = createFakeDom();
+  const iframe = main.element('iframe', { box: frameBox });
+  main.document.body.append(iframe);
+
+  const inner = createFakeDom({ width: frameBox.width, height: frameBox.height });
+  const frame = {
+    page: () => page,
+    parentFrame: () => page.frame,
+    url: () => 'https://example.com/frame',
+    frameElement: async () => ({ ...main.locator(iframe, page), dispose: async () => {} }),
+  };
+
+  // Locators inside the frame: measured in the main viewport, evaluated in the frame document
+  const locator = el => ({
+    ...inner.locator(el, page),
+    ownerFrame: async () => frame,
+    boundingBox: async () => {
+      const rect = el.getBoundingClientRect();
+      return { x: rect.left + frameBox.x, y: rect.top + frameBox.y, width: rect.width, height: rect.height };
+    },
+  });
+
+  return { page, inner, locator };
+}
+
+test('clicks inside an iframe land in the part the iframe shows', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const { page, inner, locator } = createFramedPage({ x: 300, y: 200, width: 400, height: 200 });
+  // Frame coordinates: the button sticks out past the iframe's right edge
+  const button = inner.element('button', { box: { x: 250, y: 80, width: 300, height: 60 } });
+  inner.document.body.append(button);
+
+  const mouse = new ShyMouse(page, { seed: 'frame' });
+  mouse.waitForElementStability = async element => element.boundingBox();
+
+  await mouse.click(locator(button), { validateClick: false });
+
+  const [, x, y] = page.events[page.events.findIndex(event => event[0] === 'down') - 1];
+  assert.ok(x >= 550 && x < 700, `pressed at x=${x}`);
+  assert.ok(y >= 280 && y < 340, `pressed at y=${y}`);
+});
+
+test('an element scrolled out of its iframe is not in the viewport', async () => {
+  const { page, inner, locator } = createFramedPage({ x: 300, y: 100, width: 400, height: 200 });
+  // Inside the main viewport, but below the iframe's visible area
+  const link = inner.element('a', { box: { x: 20, y: 400, width: 100, height: 20 } });
+  const visible = inner.element('a', { box: { x: 20, y: 40, width: 100, height: 20 } });
+  inner.document.body.append(link, visible);
+
+  const mouse = new ShyMouse(page, { seed: 'frame' });
+
+  assert.strictEqual(await mouse.isElementInViewport(locator(link), 0), false);
+  assert.strictEqual(await mouse.isElementInViewport(locator(visible), 0), true);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { createFakePage } = require('./fakePage.js');
+
+test('hoverPath keeps the move into a submenu inside the parent menu and the submenu', async () => {
+  const mouse = new ShyMouse(createFakePage(), { seed: 'hover' });
+  const item = { box: { x: 100, y: 100, width: 120, height: 30 }, menu: { x: 100, y: 60, width: 120, height: 200 } };
+  const subitem = { box: { x: 230, y: 180, width: 140, height: 30 }, menu: { x: 220, y: 150, width: 160, height: 120 } };
+  const corridors = [];
+
+  mouse.hover = async () => { mouse.lastPos = { x: 160, y: 115 }; };
+  mouse.isElementClickable = async () => true;
+  mouse.getElementBoundingBox = async element => element.box;
+  mouse.getMenuContainerBox = async element => element.menu;
+  mouse.dwell = async () => {};
+  mouse.moveToPosition = async (x, y, options) => {
+    corridors.push(options.corridor);
+    mouse.lastPos = { x, y };
+  };
+
+  await mouse.hoverPath([item, subitem]);
+
+  assert.deepStrictEqual(corridors.at(-1), { x: 100, y: 60, width: 280, height: 210 });
+});
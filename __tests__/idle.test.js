@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { createFakePage } = require('./fakePage.js');
+
+test('idle activity leaves the seeded motion stream untouched', async () => {
+  const fresh = new ShyMouse(createFakePage(), { seed: 'idle' });
+
+  const idlePage = createFakePage();
+  const idled = new ShyMouse(idlePage, { seed: 'idle' });
+  idled.startIdle({ minInterval: 20, maxInterval: 40, microWeight: 0.3, driftWeight: 0.7 });
+  await new Promise(resolve => setTimeout(resolve, 1500));
+  await idled.stopIdle();
+
+  assert.ok(idlePage.events.length > 0, 'idle produced no events');
+
+  const draws = mouse => Array.from({ length: 5 }, () => mouse.random());
+  assert.deepStrictEqual(draws(idled), draws(fresh));
+});
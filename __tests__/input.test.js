@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { createFakePage } = require('./fakePage.js');
+const { createFakeDom } = require('./fakeDom.js');
+
+// A page 2000px tall with a heading that needs about 800px of scrolling
+function createScrollPage() {
+  const page = createFakePage();
+  const dom = createFakeDom({ width: 1280, height: 720 }, { width: 1280, height: 2000 });
+  const heading = dom.element('h2', { box: { x: 100, y: 1140, width: 400, height: 40 } });
+  dom.document.body.append(heading);
+  dom.attach(page);
+  return { page, dom, heading: dom.locator(heading, page) };
+}
+
+// CDP session that scrolls the window by the finger's travel between touchStart and touchEnd
+function attachTouchSession(page, dom) {
+  const touches = [];
+  let start = null;
+  let last = null;
+  const session = {
+    send: async (method, { type, touchPoints }) => {
+      touches.push([type, ...touchPoints.map(({ x, y }) => ({ x, y }))]);
+      if (type === 'touchStart') start = touchPoints[0];
+      if (type === 'touchMove') last = touchPoints[0];
+      if (type === 'touchEnd') {
+        dom.window.scrollY = Math.max(0, Math.min(1280, dom.window.scrollY + start.y - last.y));
+      }
+    }
+  };
+  page.context = () => ({ pages: () => [page], on() {}, newCDPSession: async () => session });
+  return touches;
+}
+
+test('trackpad scrolling sends whole-pixel deltas that build up and decay after the lift', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const { page, dom, heading } = createScrollPage();
+  const mouse = new ShyMouse(page, { seed: 'trackpad', inputDevice: 'trackpad' });
+  await mouse.scrollToElement(heading);
+
+  const deltas = page.events.filter(([type]) => type === 'wheel').map(([, , deltaY]) => deltaY);
+  const peak = deltas.indexOf(Math.max(...deltas));
+
+  assert.ok(deltas.length > 30, `${deltas.length} deltas`);
+  assert.ok(deltas.every(Number.isInteger));
+  // Rises to the release speed, then every inertia delta is at most the one before (±1 rounding)
+  // until the inertia has faded (a short second gesture may follow to settle the rest)
+  const faded = deltas.indexOf(1, peak);
+  assert.ok(peak > 2 && faded > peak + 10, `peak at ${peak}, faded at ${faded}`);
+  deltas.slice(peak + 1, faded).forEach((delta, i) => assert.ok(delta <= deltas[peak + i] + 1, `delta ${peak + i + 1}`));
+  assert.ok(Math.abs(dom.window.scrollY - 800) < 30, `scrolled to ${dom.window.scrollY}`);
+});
+
+test('touch scrolling swipes against the scroll direction instead of using the wheel', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const { page, dom, heading } = createScrollPage();
+  const touches = attachTouchSession(page, dom);
+  const mouse = new ShyMouse(page, { seed: 'swipe', inputDevice: 'touch' });
+  await mouse.scrollToElement(heading);
+
+  assert.ok(!page.events.some(([type]) => type === 'wheel' || type === 'move'));
+  assert.strictEqual(touches[0][0], 'touchStart');
+  assert.strictEqual(touches.at(-1)[0], 'touchEnd');
+
+  // Scrolling down: the finger moves up the screen
+  const moves = touches.filter(([type]) => type === 'touchMove');
+  assert.ok(moves.at(-1)[1].y < touches[0][1].y);
+  const rect = await heading.boundingBox();
+  assert.ok(rect.y >= 0 && rect.y + rect.height <= 720, `heading at y ${rect.y}`);
+});
+
+test('touch scrolling falls back to inertia scrolling without a CDP session', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const { page, dom, heading } = createScrollPage();
+  page.context = () => ({ pages: () => [page], on() {}, newCDPSession: async () => { throw new Error('CDP session is only available in Chromium'); } });
+  const mouse = new ShyMouse(page, { seed: 'fallback', inputDevice: 'touch' });
+  await mouse.scrollToElement(heading);
+
+  assert.strictEqual(mouse.touchSession, null);
+  assert.ok(page.events.some(([type]) => type === 'wheel'));
+  assert.ok(Math.abs(dom.window.scrollY - 800) < 30, `scrolled to ${dom.window.scrollY}`);
+});
+
+test('touch clicks tap the target without moving a pointer', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  page.touchscreen = { tap: async (x, y) => page.events.push(['tap', x, y]) };
+  const mouse = new ShyMouse(page, { seed: 'tap', inputDevice: 'touch' });
+  const box = { x: 100, y: 100, width: 80, height: 30 };
+  const viewport = { x: 0, y: 0, width: 1280, height: 720 };
+  mouse.prepareElementForInteraction = async () => ({ box, targetBox: box, viewport, clip: viewport, obstructions: [] });
+  mouse.isElementClickable = async () => ({ clickable: true });
+
+  await mouse.click({ evaluate: async () => null }, { clickCount: 2 });
+
+  const taps = page.events.filter(([type]) => type === 'tap');
+  assert.strictEqual(taps.length, 2);
+  assert.ok(!page.events.some(([type]) => ['move', 'down', 'up'].includes(type)));
+  for (const [, x, y] of taps) {
+    assert.ok(x >= 90 && x <= 190 && y >= 90 && y <= 140, `tap at ${x}, ${y}`);
+  }
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { createFakePage } = require('./fakePage.js');
+
+test('press releases its modifiers when the key press fails', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  const down = page.keyboard.down;
+  page.keyboard.down = async key => {
+    if (key === 'a') throw new Error('Target page, context or browser has been closed');
+    await down(key);
+  };
+  const mouse = new ShyMouse(page, { seed: 'keys' });
+
+  await assert.rejects(mouse.press('Control+Shift+a'), /has been closed/);
+
+  assert.deepStrictEqual(page.events, [['keydown', 'Control'], ['keydown', 'Shift'], ['keyup', 'Shift'], ['keyup', 'Control']]);
+  assert.deepStrictEqual(mouse.actionStack, []);
+});
+
+test('typing an uppercase letter releases Shift when the key press fails', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  page.keyboard.up = async key => {
+    if (key === 'q') throw new Error('Target page, context or browser has been closed');
+    page.events.push(['keyup', key]);
+  };
+  const mouse = new ShyMouse(page, { seed: 'keys' });
+
+  await assert.rejects(mouse.typeCharacter('Q'), /has been closed/);
+
+  assert.deepStrictEqual(page.events, [['keydown', 'Shift'], ['keydown', 'q'], ['keyup', 'Shift']]);
+});
+
+// Text a field ends up with after the recorded key events (letters, digits, space, Backspace, select all)
+function typedText(events) {
+  let text = '';
+  let selected = false;
+  const held = new Set();
+
+  for (const [type, key] of events) {
+    if (type === 'insertText') {
+      text += key;
+    } else if (type === 'keyup') {
+      held.delete(key);
+    } else if (type === 'keydown') {
+      held.add(key);
+      if (key.toLowerCase() === 'a' && (held.has('ControlOrMeta') || held.has('Control'))) {
+        selected = true;
+      } else if (key === 'Backspace') {
+        text = selected ? '' : text.slice(0, -1);
+        selected = false;
+      } else if (key.length === 1) {
+        text += held.has('Shift') ? key.toUpperCase() : key;
+      }
+    }
+  }
+  return text;
+}
+
+test('type corrects its typos and ends with the exact text', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  const mouse = new ShyMouse(page, { seed: 'typing' });
+
+  await mouse.type(null, 'Hello World from Shy Mouse', { click: false, typoProbability: 0.3 });
+
+  assert.strictEqual(typedText(page.events), 'Hello World from Shy Mouse');
+  assert.ok(page.events.some(([type, key]) => type === 'keydown' && key === 'Backspace'), 'no typo was made');
+});
+
+test('type holds Shift for shifted symbols and inserts characters outside the layout', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  const mouse = new ShyMouse(page, { seed: 'typing' });
+
+  await mouse.type(null, '!é', { click: false, typoProbability: 0 });
+
+  assert.deepStrictEqual(page.events, [
+    ['keydown', 'Shift'], ['keydown', '1'], ['keyup', '1'], ['keyup', 'Shift'],
+    ['insertText', 'é']
+  ]);
+});
+
+test('fill selects and deletes the old value before typing', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  page.events.push(['insertText', 'old value']);
+  const mouse = new ShyMouse(page, { seed: 'typing' });
+
+  await mouse.fill(null, 'new', { click: false, typoProbability: 0 });
+
+  assert.strictEqual(typedText(page.events), 'new');
+  assert.deepStrictEqual(mouse.actionStack, []);
+});
+
+test('keystrokes are faster for common digraphs than for awkward pairs', () => {
+  const mouse = new ShyMouse(createFakePage(), { seed: 'typing' });
+
+  const mean = (a, b) => Array.from({ length: 50 }, () => mouse.calculateKeystrokeDelay(a, b)).reduce((sum, d) => sum + d) / 50;
+
+  // Alternating hands on a common digraph vs. the same finger changing rows
+  assert.ok(mean('t', 'h') < mean('q', 'a') * 0.6);
+});
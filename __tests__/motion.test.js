@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { MotionModel } = ShyMouse;
+const { createFakePage } = require('./fakePage.js');
+
+const viewport = { width: 1280, height: 720 };
+
+test('a custom motion model drives the moves and their timing', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  class StraightModel extends MotionModel {
+    generatePath(startX, startY, targetX, targetY) {
+      const points = [];
+      for (let i = 1; i <= 10; i++) {
+        points.push({ x: startX + (targetX - startX) * i / 10, y: startY + (targetY - startY) * i / 10 });
+      }
+      return { points, finalPos: { x: targetX, y: targetY }, targetDrift: null, velocityProfile: null };
+    }
+
+    getPollingDelay(phase) {
+      phases.push(phase);
+      return 8;
+    }
+  }
+  const phases = [];
+  const model = new StraightModel();
+
+  const page = createFakePage();
+  const mouse = new ShyMouse(page, { seed: 'custom', motionModel: model });
+  assert.strictEqual(model.mouse, mouse);
+
+  mouse.lastPos = { x: 100, y: 100 };
+  await mouse.moveToPosition(600, 400);
+
+  const moves = page.events.filter(([type]) => type === 'move');
+  assert.strictEqual(moves.length, 10);
+  assert.deepStrictEqual(phases, [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9]);
+  assert.deepStrictEqual(mouse.lastPos, { x: 600, y: 400 });
+});
+
+test('a motion model without generatePath or getPollingDelay is rejected', () => {
+  assert.throws(() => new ShyMouse(createFakePage(), { motionModel: { generatePath() {} } }),
+    /motionModel must implement generatePath\(\) and getPollingDelay\(\)/);
+  assert.throws(() => new MotionModel().generatePath(0, 0, 1, 1, null, viewport, {}), /not implemented/);
+});
+
+test('the default model overshoots the target and corrects back onto it', () => {
+  const mouse = new ShyMouse(null, { seed: 'overshoot' });
+  mouse.config.attentionSpan = 0.85;
+  // Overshoot scales with the target size
+  const box = { x: 700, y: 350, width: 200, height: 100 };
+
+  const { points, finalPos } = mouse.motionModel.generatePath(100, 100, 800, 400, box, viewport, { overshootProb: 1 });
+
+  // Projection onto the movement direction goes past the target, the path ends back on it
+  const direction = { x: 700 / Math.hypot(700, 300), y: 300 / Math.hypot(700, 300) };
+  const reach = Math.max(...points.map(p => (p.x - 100) * direction.x + (p.y - 100) * direction.y));
+  assert.ok(reach > Math.hypot(700, 300) + 5, `reached ${reach.toFixed(1)}`);
+  assert.deepStrictEqual(finalPos, { x: 800, y: 400 });
+  assert.ok(Math.hypot(points.at(-1).x - 800, points.at(-1).y - 400) < 10);
+});
+
+test('the default velocity profile peaks around velocityPeak and slows down towards the target', () => {
+  const mouse = new ShyMouse(null, { seed: 'velocity' });
+
+  for (let run = 0; run < 20; run++) {
+    const profile = mouse.motionModel.generateVelocityProfile(60, 500);
+    const peak = profile.indexOf(Math.max(...profile)) / profile.length;
+
+    assert.ok(peak > 0.25 && peak < 0.65, `peak at ${peak}`);
+    assert.ok(profile[0] < 0.6 && profile.at(-1) < 0.3);
+  }
+
+  const early = new ShyMouse(null, { seed: 'velocity', profile: { velocityPeak: 0.25 } });
+  const profile = early.motionModel.generateVelocityProfile(60, 500);
+  assert.ok(profile.indexOf(Math.max(...profile)) / profile.length < 0.4);
+});
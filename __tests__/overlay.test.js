@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { createFakePage } = require('./fakePage.js');
+
+const box = { x: 600, y: 400, width: 80, height: 30 };
+const viewport = { x: 0, y: 0, width: 1280, height: 720 };
+
+// Collects the command batches the overlay sends to the page
+function createOverlayPage() {
+  const page = createFakePage();
+  const evaluate = page.evaluate;
+  const batches = [];
+  const removals = [];
+  page.evaluate = async (fn, arg) => {
+    if (Array.isArray(arg)) batches.push(arg);
+    else if (fn.toString().includes('remove()')) removals.push(fn);
+    else return evaluate(fn, arg);
+  };
+  return { page, batches, removals };
+}
+
+function prepare(mouse) {
+  mouse.prepareElementForInteraction = async () => ({ box, targetBox: box, viewport, clip: viewport, obstructions: [] });
+  mouse.isElementClickable = async () => ({ clickable: true });
+  mouse.lastPos = { x: 100, y: 100 };
+}
+
+test('the overlay draws the path, cursor, target box and markers of a click', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const { page, batches } = createOverlayPage();
+  const mouse = new ShyMouse(page, { seed: 'overlay', overlay: true });
+  prepare(mouse);
+
+  await mouse.click({ evaluate: async () => null });
+  await mouse.overlay.drawing;
+
+  const commands = batches.flat();
+  assert.strictEqual(commands[0].type, 'clear');
+  assert.deepStrictEqual(commands.find(command => command.type === 'box'), { type: 'box', ...box });
+  assert.deepStrictEqual(
+    commands.filter(command => command.type === 'marker').map(command => command.kind),
+    ['target', 'approach']
+  );
+  assert.ok(commands.some(command => command.type === 'path' && command.points.length > 0));
+
+  // One cursor command per move; commands queued together are sent in one batch
+  const moves = page.events.filter(([type]) => type === 'move');
+  assert.strictEqual(commands.filter(command => command.type === 'cursor').length, moves.length);
+  assert.ok(batches.some(batch => batch.map(command => command.type).join() === 'box,marker,marker'));
+});
+
+test('without the overlay nothing is drawn', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const { page, batches } = createOverlayPage();
+  const mouse = new ShyMouse(page, { seed: 'overlay' });
+  prepare(mouse);
+
+  await mouse.click({ evaluate: async () => null });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(mouse.overlay, null);
+  assert.strictEqual(batches.length, 0);
+});
+
+test('removeOverlay removes the layer and stops drawing', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const { page, batches, removals } = createOverlayPage();
+  const mouse = new ShyMouse(page, { seed: 'overlay' });
+  mouse.showOverlay();
+
+  mouse.drawOverlay({ type: 'cursor', x: 10, y: 10 });
+  await mouse.removeOverlay();
+  mouse.drawOverlay({ type: 'cursor', x: 20, y: 20 });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepStrictEqual(batches, []);
+  assert.strictEqual(removals.length, 1);
+});
+
+test('a failing overlay draw does not fail the action', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const { page } = createOverlayPage();
+  const evaluate = page.evaluate;
+  page.evaluate = async (fn, arg) => {
+    if (Array.isArray(arg)) throw new Error('Execution context was destroyed');
+    return evaluate(fn, arg);
+  };
+  const mouse = new ShyMouse(page, { seed: 'overlay', overlay: true });
+  prepare(mouse);
+
+  await mouse.click({ evaluate: async () => null });
+  await mouse.overlay.drawing;
+
+  assert.ok(page.events.some(([type]) => type === 'up'));
+});
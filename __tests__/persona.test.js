@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { PERSONAS, createPersona } = ShyMouse;
+const { createFakePage } = require('./fakePage.js');
+
+test('createPersona resolves presets with overrides', () => {
+  const persona = createPersona('gamer', { baseReactionTime: 120 });
+
+  assert.strictEqual(persona.name, 'gamer');
+  assert.strictEqual(persona.baseReactionTime, 120);
+  assert.strictEqual(persona.fittsB, PERSONAS.gamer.fittsB);
+});
+
+test('createPersona flattens extends chains', () => {
+  const persona = createPersona({ extends: { extends: 'elderly', fittsA: 0.5 }, name: 'nana' });
+
+  assert.strictEqual(persona.name, 'nana');
+  assert.strictEqual(persona.fittsA, 0.5);
+  assert.strictEqual(persona.fittsB, PERSONAS.elderly.fittsB);
+  assert.strictEqual(typeof persona.extends, 'string');
+  assert.doesNotThrow(() => JSON.stringify(persona));
+});
+
+test('createPersona rejects unknown presets', () => {
+  assert.throws(() => createPersona('robot'), /Unknown persona/);
+  assert.throws(() => createPersona(42), /preset name or an object/);
+});
+
+test('explicit options win over the persona', () => {
+  const mouse = new ShyMouse(createFakePage(), { persona: 'elderly', baseReactionTime: 150 });
+
+  assert.strictEqual(mouse.config.baseReactionTime, 150);
+  assert.strictEqual(mouse.config.fittsA, PERSONAS.elderly.fittsA);
+  assert.strictEqual(mouse.getPersona().name, 'elderly');
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { createFakePage } = require('./fakePage.js');
+const { createFakeDom } = require('./fakeDom.js');
+
+const words = count => Array.from({ length: count }, (_, i) => `word${i}`).join(' ');
+
+// An article taller than the viewport: a heading and four paragraphs of 100 words each
+function createArticlePage() {
+  const page = createFakePage();
+  const dom = createFakeDom({ width: 1280, height: 720 }, { width: 1280, height: 3000 });
+  const article = dom.element('article', { box: { x: 200, y: 400, width: 700, height: 1800 } });
+  article.append(dom.element('h1', { box: { x: 200, y: 400, width: 700, height: 60 }, text: 'Title' }));
+  for (let i = 0; i < 4; i++) {
+    article.append(dom.element('p', { box: { x: 200, y: 500 + i * 420, width: 700, height: 380 }, text: words(100) }));
+  }
+  dom.document.body.append(article);
+  dom.attach(page);
+  return { page, dom, article: dom.locator(article, page) };
+}
+
+test('read() takes as long as the text needs at the reading pace and scrolls through it', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const { dom, article, page } = createArticlePage();
+  const mouse = new ShyMouse(page, { seed: 'read' });
+  const dwells = [];
+  mouse.dwell = async duration => { dwells.push(duration); };
+
+  const blocks = await mouse.getReadingBlocks(article);
+  assert.deepStrictEqual(blocks.map(block => [block.type, block.words]), [
+    ['heading', 1], ['text', 100], ['text', 100], ['text', 100], ['text', 100],
+  ]);
+
+  await mouse.read(article, { regressionProbability: 0 });
+
+  // 401 words at 230 wpm (±12% per block) plus the heading pause
+  const total = dwells.reduce((sum, duration) => sum + duration, 0);
+  const expected = 500 + 401 / 230 * 60000;
+  assert.ok(Math.abs(total - expected) < expected * 0.2, `read for ${Math.round(total)}ms`);
+
+  // Scrolled on to the last lines of the last paragraph
+  const last = dom.document.body.children[0].children.at(-1).getBoundingClientRect();
+  assert.ok(last.bottom > 0 && last.bottom < 720, `last paragraph ends at y ${last.bottom}`);
+});
+
+test('wordsPerMinute sets the reading pace', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const durations = {};
+  for (const wordsPerMinute of [150, 450]) {
+    const { article, page } = createArticlePage();
+    const mouse = new ShyMouse(page, { seed: 'pace' });
+    let total = 0;
+    mouse.dwell = async duration => { total += duration; };
+    await mouse.read(article, { wordsPerMinute, regressionProbability: 0, headingPause: 0 });
+    durations[wordsPerMinute] = total;
+  }
+
+  const ratio = durations[150] / durations[450];
+  assert.ok(ratio > 2.4 && ratio < 3.6, `ratio ${ratio.toFixed(2)}`);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { TrajectoryRecorder, analyzeTrajectory } = ShyMouse;
+const { createFakePage } = require('./fakePage.js');
+
+test('toCSV writes a header, empty cells and quoted text', () => {
+  const recorder = new TrajectoryRecorder();
+  recorder.record('move', { x: 10.12345, y: 20 });
+  recorder.record('down', { x: 10, y: 20, button: 'left', clickCount: 1, action: 'click, "primary"' });
+
+  const [header, move, down] = recorder.toCSV().split('\n');
+
+  assert.strictEqual(header, 't,type,x,y,deltaX,deltaY,button,clickCount,action,actionId');
+  assert.match(move, /^\d+\.\d{3},move,10\.123,20,,,,,,$/);
+  assert.match(down, /,down,10,20,,,left,1,"click, ""primary""",$/);
+});
+
+test('maxEvents caps the recording', () => {
+  const recorder = new TrajectoryRecorder({ maxEvents: 2 });
+  for (let i = 0; i < 5; i++) recorder.record('move', { x: i, y: i });
+
+  assert.strictEqual(recorder.events.length, 2);
+});
+
+test('createRetargetTransform maps both endpoints and keeps shape', () => {
+  const mouse = new ShyMouse(createFakePage(), { seed: 1 });
+  const transform = mouse.createRetargetTransform({ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 50, y: 50 }, { x: 50, y: 250 });
+
+  const close = (a, b) => assert.ok(Math.abs(a.x - b.x) < 1e-9 && Math.abs(a.y - b.y) < 1e-9, `${JSON.stringify(a)} != ${JSON.stringify(b)}`);
+  close(transform({ x: 0, y: 0 }), { x: 50, y: 50 });
+  close(transform({ x: 100, y: 0 }), { x: 50, y: 250 });
+  // Rotated 90 degrees and scaled by 2: a point above the source midpoint ends up beside the target one
+  close(transform({ x: 50, y: -10 }), { x: 70, y: 150 });
+
+  const translate = mouse.createRetargetTransform({ x: 5, y: 5 }, { x: 5, y: 5 }, { x: 0, y: 0 }, { x: 10, y: 10 });
+  close(translate({ x: 6, y: 7 }), { x: 1, y: 2 });
+});
+
+test('analyzeTrajectory flags straight, evenly timed movements as a bot', () => {
+  const events = [];
+  let t = 0;
+  for (let movement = 0; movement < 6; movement++) {
+    for (let i = 0; i <= 40; i++) {
+      events.push({ t, type: 'move', x: 100 + i * 10, y: 100 + movement * 50 });
+      t += 10;
+    }
+    t += 1000;
+  }
+
+  const report = analyzeTrajectory(events);
+
+  assert.strictEqual(report.verdict, 'bot');
+  assert.ok(report.flags.includes('straightSegments'));
+  assert.ok(report.flags.includes('intervalRegularity'));
+});
+
+test('analyzeTrajectory scores seeded movements above a bot trace', async () => {
+  const mouse = new ShyMouse(createFakePage(), { seed: 7 });
+  mouse.startRecording();
+  for (const [x, y] of [[300, 200], [900, 400], [200, 600], [1000, 150]]) {
+    await mouse.moveToPosition(x, y);
+    await new Promise(resolve => setTimeout(resolve, 350));
+  }
+
+  const report = analyzeTrajectory(mouse.stopRecording());
+
+  assert.notStrictEqual(report.verdict, 'bot');
+  assert.ok(report.metrics.straightSegments.score > 0.5);
+});
+
+test('replay moves to a distant start point instead of jumping there', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  const mouse = new ShyMouse(page, { seed: 'replay' });
+  mouse.lastPos = { x: 100, y: 100 };
+  const trace = [{ t: 0, type: 'move', x: 0, y: 0 }, { t: 16, type: 'move', x: 10, y: 5 }, { t: 32, type: 'move', x: 20, y: 10 }];
+
+  await mouse.replay(trace, { from: { x: 700, y: 400 }, to: { x: 900, y: 500 } });
+
+  const moves = page.events.filter(event => event[0] === 'move');
+  const steps = moves.slice(1).map((move, i) => Math.hypot(move[1] - moves[i][1], move[2] - moves[i][2]));
+  assert.ok(Math.hypot(moves[0][1] - 100, moves[0][2] - 100) < 100, `first move at ${moves[0].slice(1)}`);
+  assert.ok(Math.max(...steps) < 200, `largest step ${Math.max(...steps)}`);
+  assert.deepStrictEqual(moves.at(-1).slice(1).map(Math.round), [900, 500]);
+});
+
+test('replay scrolls a Locator target into view before mapping onto it', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const mouse = new ShyMouse(createFakePage(), { seed: 'replay' });
+  const calls = [];
+  let box = { x: 300, y: 1500, width: 100, height: 40 };
+  const target = { boundingBox: async () => { calls.push('measure'); return box; } };
+  mouse.scrollToElement = async element => {
+    calls.push('scroll');
+    assert.strictEqual(element, target);
+    box = { ...box, y: 400 };
+  };
+
+  await mouse.replay([{ t: 0, type: 'move', x: 0, y: 0 }, { t: 16, type: 'move', x: 50, y: 20 }], { to: target, clickPadding: 0.5 });
+
+  assert.deepStrictEqual(calls, ['scroll', 'measure']);
+  assert.ok(mouse.lastPos.y >= 400 && mouse.lastPos.y < 440, `ended at y=${mouse.lastPos.y}`);
+});
@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { createFakePage } = require('./fakePage.js');
+const { createFakeDom } = require('./fakeDom.js');
+
+test('fixed headers inside open shadow roots are obstructions', async () => {
+  const page = createFakePage();
+  const dom = createFakeDom();
+  const host = dom.element('app-header');
+  host.attachShadow().append(
+    dom.element('header', { box: { x: 0, y: 0, width: 1280, height: 64 }, style: { position: 'fixed' } })
+  );
+  const link = dom.element('a', { box: { x: 100, y: 400, width: 80, height: 20 } });
+  dom.document.body.append(host, link);
+
+  const mouse = new ShyMouse(page, { seed: 'shadow' });
+  const obstructions = await mouse.getViewportObstructions(dom.locator(link, page));
+
+  assert.deepStrictEqual(obstructions.insets, { top: 64, bottom: 0 });
+  assert.deepStrictEqual(obstructions.boxes, [{ x: 0, y: 0, width: 1280, height: 64 }]);
+  assert.deepStrictEqual(obstructions.safeArea, { x: 0, y: 64, width: 1280, height: 656 });
+});
+
+test('a sticky bar below the header is found where it will stick', async () => {
+  const page = createFakePage();
+  const dom = createFakeDom();
+  const bar = dom.element('nav', { box: { x: 0, y: 300, width: 1280, height: 48 }, style: { position: 'sticky', top: '0px' } });
+  const link = dom.element('a', { box: { x: 100, y: 900, width: 80, height: 20 } });
+  dom.document.body.append(bar, link);
+
+  const mouse = new ShyMouse(page, { seed: 'sticky' });
+  const obstructions = await mouse.getViewportObstructions(dom.locator(link, page));
+
+  assert.deepStrictEqual(obstructions.insets, { top: 48, bottom: 0 });
+});
+
+test('a swallowed final wheel step is noticed and finished by script', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  const mouse = new ShyMouse(page, { seed: 'wheel' });
+  const position = { x: 0, y: 0 };
+
+  // The container takes wheel input until the last step of the sequence, which it swallows
+  let swallow = false;
+  page.mouse.wheel = async (deltaX, deltaY) => {
+    if (swallow) return;
+    position.x += deltaX;
+    position.y += deltaY;
+  };
+  mouse.getScrollPosition = async () => ({ ...position });
+  const executeScrollSequence = mouse.executeScrollSequence.bind(mouse);
+  mouse.executeScrollSequence = async (targetScroll, direction, numSteps, ...rest) => {
+    await executeScrollSequence({ ...targetScroll, y: targetScroll.y - 40 }, direction, numSteps, ...rest);
+    swallow = true;
+    await mouse.applyScrollStep(rest[1], { x: 0, y: 40 }, await mouse.getScrollPosition(rest[1]));
+  };
+  const container = {
+    info: { isWindow: false },
+    containerHandle: {
+      evaluate: async (fn, delta) => {
+        position.x += delta.x;
+        position.y += delta.y;
+      }
+    }
+  };
+
+  await mouse.performScroll({ x: 0, y: 0 }, { x: 0, y: 600 }, container, { x: 0, y: 0, width: 800, height: 400 }, { overshootProb: 0 });
+
+  assert.ok(Math.abs(position.y - 600) < 1e-9, `stopped at ${position.y}`);
+  assert.strictEqual(container.wheelIgnored, true);
+});
+
+test('scrollToElement scrolls both axes to a target off to the side and below', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  const dom = createFakeDom({ width: 1280, height: 720 }, { width: 4000, height: 3000 });
+  const cell = dom.element('td', { box: { x: 3200, y: 2000, width: 120, height: 40 } });
+  dom.document.body.append(cell);
+  dom.attach(page);
+
+  const mouse = new ShyMouse(page, { seed: 'grid' });
+  await mouse.scrollToElement(dom.locator(cell, page), { overshootProb: 0 });
+
+  const rect = cell.getBoundingClientRect();
+  assert.ok(dom.window.scrollX > 0 && dom.window.scrollY > 0, 'both axes scrolled');
+  assert.ok(rect.left >= 0 && rect.right <= 1280, `cell at x ${rect.left}`);
+  assert.ok(rect.top >= 0 && rect.bottom <= 720, `cell at y ${rect.top}`);
+  assert.ok(page.events.some(([type, deltaX, deltaY]) => type === 'wheel' && deltaX !== 0 && deltaY !== 0), 'no 2D wheel deltas');
+});
+
+test('targetPositionX and targetPosition place the element against the edges', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  const dom = createFakeDom({ width: 1280, height: 720 }, { width: 4000, height: 3000 });
+  const cell = dom.element('td', { box: { x: 2000, y: 1500, width: 120, height: 40 } });
+  dom.document.body.append(cell);
+  dom.attach(page);
+
+  const mouse = new ShyMouse(page, { seed: 'edges' });
+  await mouse.scrollToElement(dom.locator(cell, page), {
+    overshootProb: 0, targetPosition: 'top', offset: 100, targetPositionX: 'left', offsetX: 100,
+  });
+
+  // Wheel steps stop within 8px of the target
+  const rect = cell.getBoundingClientRect();
+  assert.ok(Math.abs(rect.left - 100) < 20, `cell at x ${rect.left}`);
+  assert.ok(Math.abs(rect.top - 100) < 20, `cell at y ${rect.top}`);
+});
+
+test('a fixed header is left out of the view the element is scrolled into', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  const dom = createFakeDom({ width: 1280, height: 720 }, { width: 1280, height: 3000 });
+  const header = dom.element('header', { box: { x: 0, y: 0, width: 1280, height: 120 }, style: { position: 'fixed' } });
+  const heading = dom.element('h2', { box: { x: 100, y: 1500, width: 400, height: 40 } });
+  dom.document.body.append(header, heading);
+  dom.attach(page);
+
+  const mouse = new ShyMouse(page, { seed: 'insets' });
+  await mouse.scrollToElement(dom.locator(heading, page), { overshootProb: 0, targetPosition: 'top', offset: 20 });
+
+  // 20px below the header rather than 20px below the top of the window (behind the header)
+  const rect = heading.getBoundingClientRect();
+  assert.ok(Math.abs(rect.top - 140) < 20, `heading at y ${rect.top}`);
+});
+
+test('an element inside a scrolling panel below the fold is brought in level by level', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  const dom = createFakeDom({ width: 1280, height: 720 }, { width: 1280, height: 3000 });
+  const panel = dom.element('div', {
+    box: { x: 200, y: 1800, width: 600, height: 400 },
+    style: { overflowY: 'auto' },
+    scrollSize: { width: 600, height: 2400 },
+  });
+  const row = dom.element('div', { box: { x: 200, y: 3300, width: 600, height: 30 } });
+  panel.append(row);
+  dom.document.body.append(panel);
+  dom.attach(page);
+
+  const mouse = new ShyMouse(page, { seed: 'nested' });
+  const chain = await mouse.getScrollContainerChain(dom.locator(row, page));
+  assert.deepStrictEqual(chain.map(level => level.info.isWindow), [true, false]);
+
+  await mouse.scrollToElement(dom.locator(row, page), { overshootProb: 0 });
+
+  const panelRect = panel.getBoundingClientRect();
+  const rowRect = row.getBoundingClientRect();
+  assert.ok(panelRect.top >= 0 && panelRect.bottom <= 720, `panel at y ${panelRect.top}`);
+  assert.ok(rowRect.top >= panelRect.top && rowRect.bottom <= panelRect.bottom, `row at y ${rowRect.top}`);
+  assert.ok(panel.scrollTop > 0 && dom.window.scrollY > 0);
+});
+
+test('a panel that ignores the wheel is scrolled by script', async t => {
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const page = createFakePage();
+  const dom = createFakeDom();
+  const panel = dom.element('div', {
+    box: { x: 200, y: 100, width: 600, height: 400 },
+    style: { overflowY: 'auto' },
+    scrollSize: { width: 600, height: 2400 },
+    ignoresWheel: true,
+  });
+  const row = dom.element('div', { box: { x: 200, y: 1500, width: 600, height: 30 } });
+  panel.append(row);
+  dom.document.body.append(panel);
+  dom.attach(page);
+
+  const mouse = new ShyMouse(page, { seed: 'ignored' });
+  await mouse.scrollToElement(dom.locator(row, page), { overshootProb: 0 });
+
+  const panelRect = panel.getBoundingClientRect();
+  const rowRect = row.getBoundingClientRect();
+  assert.ok(rowRect.top >= panelRect.top && rowRect.bottom <= panelRect.bottom, `row at y ${rowRect.top}`);
+  // Two wheel steps without effect, then scripted steps
+  assert.strictEqual(page.events.filter(([type]) => type === 'wheel').length, 2);
+});
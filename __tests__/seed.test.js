@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { createFakePage } = require('./fakePage.js');
+
+async function session(mouse) {
+  await mouse.moveToPosition(400, 300);
+  await mouse.moveToPosition(900, 500);
+}
+
+test('the same seed produces the same events', async () => {
+  const pageA = createFakePage();
+  const pageB = createFakePage();
+
+  await session(new ShyMouse(pageA, { seed: 'run-42' }));
+  await session(new ShyMouse(pageB, { seed: 'run-42' }));
+
+  assert.ok(pageA.events.length > 10);
+  assert.deepStrictEqual(pageA.events, pageB.events);
+});
+
+test('different seeds produce different events', async () => {
+  const pageA = createFakePage();
+  const pageB = createFakePage();
+
+  await session(new ShyMouse(pageA, { seed: 1 }));
+  await session(new ShyMouse(pageB, { seed: 2 }));
+
+  assert.notDeepStrictEqual(pageA.events, pageB.events);
+});
+
+test('reset() on a seeded instance replays a fresh session', async () => {
+  const freshPage = createFakePage();
+  const fresh = new ShyMouse(freshPage, { seed: 'run-42' });
+  const freshState = { motionState: { ...fresh.motionState }, attentionSpan: fresh.config.attentionSpan };
+  await session(fresh);
+
+  const resetPage = createFakePage();
+  const reused = new ShyMouse(resetPage, { seed: 'run-42' });
+  await reused.moveToPosition(100, 600);
+  reused.reset();
+  resetPage.events.length = 0;
+
+  assert.deepStrictEqual(reused.motionState, freshState.motionState);
+  assert.strictEqual(reused.config.attentionSpan, freshState.attentionSpan);
+
+  await session(reused);
+  assert.deepStrictEqual(resetPage.events, freshPage.events);
+});
+
+test('hover does not shift the seeded stream for later clicks', async t => {
+  // Virtual time: page latency is the only thing that differs between the runs
+  t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+
+  const run = async latency => {
+    const page = createFakePage();
+    const move = page.mouse.move;
+    page.mouse.move = async (x, y) => {
+      for (let i = 0; i < latency; i++) await new Promise(resolve => setImmediate(resolve));
+      await move(x, y);
+    };
+
+    const mouse = new ShyMouse(page, { seed: 'hover-click' });
+    const box = { x: 500, y: 300, width: 120, height: 40 };
+    mouse.prepareElementForInteraction = async () => ({
+      box, targetBox: box, viewport: { width: 1280, height: 720 }, clip: { x: 0, y: 0, width: 1280, height: 720 }, obstructions: []
+    });
+    mouse.isElementClickable = async () => ({ clickable: true });
+    const element = { evaluate: async () => ({ className: 'button', disabled: false }) };
+
+    await mouse.hover(element);
+    await mouse.click(element, { validateClick: false });
+    return page.events;
+  };
+
+  assert.deepStrictEqual(await run(0), await run(20));
+});
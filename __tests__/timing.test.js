@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShyMouse = require('../ShyMouse.js');
+const { createFakePage } = require('./fakePage.js');
+
+test('slow polling draws stay spread below a tight max interval', () => {
+  for (const persona of ['gamer', 'power-user']) {
+    const mouse = new ShyMouse(createFakePage(), { persona, seed: 'polling' });
+    const { maxPollingInterval } = mouse.config;
+
+    // Accel/decel phases carry no velocity modulation, so only slow draws can reach the max
+    const delays = Array.from({ length: 2000 }, () => mouse.motionModel.getPollingDelay(0.2));
+    const atMax = delays.filter(d => d >= maxPollingInterval - 1e-9).length;
+
+    assert.ok(atMax / delays.length < 0.01, `${persona}: ${atMax} of ${delays.length} delays clamped to the max`);
+  }
+});
+
+test('click hold floor is 40ms unless the profile lowers it', () => {
+  assert.strictEqual(new ShyMouse(createFakePage(), { seed: 'hold' }).config.clickHoldMin, 40);
+  assert.strictEqual(new ShyMouse(createFakePage(), { persona: 'gamer', seed: 'hold' }).config.clickHoldMin, 40);
+  assert.strictEqual(new ShyMouse(createFakePage(), { persona: 'trackpad-user', seed: 'hold' }).config.clickHoldMin, 25);
+});